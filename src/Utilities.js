@@ -1,6 +1,86 @@
+/**
+ * Base class for all errors reported by {@link Utilities}.
+ * Available as *Autodesk.Viewing.Utilities.UtilitiesError*.
+ */
+class UtilitiesError extends Error {
+    /**
+     * @param {string} message Error message.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'UtilitiesError';
+    }
+}
+
+/**
+ * Error reported when a requested {@link Viewable} cannot be found in a document.
+ * Available as *Autodesk.Viewing.Utilities.ViewableNotFoundError*.
+ */
+class ViewableNotFoundError extends UtilitiesError {
+    /**
+     * @param {ViewableSelector} viewableId Selector of the viewable that could not be found.
+     */
+    constructor(viewableId) {
+        super(`Viewable ${typeof viewableId === 'function' ? 'matching predicate' : JSON.stringify(viewableId)} not found.`);
+        this.name = 'ViewableNotFoundError';
+        this.viewableId = viewableId;
+    }
+}
+
+/**
+ * Error reported when a document or a model cannot be loaded.
+ * Available as *Autodesk.Viewing.Utilities.DocumentLoadError*.
+ */
+class DocumentLoadError extends UtilitiesError {
+    /**
+     * @param {number} code Error code reported by Forge Viewer,
+     * for example, *Autodesk.Viewing.ErrorCodes.NETWORK_ACCESS_DENIED*.
+     * @param {string} [message] Error message reported by Forge Viewer.
+     */
+    constructor(code, message) {
+        super(`Document loading error: ${message || 'unknown error'} (${code})`);
+        this.name = 'DocumentLoadError';
+        this.code = code;
+    }
+}
+
+/**
+ * Error reported when an operation requires a model (or its fragments)
+ * that is not yet loaded.
+ * Available as *Autodesk.Viewing.Utilities.ModelNotReadyError*.
+ */
+class ModelNotReadyError extends UtilitiesError {
+    /**
+     * @param {string} [message] Error message.
+     */
+    constructor(message = 'Model not yet available.') {
+        super(message);
+        this.name = 'ModelNotReadyError';
+    }
+}
+
+/**
+ * Error reported when the object tree of a model cannot be retrieved.
+ * Available as *Autodesk.Viewing.Utilities.ObjectTreeError*.
+ */
+class ObjectTreeError extends UtilitiesError {
+    /**
+     * @param {number|string} code Error code or message reported by Forge Viewer.
+     */
+    constructor(code) {
+        super(`Object tree not available (${code}).`);
+        this.name = 'ObjectTreeError';
+        this.code = code;
+    }
+}
+
 /**
  * Wrapper for {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/viewer3d|Viewer3D}
  * with a collection of helpful methods that are not (yet) part of the official API.
+ *
+ * Static methods working on plain data (for example, property results or triangle lists),
+ * as well as {@link SpatialIndex} and {@link CommandStack}, do not depend on the viewer,
+ * and so they can also be used in Node.js.
  * @namespace Autodesk.Viewing
  */
 class Utilities {
@@ -22,10 +102,12 @@ class Utilities {
      * Initializes new instance of {@link Utilities}, including the initialization
      * of the underlying {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/viewer3d|Viewer3D}.
      * @param {HTMLElement} container Target container for the viewer canvas.
-     * @param {AccessTokenRequest} getAccessToken Function that will be called by the viewer
-     * whenever a new access token is required.
+     * @param {AccessTokenRequest} [getAccessToken] Function that will be called by the viewer
+     * whenever a new access token is required. If undefined, the viewer is initialized
+     * in a "local" mode, without access to Forge services, and documents can only be loaded
+     * using {@link Utilities#loadLocal}.
      * @returns {Promise<Utilities>} Promise that will be either resolved with {@link Utilities} instance,
-     * or rejected with an error message.
+     * or rejected with an error.
      * 
      * @example <caption>Using Promises</caption>
      * function getAccessToken(callback) {
@@ -47,16 +129,21 @@ class Utilities {
      *   console.log(utils);
      * }
      * init();
+     *
+     * @example <caption>Without Forge services</caption>
+     * async function init() {
+     *   const utils = await Autodesk.Viewing.Utilities.Initialize(document.getElementById('viewer'));
+     *   await utils.loadLocal('/derivatives/house/manifest.json');
+     * }
+     * init();
      */
-    static Initialize(container, getAccessToken) {
+    static Initialize(container, getAccessToken = undefined) {
         return new Promise(function(resolve, reject) {
-            const options = {
-                getAccessToken
-            };
+            const options = getAccessToken ? { getAccessToken } : { env: 'Local' };
             Autodesk.Viewing.Initializer(options, function() {
                 const viewer = new Autodesk.Viewing.Private.GuiViewer3D(container);
                 viewer.start();
-                resolve(new Autodesk.Viewing.Utilities(viewer));
+                resolve(new Utilities(viewer));
             });
         });
     }
@@ -69,6 +156,20 @@ class Utilities {
     constructor(viewer) {
         this.viewer = viewer;
         this.impl = viewer.impl;
+        this._spatialIndices = new Map();
+        this._animations = new Set();
+        this._animationFrame = null;
+        this._explodeStates = new Map();
+        /**
+         * Undo/redo history of changes made through the mutating methods of this class,
+         * such as {@link Utilities#setFragmentAuxTransform} or {@link Utilities#addCustomMesh}.
+         * Use {@link CommandStack#transaction} to undo multiple changes in a single step.
+         * @type {CommandStack}
+         */
+        this.history = new CommandStack();
+        this._colors = new Map();
+        this._layers = new Map();
+        this._section = null;
     }
 
     /**
@@ -89,48 +190,461 @@ class Utilities {
      */
 
     /**
-     * Loads {@link Viewable} into the viewer.
+     * Loads {@link Viewable} into the viewer, replacing all models that are currently loaded.
      * @param {string} documentUrn Base64-encoded identifier of the document.
-     * @param {string|number} [viewableId=0] Optional GUID (string) or index (number) of the viewable within the document.
+     * @param {ViewableSelector} [viewableId=0] Optional GUID, name, index, filter or predicate of the viewable within the document.
+     * @param {object} [options] Additional loading options.
+     * @param {LoadingStage} [options.waitFor] Loading stage that must be reached before the returned promise is resolved.
+     * If undefined, the promise is resolved as soon as the model has been added to the viewer.
+     * @param {number} [options.waitForTimeout] Maximum time to wait for the *waitFor* stage, in milliseconds
+     * (see {@link Utilities#waitFor}). If undefined, waits indefinitely.
      * @returns {Promise<Viewable>} Promise that will be either resolved with {@link Viewable} structure,
-     * or rejected with an error message.
+     * or rejected with {@link DocumentLoadError} or {@link ViewableNotFoundError}.
      *
      * @example
      * async function loadDocument(urn) {
      *   const viewable = await utils.load(urn);
      *   console.log('Loaded viewable', viewable.data.id);
      * }
+     *
+     * @example <caption>Loading a 2D sheet</caption>
+     * const sheet = await utils.load(urn, { role: '2d', name: 'A101 - Site Plan' });
+     *
+     * @example <caption>Waiting for the object tree</caption>
+     * await utils.load(urn, 0, { waitFor: 'objectTree' });
+     * const ids = await utils.listLeafNodes();
      */
-    load(documentUrn, viewableId = 0) {
+    load(documentUrn, viewableId = 0, options = {}) {
         const viewer = this.viewer;
-        return new Promise(function(resolve, reject) {    
-            function onDocumentLoadSuccess(doc) {
-                if (typeof viewableId === 'string') {
-                    const viewable = doc.getRoot().findByGuid(viewableId);
-                    if (viewable) {
-                        viewer.loadDocumentNode(doc, viewable);
-                        resolve(viewable);
-                    } else {
-                        reject(`Viewable ${viewableId} not found.`);
-                    }
-                } else {
-                    const viewables = doc.getRoot().search({ type: 'geometry' });
-                    if (viewableId < viewables.length) {
-                        const viewable = viewables[viewableId];
-                        viewer.loadDocumentNode(doc, viewable);
-                        resolve(viewable);
-                    } else {
-                        reject(`Viewable ${viewableId} not found.`);
+        const self = this;
+        return this._loadDocument('urn:' + documentUrn).then(function(doc) {
+            const viewable = self._findViewable(doc, viewableId);
+            if (!viewable) {
+                return Promise.reject(new ViewableNotFoundError(viewableId));
+            }
+            return viewer.loadDocumentNode(doc, viewable)
+                .catch(function(errorCode) { return Promise.reject(new DocumentLoadError(errorCode)); })
+                .then(function(model) { return self._waitForStage(model, options.waitFor, options.waitForTimeout); })
+                .then(function() { return viewable; });
+        });
+    }
+
+    /**
+     * Options used when loading additional models into the viewer.
+     * @typedef {object} ModelLoadOptions
+     * @property {THREE.Matrix4} [placementTransform] {@link https://threejs.org/docs/#api/en/math/Matrix4|Matrix4}
+     * used to place the model in the scene, for example, to move or rotate it relative to other models.
+     * @property {THREE.Vector3} [globalOffset] Offset subtracted from all model coordinates
+     * (to avoid floating point precision issues). If undefined, the offset of the currently
+     * loaded model is reused so that all models share the same coordinate system.
+     * @property {boolean} [sharedCoordinates=false] Align the model using its shared coordinates
+     * (for example, the survey point of a Revit project) instead of its internal origin.
+     * @property {LoadingStage} [waitFor] Loading stage that must be reached before the model is returned.
+     * If undefined, the model is returned as soon as it starts loading.
+     * @property {number} [waitForTimeout] Maximum time to wait for the *waitFor* stage, in milliseconds
+     * (see {@link Utilities#waitFor}). If undefined, waits indefinitely.
+     */
+
+    /**
+     * Loads {@link Viewable} into the viewer as an additional model, keeping all models
+     * that are already loaded. Use this method to federate multiple documents,
+     * for example, architectural, structural and MEP models of the same project.
+     * @param {string} documentUrn Base64-encoded identifier of the document.
+     * @param {ViewableSelector} [viewableId=0] Optional GUID, name, index, filter or predicate of the viewable within the document.
+     * @param {ModelLoadOptions} [options] Additional placement options.
+     * @returns {Promise<Model>} Promise that will be either resolved with the loaded
+     * {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model},
+     * or rejected with {@link DocumentLoadError} or {@link ViewableNotFoundError}.
+     *
+     * @example
+     * async function loadProject(archUrn, structUrn) {
+     *   const arch = await utils.loadModel(archUrn, 0, { sharedCoordinates: true });
+     *   const struct = await utils.loadModel(structUrn, 0, { sharedCoordinates: true });
+     *   console.log('Loaded models', utils.getModels());
+     *   // later
+     *   utils.unloadModel(struct);
+     * }
+     */
+    loadModel(documentUrn, viewableId = 0, options = {}) {
+        const viewer = this.viewer;
+        const self = this;
+        return this._loadDocument('urn:' + documentUrn).then(function(doc) {
+            const viewable = self._findViewable(doc, viewableId);
+            if (!viewable) {
+                return Promise.reject(new ViewableNotFoundError(viewableId));
+            }
+            return viewer.loadDocumentNode(doc, viewable, self._getLoadOptions(options, true))
+                .catch(function(errorCode) { return Promise.reject(new DocumentLoadError(errorCode)); });
+        }).then(function(model) {
+            return self._waitForStage(model, options.waitFor, options.waitForTimeout);
+        });
+    }
+
+    /**
+     * Unloads a single model from the viewer, keeping all other models intact.
+     * Animations of the model that are still running are cancelled.
+     * @param {Model} model {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model} to be unloaded.
+     *
+     * @example
+     * for (const model of utils.getModels()) {
+     *   utils.unloadModel(model);
+     * }
+     */
+    unloadModel(model) {
+        this.stopAnimations(model);
+        this._spatialIndices.delete(model);
+        this._explodeStates.delete(model);
+        this._colors.delete(model);
+        this.viewer.unloadModel(model);
+    }
+
+    /**
+     * Lists all models currently loaded in the viewer.
+     * @returns {Model[]} List of {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model} instances.
+     */
+    getModels() {
+        return this.impl.modelQueue().getModels();
+    }
+
+    /**
+     * Loads {@link Viewable} from a derivative bundle served locally, for example,
+     * from your own static server, without going through Forge services.
+     * @param {string|object} source Path to an *.svf* file, path to a document manifest (*.json*),
+     * or a document manifest object that has already been loaded into memory.
+     * @param {ViewableSelector} [viewableId=0] Optional GUID, name, index, filter or predicate of the viewable within the document.
+     * Ignored when loading an *.svf* file directly.
+     * @param {ModelLoadOptions} [options] Additional placement options.
+     * @param {string} [options.basePath=''] Path that relative URNs in an in-memory manifest are resolved against.
+     * @param {boolean} [options.keepCurrentModels=false] Keep the models that are already loaded.
+     * @returns {Promise<Model>} Promise that will be either resolved with the loaded
+     * {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model},
+     * or rejected with {@link DocumentLoadError} or {@link ViewableNotFoundError}
+     * (or {@link UtilitiesError} if *source* is neither a non-empty string nor an object).
+     *
+     * @example <caption>Loading an SVF file</caption>
+     * const model = await utils.loadLocal('/derivatives/house/0/0.svf');
+     *
+     * @example <caption>Loading a manifest object</caption>
+     * const resp = await fetch('/derivatives/house/manifest.json');
+     * const manifest = await resp.json();
+     * const model = await utils.loadLocal(manifest, 0, { basePath: '/derivatives/house/' });
+     */
+    loadLocal(source, viewableId = 0, options = {}) {
+        const viewer = this.viewer;
+        const self = this;
+        if (!(typeof source === 'string' && source.length > 0) && !(source !== null && typeof source === 'object')) {
+            return Promise.reject(new UtilitiesError(`Invalid document source ${JSON.stringify(source)}.`));
+        }
+        const loadOptions = this._getLoadOptions(options, !!options.keepCurrentModels);
+        if (typeof source === 'string' && source.toLowerCase().endsWith('.svf')) {
+            return new Promise(function(resolve, reject) {
+                function onModelLoadError(errorCode, errorMsg) {
+                    reject(new DocumentLoadError(errorCode, errorMsg));
+                }
+                if (!loadOptions.keepCurrentModels) {
+                    for (const model of self.getModels()) {
+                        viewer.unloadModel(model);
                     }
                 }
+                viewer.loadModel(source, loadOptions, resolve, onModelLoadError);
+            }).then(function(model) {
+                return self._waitForStage(model, options.waitFor, options.waitForTimeout);
+            });
+        }
+        return this._loadDocument(source, options.basePath).then(function(doc) {
+            const viewable = self._findViewable(doc, viewableId);
+            if (!viewable) {
+                return Promise.reject(new ViewableNotFoundError(viewableId));
+            }
+            return viewer.loadDocumentNode(doc, viewable, loadOptions)
+                .catch(function(errorCode) { return Promise.reject(new DocumentLoadError(errorCode)); });
+        }).then(function(model) {
+            return self._waitForStage(model, options.waitFor, options.waitForTimeout);
+        });
+    }
+
+    /**
+     * Stage of the model loading process:
+     * - *fragments*: list of fragments (with their bounds and transforms) is available
+     * - *geometry*: all geometry has been loaded
+     * - *objectTree*: object tree (instance tree) is available
+     * - *properties*: property database is available
+     * @typedef {string} LoadingStage
+     */
+
+    /**
+     * Waits until a model reaches a specific loading stage.
+     * If the stage has already been reached, the returned promise is resolved immediately.
+     * @param {LoadingStage} stage Loading stage to wait for.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to wait for. If undefined, the currently loaded model (or the next model to be loaded) is used.
+     * @param {object} [options] Additional options.
+     * @param {number} [options.timeout] Maximum time to wait, in milliseconds. If undefined, waits indefinitely.
+     * @returns {Promise<Model>} Promise that will be resolved with the model when the stage is reached,
+     * or rejected with {@link ObjectTreeError} if the object tree or property database are not available,
+     * or with {@link UtilitiesError} if the timeout expires.
+     *
+     * @example
+     * const model = await utils.loadModel(urn);
+     * await utils.waitFor('geometry', model);
+     * const bounds = utils.getFragmentBounds(0, null, model);
+     */
+    waitFor(stage, model = undefined, options = {}) {
+        const viewer = this.viewer;
+        const Events = Autodesk.Viewing;
+        model = model || viewer.model;
+        function isReady(model) {
+            if (!model) {
+                return false;
+            }
+            const data = model.getData() || {};
+            switch (stage) {
+                case 'fragments':
+                    return !!data.fragments || model.isLoadDone();
+                case 'geometry':
+                    return model.isLoadDone();
+                case 'objectTree':
+                    return !!data.instanceTree;
+                case 'properties': {
+                    const propDb = model.getPropertyDb();
+                    return !!propDb && propDb.isLoadDone();
+                }
+            }
+            return false;
+        }
+        // The object tree is built from the property database, and so the same event
+        // signals that both the tree and the properties are available
+        const readyEvents = {
+            fragments: Events.FRAGMENTS_LOADED_EVENT,
+            geometry: Events.GEOMETRY_LOADED_EVENT,
+            objectTree: Events.OBJECT_TREE_CREATED_EVENT,
+            properties: Events.OBJECT_TREE_CREATED_EVENT
+        };
+        return new Promise(function(resolve, reject) {
+            if (!readyEvents[stage]) {
+                reject(new UtilitiesError(`Unknown loading stage ${stage}.`));
+                return;
+            }
+            if (isReady(model)) {
+                resolve(model);
+                return;
+            }
+            if (stage === 'properties' && model && (model.getData() || {}).instanceTree && !model.getPropertyDb()) {
+                reject(new ObjectTreeError('the model has no property database'));
+                return;
+            }
+            let timer = null;
+            function isSameModel(ev) {
+                return !model || !ev.model || ev.model === model;
+            }
+            function onReady(ev) {
+                if (isSameModel(ev)) {
+                    cleanup();
+                    resolve(model || ev.model || viewer.model);
+                }
+            }
+            function onUnavailable(ev) {
+                if (isSameModel(ev)) {
+                    cleanup();
+                    reject(new ObjectTreeError('the model has no object tree or property database'));
+                }
+            }
+            function cleanup() {
+                if (timer !== null) {
+                    clearTimeout(timer);
+                    timer = null;
+                }
+                viewer.removeEventListener(readyEvents[stage], onReady);
+                if (stage === 'objectTree' || stage === 'properties') {
+                    viewer.removeEventListener(Events.OBJECT_TREE_UNAVAILABLE_EVENT, onUnavailable);
+                }
+            }
+            if (typeof options.timeout === 'number') {
+                timer = setTimeout(function() {
+                    timer = null;
+                    cleanup();
+                    reject(new UtilitiesError(`Timed out waiting for loading stage ${stage}.`));
+                }, options.timeout);
+            }
+            viewer.addEventListener(readyEvents[stage], onReady);
+            if (stage === 'objectTree' || stage === 'properties') {
+                viewer.addEventListener(Events.OBJECT_TREE_UNAVAILABLE_EVENT, onUnavailable);
+            }
+        });
+    }
+
+    /**
+     * Optionally waits for a model loading stage.
+     * @private
+     * @param {Model} model Loaded model.
+     * @param {LoadingStage} [stage] Loading stage to wait for, if any.
+     * @param {number} [timeout] Maximum time to wait, in milliseconds.
+     * @returns {Promise<Model>} Promise that will be resolved with the model.
+     */
+    _waitForStage(model, stage, timeout = undefined) {
+        return stage ? this.waitFor(stage, model, { timeout }) : Promise.resolve(model);
+    }
+
+    /**
+     * Basic information about a {@link Viewable} available in a document.
+     * @typedef {object} ViewableInfo
+     * @property {string} guid Unique, string identifier of the viewable.
+     * @property {string} name Name of the viewable, for example, name of a Revit sheet or view.
+     * @property {string} role Role of the viewable, either *2d* or *3d*.
+     * @property {string} type Type of the viewable, either *geometry* for 2D sheets and 3D scenes,
+     * or *view* for named views within them.
+     * @property {string?} phase Name of the design phase, if available (for example, for Revit documents).
+     * @property {string?} parent GUID of the closest parent viewable, if any.
+     * @property {object[]} thumbnails List of available thumbnails, each with *urn*
+     * and *resolution* (array with width and height in pixels).
+     * @property {Viewable} viewable The {@link Viewable} itself, which can be passed to *loadDocumentNode*.
+     */
+
+    /**
+     * Lists all viewables (2D sheets, 3D scenes, and named views) available in a document.
+     * @param {string|object} documentUrn Base64-encoded identifier of the document,
+     * or a document manifest object that has already been loaded into memory.
+     * @returns {Promise<ViewableInfo[]>} Promise that will be either resolved with a list of {@link ViewableInfo},
+     * or rejected with {@link DocumentLoadError}.
+     *
+     * @example
+     * const viewables = await utils.listViewables(urn);
+     * for (const sheet of viewables.filter(v => v.role === '2d')) {
+     *   console.log('Found sheet', sheet.name, sheet.guid);
+     * }
+     */
+    listViewables(documentUrn) {
+        const self = this;
+        const documentId = typeof documentUrn === 'string' ? 'urn:' + documentUrn : documentUrn;
+        return this._loadDocument(documentId).then(function(doc) {
+            return self._collectViewables(doc.getRoot()).map(function(viewable) {
+                const data = viewable.data;
+                let parent = viewable.parent;
+                while (parent && !parent.data.guid) {
+                    parent = parent.parent;
+                }
+                const thumbnails = (viewable.children || [])
+                    .filter(child => child.data.role === 'thumbnail')
+                    .map(child => ({ urn: child.data.urn, resolution: child.data.resolution }));
+                const phase = Array.isArray(data.phaseNames) ? data.phaseNames[0] : data.phaseNames;
+                return {
+                    guid: data.guid,
+                    name: data.name,
+                    role: data.role,
+                    type: data.type,
+                    phase: phase || null,
+                    parent: parent ? parent.data.guid : null,
+                    thumbnails,
+                    viewable
+                };
+            });
+        });
+    }
+
+    /**
+     * Viewable selector used by the loading methods. It can be one of the following:
+     * - index (number) of a 2D or 3D viewable of type *geometry*
+     * - GUID or name (string) of any viewable
+     * - object with properties such as *role*, *name* or *type* that the viewable must match
+     * (if *type* is not specified, only viewables of type *geometry* are considered)
+     * - predicate function that receives a {@link Viewable} and returns true for the one to load
+     * @typedef {number|string|object|function} ViewableSelector
+     */
+
+    /**
+     * Converts {@link ModelLoadOptions} into options expected by the viewer.
+     * @private
+     * @param {ModelLoadOptions} options Placement options.
+     * @param {boolean} keepCurrentModels Whether the models that are already loaded should be kept.
+     * @returns {object} Viewer load options.
+     */
+    _getLoadOptions(options, keepCurrentModels) {
+        const loadOptions = { keepCurrentModels };
+        if (options.placementTransform) {
+            loadOptions.placementTransform = options.placementTransform;
+        }
+        if (options.globalOffset) {
+            loadOptions.globalOffset = options.globalOffset;
+        } else if (keepCurrentModels && this.viewer.model) {
+            loadOptions.globalOffset = this.viewer.model.getData().globalOffset;
+        }
+        if (options.sharedCoordinates) {
+            loadOptions.applyRefPoint = true;
+        }
+        return loadOptions;
+    }
+
+    /**
+     * Loads document manifest.
+     * @private
+     * @param {string|object} documentId Document ID (URN prefixed with *urn:*, or a path to a local manifest),
+     * or a manifest object that has already been loaded into memory.
+     * @param {string} [basePath=''] Path that relative URNs in an in-memory manifest are resolved against.
+     * @returns {Promise<Document>} Promise that will be either resolved with the loaded document,
+     * or rejected with {@link DocumentLoadError}.
+     */
+    _loadDocument(documentId, basePath = '') {
+        return new Promise(function(resolve, reject) {
+            function onDocumentLoadSuccess(doc) {
+                resolve(doc);
             }
             function onDocumentLoadError(errorCode, errorMsg) {
-                reject(`Document loading error: ${errorMsg} (${errorCode})`);
+                reject(new DocumentLoadError(errorCode, errorMsg));
+            }
+            if (typeof documentId === 'object') {
+                resolve(new Autodesk.Viewing.Document(documentId, basePath));
+            } else {
+                Autodesk.Viewing.Document.load(documentId, onDocumentLoadSuccess, onDocumentLoadError);
             }
-            Autodesk.Viewing.Document.load('urn:' + documentUrn, onDocumentLoadSuccess, onDocumentLoadError);
         });
     }
 
+    /**
+     * Collects all 2D and 3D viewables (of type *geometry* or *view*) in document hierarchy.
+     * @private
+     * @param {Viewable} node Root of the document hierarchy.
+     * @param {Viewable[]} [viewables=[]] List to be populated with viewables and returned.
+     * @returns {Viewable[]} List of viewables.
+     */
+    _collectViewables(node, viewables = []) {
+        const data = node.data || {};
+        if ((data.type === 'geometry' || data.type === 'view') && (data.role === '2d' || data.role === '3d')) {
+            viewables.push(node);
+        }
+        for (const child of node.children || []) {
+            this._collectViewables(child, viewables);
+        }
+        return viewables;
+    }
+
+    /**
+     * Finds viewable in a loaded document.
+     * @private
+     * @param {Document} doc Loaded document.
+     * @param {ViewableSelector} viewableId Viewable selector.
+     * @returns {Viewable?} Found viewable, or null.
+     */
+    _findViewable(doc, viewableId) {
+        const root = doc.getRoot();
+        const viewables = this._collectViewables(root);
+        switch (typeof viewableId) {
+            case 'string':
+                return root.findByGuid(viewableId) || viewables.find(viewable => viewable.data.name === viewableId) || null;
+            case 'function':
+                return viewables.find(viewableId) || null;
+            case 'object': {
+                const filter = Object.assign({ type: 'geometry' }, viewableId);
+                return viewables.find(function(viewable) {
+                    return Object.keys(filter).every(key => viewable.data[key] === filter[key]);
+                }) || null;
+            }
+            default: {
+                const geometries = viewables.filter(viewable => viewable.data.type === 'geometry');
+                return viewableId < geometries.length ? geometries[viewableId] : null;
+            }
+        }
+    }
+
     /**
      * Object returned by ray casting methods for each scene object under the given canvas coordinates.
      * @typedef {object} Intersection
@@ -144,12 +658,29 @@ class Utilities {
      * @property {THREE.Vector3} intersectPoint {@link https://threejs.org/docs/#api/en/core/Vector3|Vector3} point of intersection.
      * @property {THREE.Vector3} point Same as *intersectPoint*.
      * @property {Model} model Forge Viewer {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model} that was intersected.
+     * @property {THREE.Object3D} [object] Custom mesh that was intersected (only for intersections with overlay scenes).
+     * @property {string} [overlay] Name of the overlay scene that was intersected (only for intersections with overlay scenes).
+     */
+
+    /**
+     * Options used by ray casting methods.
+     * @typedef {object} RayCastOptions
+     * @property {boolean} [ignoreTransparent=false] Ignore transparent objects.
+     * @property {boolean} [ignoreHidden=false] Ignore objects that are hidden or ghosted.
+     * @property {number[]} [dbIds] Only report intersections with objects of given IDs.
+     * @property {Model} [model] Only report intersections with given
+     * {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}.
+     * @property {number} [maxHits] Maximum number of intersections to report.
+     * @property {boolean|string[]} [includeOverlays=false] Also report intersections with custom meshes
+     * added using {@link Utilities#addCustomMesh}, either from all overlay scenes (true),
+     * or from overlay scenes of given names.
      */
 
     /**
      * Finds all scene objects on specific X,Y position on the canvas.
      * @param {number} x X-coordinate, i.e., horizontal distance (in pixels) from the left border of the canvas.
      * @param {number} y Y-coordinate, i.e., vertical distance (in pixels) from the top border of the canvas.
+     * @param {RayCastOptions} [options] Additional ray casting options.
      * @returns {Intersection[]} List of intersections.
      * 
      * @example
@@ -162,138 +693,484 @@ class Utilities {
      *     console.log('miss');
      *   }
      * });
+     *
+     * @example <caption>Ignoring transparent objects and including custom meshes</caption>
+     * const intersections = utils.rayCast(x, y, { ignoreTransparent: true, includeOverlays: true, maxHits: 1 });
+     */
+    rayCast(x, y, options = {}) {
+        let intersections = [];
+        const viewport = this.impl.clientToViewport(x, y);
+        this.impl.castRayViewport(viewport, !!options.ignoreTransparent, options.dbIds || null,
+            options.model ? [options.model.id] : null, intersections);
+        if (options.includeOverlays) {
+            const ray = new THREE.Ray();
+            this.impl.viewportToRay(viewport, ray);
+            intersections = intersections.concat(this._intersectOverlays(ray, options.includeOverlays));
+        }
+        return this._filterIntersections(intersections, options);
+    }
+
+    /**
+     * Finds all scene objects along a ray with arbitrary origin and direction,
+     * for example, to find objects directly below a specific point.
+     * @param {THREE.Vector3} origin {@link https://threejs.org/docs/#api/en/math/Vector3|Vector3}
+     * with the origin of the ray in world coordinates.
+     * @param {THREE.Vector3} direction {@link https://threejs.org/docs/#api/en/math/Vector3|Vector3}
+     * with the direction of the ray in world coordinates.
+     * @param {RayCastOptions} [options] Additional ray casting options.
+     * @returns {Intersection[]} List of intersections, with distances measured from the ray origin.
+     *
+     * @example
+     * const point = new THREE.Vector3(10, 20, 30);
+     * const below = utils.rayCastWorld(point, new THREE.Vector3(0, 0, -1), { maxHits: 1 });
+     * if (below.length > 0) {
+     *   console.log('Distance to the floor', below[0].distance);
+     * }
+     */
+    rayCastWorld(origin, direction, options = {}) {
+        let intersections = [];
+        const ray = new THREE.Ray(origin.clone(), direction.clone().normalize());
+        this.impl.rayIntersect(ray, !!options.ignoreTransparent, options.dbIds || null,
+            options.model ? [options.model.id] : null, intersections);
+        if (options.includeOverlays) {
+            intersections = intersections.concat(this._intersectOverlays(ray, options.includeOverlays));
+        }
+        return this._filterIntersections(intersections, options);
+    }
+
+    /**
+     * Intersects a ray with custom meshes in overlay scenes.
+     * @private
+     * @param {THREE.Ray} ray Ray in world coordinates.
+     * @param {boolean|string[]} overlays True for all overlay scenes, or a list of overlay scene names.
+     * @returns {Intersection[]} List of intersections.
      */
-    rayCast(x, y) {
+    _intersectOverlays(ray, overlays) {
+        const raycaster = new THREE.Raycaster(ray.origin, ray.direction);
+        const names = Array.isArray(overlays) ? overlays : Object.keys(this.impl.overlayScenes);
         let intersections = [];
-        this.impl.castRayViewport(this.impl.clientToViewport(x, y), false, null, null, intersections);
+        for (const name of names) {
+            const overlay = this.impl.overlayScenes[name];
+            if (!overlay || overlay.scene.visible === false) {
+                continue;
+            }
+            for (const intersection of raycaster.intersectObjects(overlay.scene.children, true)) {
+                intersection.intersectPoint = intersection.point;
+                intersection.overlay = name;
+                intersections.push(intersection);
+            }
+        }
+        return intersections;
+    }
+
+    /**
+     * Applies ray casting options to a list of intersections.
+     * @private
+     * @param {Intersection[]} intersections List of intersections.
+     * @param {RayCastOptions} options Ray casting options.
+     * @returns {Intersection[]} Filtered list of intersections, sorted by distance.
+     */
+    _filterIntersections(intersections, options) {
+        const viewer = this.viewer;
+        const dbIds = options.dbIds ? new Set(options.dbIds) : null;
+        intersections = intersections.filter(function(intersection) {
+            if (intersection.overlay) {
+                return true;
+            }
+            if (dbIds && !dbIds.has(intersection.dbId)) {
+                return false;
+            }
+            if (options.model && intersection.model !== options.model) {
+                return false;
+            }
+            if (options.ignoreHidden && !viewer.isNodeVisible(intersection.dbId, intersection.model)) {
+                return false;
+            }
+            return true;
+        });
+        intersections.sort((a, b) => a.distance - b.distance);
+        if (typeof options.maxHits === 'number') {
+            intersections = intersections.slice(0, options.maxHits);
+        }
         return intersections;
     }
 
     /**
      * Inserts custom {@link https://threejs.org/docs/#api/en/objects/Mesh|Mesh} into
-     * *overlay* scene of given name. An overlay scene is always rendered *after*
-     * the main scene with the Forge Viewer model.
+     * *overlay* scene (layer) of given name. An overlay scene is always rendered *after*
+     * the main scene with the Forge Viewer model. The layer is created if it does not exist yet.
+     * The change is recorded in {@link Utilities#history}.
      * @param {THREE.Mesh} mesh Custom {@link https://threejs.org/docs/#api/en/objects/Mesh|Mesh}.
      * @param {string} [overlay='UtilitiesOverlay'] Name of the overlay scene.
+     * @param {object} [options] Additional options.
+     * @param {string} [options.id] Custom ID of the mesh, unique within the layer.
+     * If undefined, the mesh *uuid* is used.
+     * @param {object} [options.userData] Custom data to be merged into the mesh *userData*.
+     * @returns {string} ID of the mesh that can be used with {@link Utilities#getCustomMesh}
+     * or {@link Utilities#removeCustomMesh}.
+     * @throws {UtilitiesError} if the layer already contains a mesh with the same ID.
      *
      * @example
      * const geometry = new THREE.SphereGeometry(10, 8, 8);
      * const material = new THREE.MeshBasicMaterial({ color: 0x336699 });
      * const mesh = new THREE.Mesh(geometry, material);
      * mesh.position.x = 1.0; mesh.position.y = 2.0; mesh.position.z = 3.0;
-     * utils.addCustomMesh(mesh, 'myOverlay');
+     * utils.addCustomMesh(mesh, 'myOverlay', { id: 'marker-1', userData: { issue: 42 } });
      */
-    addCustomMesh(mesh, overlay = 'UtilitiesOverlay') {
-        if (!this.impl.overlayScenes[overlay]) {
-            this.impl.createOverlayScene(overlay);
+    addCustomMesh(mesh, overlay = 'UtilitiesOverlay', options = {}) {
+        const id = options.id || mesh.uuid;
+        const layer = this._layers.get(overlay);
+        if (layer && layer.meshes.has(id)) {
+            throw new UtilitiesError(`Custom mesh ${JSON.stringify(id)} already exists in layer ${JSON.stringify(overlay)}.`);
         }
-        this.impl.addOverlay(overlay, mesh);
+        if (options.userData) {
+            Object.assign(mesh.userData, options.userData);
+        }
+        this.history.execute({
+            label: 'Add custom mesh',
+            redo: () => this._addCustomMesh(mesh, overlay, id),
+            undo: () => this._removeCustomMesh(mesh, overlay, false),
+            discard: applied => { if (!applied) { Utilities._disposeObject(mesh); } }
+        });
+        return id;
     }
 
     /**
      * Removes custom {@link https://threejs.org/docs/#api/en/objects/Mesh|Mesh} from
-     * *overlay* scene of given name. An overlay scene is always rendered *after*
-     * the main scene with the Forge Viewer model.
-     * @param {THREE.Mesh} mesh {@link https://threejs.org/docs/#api/en/objects/Mesh|Mesh} to be removed.
+     * *overlay* scene (layer) of given name, and disposes its geometry and materials.
+     * The change is recorded in {@link Utilities#history}, and so the mesh is only disposed (and released)
+     * once the change can no longer be undone, for example, after calling *utils.history.clear()*.
+     * Meshes that have been added to the overlay scene by other means than {@link Utilities#addCustomMesh}
+     * are simply removed from the scene, without disposing them and without recording the change.
+     * @param {THREE.Mesh|string} mesh {@link https://threejs.org/docs/#api/en/objects/Mesh|Mesh} to be removed, or its ID.
      * @param {string} [overlay='UtilitiesOverlay'] Name of the overlay scene.
-     * 
+     * @returns {boolean} True if the mesh has been found and removed.
+     *
      * @example
      * // after adding a mesh using addCustomMesh
-     * utils.removeCustomMesh(mesh, 'myOverlay');
+     * utils.removeCustomMesh('marker-1', 'myOverlay');
      */
     removeCustomMesh(mesh, overlay = 'UtilitiesOverlay') {
-        if (!this.impl.overlayScenes[overlay]) {
-            this.impl.createOverlayScene(overlay);
+        const layer = this._layers.get(overlay);
+        const id = !layer ? null : (typeof mesh === 'string' ? mesh : Utilities._findMeshId(layer, mesh));
+        if (id === null || !layer.meshes.has(id)) {
+            const scene = this.impl.overlayScenes[overlay];
+            if (typeof mesh === 'string' || !scene || mesh.parent !== scene.scene) {
+                return false;
+            }
+            this.impl.removeOverlay(overlay, mesh);
+            return true;
         }
-        this.impl.removeOverlay(overlay, mesh);
+        mesh = layer.meshes.get(id);
+        this.history.execute({
+            label: 'Remove custom mesh',
+            redo: () => this._removeCustomMesh(mesh, overlay, false),
+            undo: () => this._addCustomMesh(mesh, overlay, id),
+            discard: applied => { if (applied) { Utilities._disposeObject(mesh); } }
+        });
+        return true;
     }
 
     /**
-     * Callback function used when enumerating scene objects.
-     * @callback NodeCallback
-     * @param {number} id Object ID.
+     * Finds custom mesh by its ID.
+     * @param {string} id ID of the mesh returned by {@link Utilities#addCustomMesh}.
+     * @param {string} [overlay] Name of the overlay scene. If undefined, all layers are searched.
+     * @returns {THREE.Mesh?} Mesh, or null if not found.
      */
+    getCustomMesh(id, overlay = undefined) {
+        for (const [name, layer] of this._layers) {
+            if ((overlay === undefined || name === overlay) && layer.meshes.has(id)) {
+                return layer.meshes.get(id);
+            }
+        }
+        return null;
+    }
 
     /**
-     * Enumerates IDs of objects in the scene.
-     *
-     * To make sure the method call is synchronous (i.e., it returns *after*
-     * all objects have been enumerated), always wait until the object tree
-     * has been loaded.
-     *
-     * @param {NodeCallback} callback Function called for each object.
-     * @param {number?} [parent = undefined] ID of the parent object whose children
-     * should be enumerated. If undefined, the enumeration includes all scene objects.
-     * @throws Exception if no {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model} is loaded.
+     * Overlay layer managed by {@link Utilities}.
+     * @typedef {object} OverlayLayer
+     * @property {string} name Name of the overlay scene.
+     * @property {boolean} visible Whether the layer is visible.
+     * @property {string[]} meshIds IDs of meshes in the layer.
+     */
+
+    /**
+     * Creates new overlay scene (layer), unless it already exists.
+     * @param {string} name Name of the overlay scene.
      *
      * @example
-     * viewer.addEventListener(Autodesk.Viewing.OBJECT_TREE_CREATED_EVENT, function() {
-     *   try {
-     *     utils.enumerateNodes(function(id) {
-     *       console.log('Found node', id);
-     *     });
-     *   } catch(err) {
-     *     console.error('Could not enumerate nodes', err);
-     *   }
-     * });
+     * utils.createLayer('markup');
+     * utils.addCustomMesh(mesh, 'markup');
+     * utils.setLayerVisible('markup', false);
      */
-    enumerateNodes(callback, parent = undefined) {
-        function onSuccess(tree) {
-            if (typeof parent === 'undefined') {
-                parent = tree.getRootId();
-            }
-            tree.enumNodeChildren(parent, callback, true);
+    createLayer(name) {
+        if (!this._layers.has(name)) {
+            this._layers.set(name, { meshes: new Map() });
+        }
+        if (!this.impl.overlayScenes[name]) {
+            this.impl.createOverlayScene(name);
         }
-        function onError(err) { throw new Error(err); }
-        this.viewer.getObjectTree(onSuccess, onError);
     }
 
     /**
-     * Lists IDs of objects in the scene.
-     * @param {number?} [parentId = undefined] ID of the parent object whose children
-     * should be listed. If undefined, the list will include all scene object IDs.
-     * @returns {Promise<number[]>} Promise that will be resolved with a list of IDs,
-     * or rejected with an error message, for example, if there is no
-     * {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}.
-     *
-     * @example <caption>Using async/await</caption>
-     * viewer.addEventListener(Autodesk.Viewing.OBJECT_TREE_CREATED_EVENT, async function() {
-     *   const ids = await utils.listNodes();
-     *   console.log('Object IDs', ids);
-     * });
+     * Lists overlay layers created by {@link Utilities#createLayer} or {@link Utilities#addCustomMesh}.
+     * @returns {OverlayLayer[]} List of layers.
      */
-    listNodes(parentId = undefined) {
-        const viewer = this.viewer;
-        return new Promise(function(resolve, reject) {
-            function onSuccess(tree) {
-                if (typeof parentId === 'undefined') {
-                    parentId = tree.getRootId();
-                }
-                let ids = [];
-                tree.enumNodeChildren(parentId, function(id) { ids.push(id); }, true);
-                resolve(ids);
-            }
-            function onError(err) { reject(err); }
-            viewer.getObjectTree(onSuccess, onError);
-        });
+    listLayers() {
+        const layers = [];
+        for (const [name, layer] of this._layers) {
+            const overlay = this.impl.overlayScenes[name];
+            layers.push({
+                name,
+                visible: !overlay || overlay.scene.visible !== false,
+                meshIds: Array.from(layer.meshes.keys())
+            });
+        }
+        return layers;
     }
 
     /**
-     * Enumerates IDs of leaf objects in the scene.
-     *
-     * To make sure the method call is synchronous (i.e., it returns *after*
-     * all objects have been enumerated), always wait until the object tree
-     * has been loaded.
-     *
-     * @param {NodeCallback} callback Function called for each object.
-     * @param {number?} [parent = undefined] ID of the parent object whose children
-     * should be enumerated. If undefined, the enumeration includes all leaf objects.
-     * @throws Exception if no {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model} is loaded.
-     *
+     * Shows or hides all meshes in an overlay layer.
+     * @param {string} name Name of the overlay scene.
+     * @param {boolean} visible Whether the layer should be visible.
+     */
+    setLayerVisible(name, visible) {
+        const overlay = this.impl.overlayScenes[name];
+        if (overlay) {
+            overlay.scene.visible = visible;
+            this.refresh();
+        }
+    }
+
+    /**
+     * Removes all meshes from an overlay layer, and disposes their geometries and materials.
+     * The change is recorded in {@link Utilities#history}; when undone, the meshes are added back.
+     * As with {@link Utilities#removeCustomMesh}, the meshes are disposed once the change
+     * can no longer be undone.
+     * @param {string} name Name of the overlay scene.
+     */
+    clearLayer(name) {
+        const layer = this._layers.get(name);
+        if (!layer || layer.meshes.size === 0) {
+            return;
+        }
+        const entries = Array.from(layer.meshes.entries());
+        this.history.execute({
+            label: 'Clear layer',
+            redo: () => entries.forEach(([id, mesh]) => this._removeCustomMesh(mesh, name, false)),
+            undo: () => entries.forEach(([id, mesh]) => this._addCustomMesh(mesh, name, id)),
+            discard: applied => { if (applied) { entries.forEach(([id, mesh]) => Utilities._disposeObject(mesh)); } }
+        });
+        this.refresh();
+    }
+
+    /**
+     * Clears an overlay layer (see {@link Utilities#clearLayer}), and removes the overlay scene.
+     * Undoing the change adds the meshes back into a newly created overlay scene.
+     * @param {string} name Name of the overlay scene.
+     */
+    removeLayer(name) {
+        this.clearLayer(name);
+        this._layers.delete(name);
+        if (this.impl.overlayScenes[name]) {
+            this.impl.removeOverlayScene(name);
+        }
+    }
+
+    /**
+     * Inserts custom mesh into overlay scene without recording the change.
+     * @private
+     * @param {THREE.Mesh} mesh Custom mesh.
+     * @param {string} overlay Name of the overlay scene.
+     * @param {string} [id] ID of the mesh. If undefined, the mesh *uuid* is used.
+     */
+    _addCustomMesh(mesh, overlay, id = undefined) {
+        this.createLayer(overlay);
+        this._layers.get(overlay).meshes.set(id || mesh.uuid, mesh);
+        this.impl.addOverlay(overlay, mesh);
+    }
+
+    /**
+     * Removes custom mesh from overlay scene without recording the change.
+     * @private
+     * @param {THREE.Mesh} mesh Custom mesh.
+     * @param {string} overlay Name of the overlay scene.
+     * @param {boolean} dispose Whether to dispose geometries and materials of the mesh.
+     */
+    _removeCustomMesh(mesh, overlay, dispose) {
+        const layer = this._layers.get(overlay);
+        if (layer) {
+            const id = Utilities._findMeshId(layer, mesh);
+            if (id !== null) {
+                layer.meshes.delete(id);
+            }
+        }
+        if (this.impl.overlayScenes[overlay]) {
+            this.impl.removeOverlay(overlay, mesh);
+        }
+        if (dispose) {
+            Utilities._disposeObject(mesh);
+        }
+    }
+
+    /**
+     * Finds ID of a mesh in a layer.
+     * @private
+     * @param {object} layer Layer record.
+     * @param {THREE.Mesh} mesh Mesh to look for.
+     * @returns {string?} ID of the mesh, or null if not found.
+     */
+    static _findMeshId(layer, mesh) {
+        for (const [id, candidate] of layer.meshes) {
+            if (candidate === mesh) {
+                return id;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Releases GPU resources (geometries, materials and textures) of an object and its descendants.
+     * The object can still be rendered again later, in which case the resources are recreated.
+     * @private
+     * @param {THREE.Object3D} object Object to dispose.
+     */
+    static _disposeObject(object) {
+        object.traverse(function(child) {
+            if (child.geometry) {
+                child.geometry.dispose();
+            }
+            if (child.material) {
+                const materials = child.material.materials || (Array.isArray(child.material) ? child.material : [child.material]);
+                for (const material of materials) {
+                    if (material.map) {
+                        material.map.dispose();
+                    }
+                    material.dispose();
+                }
+            }
+        });
+    }
+
+    /**
+     * Callback function used when enumerating scene objects.
+     * @callback NodeCallback
+     * @param {number} id Object ID.
+     */
+
+    /**
+     * Enumerates IDs of objects in the scene.
+     *
+     * The enumeration starts as soon as the object tree is available,
+     * and the returned promise is resolved after all objects have been enumerated.
+     *
+     * @param {NodeCallback} callback Function called for each object.
+     * @param {number?} [parent = undefined] ID of the parent object whose children
+     * should be enumerated. If undefined, the enumeration includes all scene objects.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {Promise} Promise that will be resolved when the enumeration is complete,
+     * or rejected with {@link ModelNotReadyError} if there is no
+     * {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model},
+     * or with {@link ObjectTreeError} if its object tree is not available.
+     *
+     * @example
+     * viewer.addEventListener(Autodesk.Viewing.OBJECT_TREE_CREATED_EVENT, async function() {
+     *   try {
+     *     await utils.enumerateNodes(function(id) {
+     *       console.log('Found node', id);
+     *     });
+     *   } catch(err) {
+     *     console.error('Could not enumerate nodes', err);
+     *   }
+     * });
+     */
+    enumerateNodes(callback, parent = undefined, model = undefined) {
+        const viewer = this.viewer;
+        return new Promise(function(resolve, reject) {
+            function onSuccess(tree) {
+                try {
+                    if (typeof parent === 'undefined') {
+                        parent = tree.getRootId();
+                    }
+                    tree.enumNodeChildren(parent, callback, true);
+                    resolve();
+                } catch(err) {
+                    reject(err);
+                }
+            }
+            function onError(err) { reject(new ObjectTreeError(err)); }
+            model = model || viewer.model;
+            if (!model) {
+                reject(new ModelNotReadyError());
+                return;
+            }
+            model.getObjectTree(onSuccess, onError);
+        });
+    }
+
+    /**
+     * Lists IDs of objects in the scene.
+     * @param {number?} [parentId = undefined] ID of the parent object whose children
+     * should be listed. If undefined, the list will include all scene object IDs.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {Promise<number[]>} Promise that will be resolved with a list of IDs,
+     * or rejected with {@link ModelNotReadyError} if there is no
+     * {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model},
+     * or with {@link ObjectTreeError} if its object tree is not available.
+     *
+     * @example <caption>Using async/await</caption>
+     * viewer.addEventListener(Autodesk.Viewing.OBJECT_TREE_CREATED_EVENT, async function() {
+     *   const ids = await utils.listNodes();
+     *   console.log('Object IDs', ids);
+     * });
+     */
+    listNodes(parentId = undefined, model = undefined) {
+        const viewer = this.viewer;
+        return new Promise(function(resolve, reject) {
+            function onSuccess(tree) {
+                try {
+                    if (typeof parentId === 'undefined') {
+                        parentId = tree.getRootId();
+                    }
+                    let ids = [];
+                    tree.enumNodeChildren(parentId, function(id) { ids.push(id); }, true);
+                    resolve(ids);
+                } catch(err) {
+                    reject(err);
+                }
+            }
+            function onError(err) { reject(new ObjectTreeError(err)); }
+            model = model || viewer.model;
+            if (!model) {
+                reject(new ModelNotReadyError());
+                return;
+            }
+            model.getObjectTree(onSuccess, onError);
+        });
+    }
+
+    /**
+     * Enumerates IDs of leaf objects in the scene.
+     *
+     * The enumeration starts as soon as the object tree is available,
+     * and the returned promise is resolved after all objects have been enumerated.
+     *
+     * @param {NodeCallback} callback Function called for each object.
+     * @param {number?} [parent = undefined] ID of the parent object whose children
+     * should be enumerated. If undefined, the enumeration includes all leaf objects.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {Promise} Promise that will be resolved when the enumeration is complete,
+     * or rejected with {@link ModelNotReadyError} if there is no
+     * {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model},
+     * or with {@link ObjectTreeError} if its object tree is not available.
+     *
      * @example
-     * viewer.addEventListener(Autodesk.Viewing.OBJECT_TREE_CREATED_EVENT, function() {
+     * viewer.addEventListener(Autodesk.Viewing.OBJECT_TREE_CREATED_EVENT, async function() {
      *   try {
-     *     utils.enumerateLeafNodes(function(id) {
+     *     await utils.enumerateLeafNodes(function(id) {
      *       console.log('Found leaf node', id);
      *     });
      *   } catch(err) {
@@ -301,27 +1178,43 @@ class Utilities {
      *   }
      * });
      */
-    enumerateLeafNodes(callback, parent = undefined) {
-        let tree = null;
-        function onNode(id) { if (tree.getChildCount(id) === 0) callback(id); }
-        function onSuccess(_tree) {
-            tree = _tree;
-            if (typeof parent === 'undefined') {
-                parent = tree.getRootId();
+    enumerateLeafNodes(callback, parent = undefined, model = undefined) {
+        const viewer = this.viewer;
+        return new Promise(function(resolve, reject) {
+            let tree = null;
+            function onNode(id) { if (tree.getChildCount(id) === 0) callback(id); }
+            function onSuccess(_tree) {
+                try {
+                    tree = _tree;
+                    if (typeof parent === 'undefined') {
+                        parent = tree.getRootId();
+                    }
+                    tree.enumNodeChildren(parent, onNode, true);
+                    resolve();
+                } catch(err) {
+                    reject(err);
+                }
             }
-            tree.enumNodeChildren(parent, onNode, true);
-        }
-        function onError(err) { throw new Error(err); }
-        this.viewer.getObjectTree(onSuccess, onError);
+            function onError(err) { reject(new ObjectTreeError(err)); }
+            model = model || viewer.model;
+            if (!model) {
+                reject(new ModelNotReadyError());
+                return;
+            }
+            model.getObjectTree(onSuccess, onError);
+        });
     }
 
     /**
      * Lists IDs of leaf objects in the scene.
      * @param {number?} [parentId = undefined] ID of the parent object whose children
      * should be listed. If undefined, the list will include all leaf object IDs.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
      * @returns {Promise<number[]>} Promise that will be resolved with a list of IDs,
-     * or rejected with an error message, for example, if there is no
-     * {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}.
+     * or rejected with {@link ModelNotReadyError} if there is no
+     * {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model},
+     * or with {@link ObjectTreeError} if its object tree is not available.
      *
      * @example <caption>Using async/await</caption>
      * viewer.addEventListener(Autodesk.Viewing.OBJECT_TREE_CREATED_EVENT, async function() {
@@ -329,21 +1222,30 @@ class Utilities {
      *   console.log('Leaf object IDs', ids);
      * });
      */
-    listLeafNodes(parentId = undefined) {
+    listLeafNodes(parentId = undefined, model = undefined) {
         const viewer = this.viewer;
         return new Promise(function(resolve, reject) {
             let tree = null;
             let ids = [];
             function onSuccess(_tree) {
-                tree = _tree;
-                if (typeof parentId === 'undefined') {
-                    parentId = tree.getRootId();
+                try {
+                    tree = _tree;
+                    if (typeof parentId === 'undefined') {
+                        parentId = tree.getRootId();
+                    }
+                    tree.enumNodeChildren(parentId, function(id) { if (tree.getChildCount(id) === 0) ids.push(id); }, true);
+                    resolve(ids);
+                } catch(err) {
+                    reject(err);
                 }
-                tree.enumNodeChildren(parentId, function(id) { if (tree.getChildCount(id) === 0) ids.push(id); }, true);
-                resolve(ids);
             }
-            function onError(err) { reject(err); }
-            viewer.getObjectTree(onSuccess, onError);
+            function onError(err) { reject(new ObjectTreeError(err)); }
+            model = model || viewer.model;
+            if (!model) {
+                reject(new ModelNotReadyError());
+                return;
+            }
+            model.getObjectTree(onSuccess, onError);
         });
     }
 
@@ -356,19 +1258,23 @@ class Utilities {
     /**
      * Enumerates fragment IDs of specific object or entire scene.
      *
-     * To make sure the method call is synchronous (i.e., it returns *after*
-     * all fragments have been enumerated), always wait until the object tree
-     * has been loaded.
+     * The enumeration starts as soon as the object tree is available,
+     * and the returned promise is resolved after all fragments have been enumerated.
      *
      * @param {FragmentCallback} callback Function called for each fragment.
      * @param {number?} [parent = undefined] ID of the parent object whose fragments
      * should be enumerated. If undefined, the enumeration includes all scene fragments.
-     * @throws Exception if no {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model} is loaded.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {Promise} Promise that will be resolved when the enumeration is complete,
+     * or rejected with {@link ModelNotReadyError} if there is no
+     * {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model},
+     * or with {@link ObjectTreeError} if its object tree is not available.
      *
      * @example
-     * viewer.addEventListener(Autodesk.Viewing.OBJECT_TREE_CREATED_EVENT, function() {
+     * viewer.addEventListener(Autodesk.Viewing.OBJECT_TREE_CREATED_EVENT, async function() {
      *   try {
-     *     utils.enumerateFragments(function(id) {
+     *     await utils.enumerateFragments(function(id) {
      *       console.log('Found fragment', id);
      *     });
      *   } catch(err) {
@@ -376,15 +1282,28 @@ class Utilities {
      *   }
      * });
      */
-    enumerateFragments(callback, parent = undefined) {
-        function onSuccess(tree) {
-            if (typeof parent === 'undefined') {
-                parent = tree.getRootId();
+    enumerateFragments(callback, parent = undefined, model = undefined) {
+        const viewer = this.viewer;
+        return new Promise(function(resolve, reject) {
+            function onSuccess(tree) {
+                try {
+                    if (typeof parent === 'undefined') {
+                        parent = tree.getRootId();
+                    }
+                    tree.enumNodeFragments(parent, callback, true);
+                    resolve();
+                } catch(err) {
+                    reject(err);
+                }
             }
-            tree.enumNodeFragments(parent, callback, true);
-        }
-        function onError(err) { throw new Error(err); }
-        this.viewer.getObjectTree(onSuccess, onError);
+            function onError(err) { reject(new ObjectTreeError(err)); }
+            model = model || viewer.model;
+            if (!model) {
+                reject(new ModelNotReadyError());
+                return;
+            }
+            model.getObjectTree(onSuccess, onError);
+        });
     }
 
     /**
@@ -392,9 +1311,12 @@ class Utilities {
      * Should be called *after* the object tree has been loaded.
      * @param {number?} [parentId = undefined] ID of the parent object whose fragments
      * should be listed. If undefined, the list will include all fragment IDs.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
      * @returns {Promise<number[]>} Promise that will be resolved with a list of IDs,
-     * or rejected with an error message, for example, if there is no
-     * {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}.
+     * or rejected with {@link ModelNotReadyError} if there is no
+     * {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model},
+     * or with {@link ObjectTreeError} if its object tree is not available.
      *
      * @example <caption>Using async/await</caption>
      * viewer.addEventListener(Autodesk.Viewing.OBJECT_TREE_CREATED_EVENT, async function() {
@@ -402,181 +1324,6133 @@ class Utilities {
      *   console.log('Fragment IDs', ids);
      * });
      */
-    listFragments(parentId = undefined) {
+    listFragments(parentId = undefined, model = undefined) {
         const viewer = this.viewer;
         return new Promise(function(resolve, reject) {
             function onSuccess(tree) {
-                if (typeof parentId === 'undefined') {
-                    parentId = tree.getRootId();
+                try {
+                    if (typeof parentId === 'undefined') {
+                        parentId = tree.getRootId();
+                    }
+                    let ids = [];
+                    tree.enumNodeFragments(parentId, function(id) { ids.push(id); }, true);
+                    resolve(ids);
+                } catch(err) {
+                    reject(err);
                 }
-                let ids = [];
-                tree.enumNodeFragments(parentId, function(id) { ids.push(id); }, true);
-                resolve(ids);
             }
-            function onError(err) { reject(err); }
-            viewer.getObjectTree(onSuccess, onError);
+            function onError(err) { reject(new ObjectTreeError(err)); }
+            model = model || viewer.model;
+            if (!model) {
+                reject(new ModelNotReadyError());
+                return;
+            }
+            model.getObjectTree(onSuccess, onError);
         });
     }
 
     /**
-     * Gets world bounding box of scene fragment.
-     * @param {number} fragId Fragment ID.
-     * @param {THREE.Box3} [bounds] {@link https://threejs.org/docs/#api/en/math/Box3|Box3}
-     * to be populated with bounding box values and returned
-     * (in case you want to avoid creating a new instance for performance reasons).
-     * @returns {THREE.Box3} Transformation {@link https://threejs.org/docs/#api/en/math/Box3|Box3}.
-     * @throws Exception when the fragments are not yet available.
+     * Change of a single property between two versions of a scene object.
+     * @typedef {object} PropertyChange
+     * @property {string} name Property name in the form *Category.Name*.
+     * @property {string|number?} before Property value in the first model (null if missing).
+     * @property {string|number?} after Property value in the second model (null if missing).
+     */
+
+    /**
+     * Result of comparing two models.
+     * @typedef {object} ModelDiff
+     * @property {object[]} added Objects only available in the second model, each with *key* and *dbId*.
+     * @property {object[]} removed Objects only available in the first model, each with *key* and *dbId*.
+     * @property {object[]} modified Objects that changed between the models, each with *key*,
+     * *dbIdA*, *dbIdB*, list of {@link PropertyChange} in *properties*, and - if the bounding box
+     * has changed - *bounds* with *before* and *after* boxes (each with *min* and *max* arrays).
+     * @property {object[]} unchanged Objects that did not change, each with *key*, *dbIdA* and *dbIdB*.
+     * @property {object[]} duplicates Keys shared by multiple objects in one of the models, each with *key*,
+     * and lists of object IDs in *dbIdsA* and *dbIdsB*. These objects cannot be paired reliably,
+     * and so they are not included in any of the other lists.
+     */
+
+    /**
+     * Compares two loaded models, for example, two revisions of the same design,
+     * and reports added, removed and modified leaf objects.
+     * Both models must have their object tree and geometry loaded.
+     * @param {Model} modelA First (older) {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}.
+     * @param {Model} modelB Second (newer) {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}.
+     * @param {object} [options] Additional options.
+     * @param {string} [options.key='externalId'] Key used to pair objects between models, either *externalId*,
+     * *name*, or a property name using the syntax of {@link Utilities#query}.
+     * @param {boolean} [options.properties=true] Compare object properties.
+     * @param {boolean} [options.bounds=true] Compare object bounding boxes.
+     * @param {number} [options.tolerance=1e-6] Tolerance used when comparing bounding boxes and numeric values.
+     * @param {string[]} [options.ignore] Names of properties (in the form *Category.Name*) to ignore.
+     * @returns {Promise<ModelDiff>} Promise that will be resolved with {@link ModelDiff},
+     * or rejected with an error.
      *
      * @example
-     * viewer.addEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, function() {
-     *   try {
-     *     const bounds = utils.getFragmentBounds(1);
-     *     console.log('Fragment bounds', bounds);
-     *   } catch(err) {
-     *     console.error('Could not retrieve fragment bounds', err);
-     *   }
-     * });
+     * const v1 = await utils.loadModel(urnV1, 0, { waitFor: 'geometry' });
+     * const v2 = await utils.loadModel(urnV2, 0, { waitFor: 'geometry' });
+     * const diff = await utils.diffModels(v1, v2, { key: 'externalId' });
+     * console.log(`${diff.added.length} added, ${diff.removed.length} removed, ${diff.modified.length} modified`);
+     * utils.showDiff(diff, v1, v2);
      */
-    getFragmentBounds(fragId, bounds = null) {
-        if (!this.viewer.model) {
-            throw new Error('Fragments not yet available. Wait for Autodesk.Viewing.FRAGMENTS_LOADED_EVENT event.');
+    diffModels(modelA, modelB, options = {}) {
+        const self = this;
+        const compareBounds = options.bounds !== false;
+        function collect(model) {
+            return Promise.all([self.waitFor('objectTree', model), self.waitFor('geometry', model)])
+                .then(function() { return self.listLeafNodes(undefined, model); })
+                .then(function(dbIds) { return self.getBulkProperties(dbIds, undefined, model); })
+                .then(function(results) {
+                    if (compareBounds) {
+                        const bounds = new THREE.Box3();
+                        for (const result of results) {
+                            self.getNodeBounds(result.dbId, bounds, model);
+                            if (!bounds.empty()) {
+                                result.bounds = {
+                                    min: [bounds.min.x, bounds.min.y, bounds.min.z],
+                                    max: [bounds.max.x, bounds.max.y, bounds.max.z]
+                                };
+                            }
+                        }
+                    }
+                    return results;
+                });
         }
-        const frags = this.viewer.model.getFragmentList();
-        bounds = bounds || new THREE.Box3();
-        frags.getWorldBounds(fragId, bounds);
-        return bounds;
+        return Promise.all([collect(modelA), collect(modelB)])
+            .then(function(results) { return Utilities.diffResults(results[0], results[1], options); });
     }
 
     /**
-     * Gets _original_ transformation matrix of scene fragment, i.e.,
-     * the transformation that was loaded from the Forge model.
-     *
-     * @param {number} fragId Fragment ID.
-     * @param {THREE.Matrix4} [transform] Matrix to be populated with transform values and returned
-     * (in case you want to avoid creating a new instance for performance reasons).
-     * @returns {THREE.Matrix4} Transformation {@link https://threejs.org/docs/#api/en/math/Matrix4|Matrix4}.
-     * @throws Exception when the fragments are not yet available.
-     *
-     * @example
-     * const fragId = 123;
-     * viewer.addEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, function() {
-     *     const transform = utils.getFragmentOrigTransform(fragId);
-     *     console.log('Original fragment transform', transform);
-     * });
+     * Compares two lists of object properties, for example, from two revisions of the same design.
+     * Can also be used on property results that have been saved earlier.
+     * @param {PropertyResult[]} resultsA Properties of objects in the first (older) model.
+     * Each result can optionally include *bounds* (object with *min* and *max* arrays).
+     * @param {PropertyResult[]} resultsB Properties of objects in the second (newer) model.
+     * @param {object} [options] Comparison options (*key*, *properties*, *tolerance* and *ignore*),
+     * see {@link Utilities#diffModels} for more details.
+     * @returns {ModelDiff} Result of the comparison.
      */
-    getFragmentOrigTransform(fragId, transform = null) {
-        if (!this.viewer.model) {
-            throw new Error('Fragments not yet available. Wait for Autodesk.Viewing.FRAGMENTS_LOADED_EVENT event.');
+    static diffResults(resultsA, resultsB, options = {}) {
+        const key = options.key || 'externalId';
+        const tolerance = typeof options.tolerance === 'number' ? options.tolerance : 1e-6;
+        const ignore = new Set(options.ignore || []);
+        function index(results) {
+            const map = new Map();
+            for (const result of results) {
+                const props = Utilities._findProperties(result, key);
+                if (props.length > 0 && props[0].displayValue !== '' && props[0].displayValue !== null) {
+                    const k = String(props[0].displayValue);
+                    if (!map.has(k)) {
+                        map.set(k, []);
+                    }
+                    map.get(k).push(result);
+                }
+            }
+            return map;
         }
-        const frags = this.viewer.model.getFragmentList();
-        transform = transform || new THREE.Matrix4();
-        frags.getOriginalWorldMatrix(fragId, transform);
-        return transform;
+        function flatten(result) {
+            const props = {};
+            for (const prop of result.properties || []) {
+                const name = `${prop.displayCategory}.${prop.displayName}`;
+                if (!ignore.has(name)) {
+                    props[name] = name in props ? props[name] + '; ' + prop.displayValue : prop.displayValue;
+                }
+            }
+            return props;
+        }
+        function equals(a, b) {
+            if (typeof a === 'number' && typeof b === 'number') {
+                return Math.abs(a - b) <= tolerance;
+            }
+            return a === b;
+        }
+        function boundsEqual(a, b) {
+            if (!a || !b) {
+                return !a && !b;
+            }
+            for (let i = 0; i < 3; i++) {
+                if (Math.abs(a.min[i] - b.min[i]) > tolerance || Math.abs(a.max[i] - b.max[i]) > tolerance) {
+                    return false;
+                }
+            }
+            return true;
+        }
+        const mapA = index(resultsA);
+        const mapB = index(resultsB);
+        const diff = { added: [], removed: [], modified: [], unchanged: [], duplicates: [] };
+        for (const k of new Set(Array.from(mapA.keys()).concat(Array.from(mapB.keys())))) {
+            const listA = mapA.get(k) || [], listB = mapB.get(k) || [];
+            if (listA.length > 1 || listB.length > 1) {
+                diff.duplicates.push({ key: k, dbIdsA: listA.map(result => result.dbId), dbIdsB: listB.map(result => result.dbId) });
+                mapA.delete(k);
+                mapB.delete(k);
+            }
+        }
+        for (const [k, [a]] of mapA) {
+            if (!mapB.has(k)) {
+                diff.removed.push({ key: k, dbId: a.dbId });
+            }
+        }
+        for (const [k, [b]] of mapB) {
+            const a = mapA.has(k) ? mapA.get(k)[0] : null;
+            if (!a) {
+                diff.added.push({ key: k, dbId: b.dbId });
+                continue;
+            }
+            const properties = [];
+            if (options.properties !== false) {
+                const propsA = flatten(a);
+                const propsB = flatten(b);
+                const names = new Set(Object.keys(propsA).concat(Object.keys(propsB)));
+                for (const name of names) {
+                    const before = name in propsA ? propsA[name] : null;
+                    const after = name in propsB ? propsB[name] : null;
+                    if (!equals(before, after)) {
+                        properties.push({ name, before, after });
+                    }
+                }
+            }
+            const bounds = boundsEqual(a.bounds, b.bounds) ? null : { before: a.bounds || null, after: b.bounds || null };
+            if (properties.length > 0 || bounds) {
+                diff.modified.push({ key: k, dbIdA: a.dbId, dbIdB: b.dbId, properties, bounds });
+            } else {
+                diff.unchanged.push({ key: k, dbIdA: a.dbId, dbIdB: b.dbId });
+            }
+        }
+        return diff;
     }
 
     /**
-     * Gets _auxiliary_ transform of a scene fragment.
-     *
-     * Note: auxiliary transforms are applied "on top" of the original
-     * transforms, and are used by different features of the viewer,
-     * for example, by animations or the explode tool.
-     *
-     * @param {number} fragId Fragment ID.
-     * @param {THREE.Vector3} scale Vector to be populated with scale values.
-     * @param {THREE.Quaternion} rotation Quaternion to be populated with rotation values.
-     * @param {THREE.Vector3} position Vector to be populated with offset values.
-     * @throws Exception if the fragments are not yet available.
+     * Color-codes the result of {@link Utilities#diffModels} in the viewer:
+     * added and modified objects are highlighted in the second model, and removed
+     * objects are highlighted in the first model. The colors are set using {@link Utilities#setColor},
+     * and so the change is recorded in {@link Utilities#history} as a single step.
+     * @param {ModelDiff} diff Result of the comparison.
+     * @param {Model} modelA First (older) {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}.
+     * @param {Model} modelB Second (newer) {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}.
+     * @param {object} [colors] Optional colors ({@link https://threejs.org/docs/#api/en/math/Vector4|Vector4}
+     * with RGBA values between 0.0 and 1.0) for *added*, *removed* and *modified* objects.
      *
      * @example
-     * const fragId = 123;
-     * let scale = new THREE.Vector3(1, 1, 1);
-     * let rotation = new THREE.Quaternion(0, 0, 0, 1);
-     * let position = new THREE.Vector3(0, 0, 0);
-     * viewer.addEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, function() {
-     *   utils.getFragmentAuxTransform(fragId, scale, rotation, position);
-     *   console.log('Scale', scale);
-     *   console.log('Rotation', rotation);
-     *   console.log('Position', position);
-     * });
+     * const diff = await utils.diffModels(v1, v2);
+     * utils.showDiff(diff, v1, v2, { modified: new THREE.Vector4(0.0, 0.0, 1.0, 0.5) });
+     */
+    showDiff(diff, modelA, modelB, colors = {}) {
+        const added = colors.added || new THREE.Vector4(0.0, 0.8, 0.0, 0.5);
+        const removed = colors.removed || new THREE.Vector4(0.8, 0.0, 0.0, 0.5);
+        const modified = colors.modified || new THREE.Vector4(1.0, 0.6, 0.0, 0.5);
+        this._colorDiff(diff, modelA, modelB, added, removed, modified, 'Show diff');
+    }
+
+    /**
+     * Removes color-coding applied by {@link Utilities#showDiff}. Only the objects listed in the diff
+     * are affected; colors of other objects are kept.
+     * @param {ModelDiff} diff Result of the comparison passed to {@link Utilities#showDiff}.
+     * @param {Model} modelA First {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}.
+     * @param {Model} modelB Second {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}.
+     */
+    clearDiff(diff, modelA, modelB) {
+        this._colorDiff(diff, modelA, modelB, null, null, null, 'Clear diff');
+    }
+
+    /**
+     * Sets colors of added, removed and modified objects using {@link Utilities#setColor},
+     * recording the change as a single step.
+     * @private
+     * @param {ModelDiff} diff Result of the comparison.
+     * @param {Model} modelA First model.
+     * @param {Model} modelB Second model.
+     * @param {THREE.Vector4?} added Color of added objects, or null to remove it.
+     * @param {THREE.Vector4?} removed Color of removed objects, or null to remove it.
+     * @param {THREE.Vector4?} modified Color of modified objects, or null to remove it.
+     * @param {string} label Description of the change.
      */
-    getFragmentAuxTransform(fragId, scale, rotation, position) {
-        if (!this.viewer.model) {
-            throw new Error('Fragments not yet available. Wait for Autodesk.Viewing.FRAGMENTS_LOADED_EVENT event.');
+    _colorDiff(diff, modelA, modelB, added, removed, modified, label) {
+        const self = this;
+        function apply(dbIds, color, model) {
+            if (dbIds.length > 0) {
+                self.setColor(dbIds, color, model);
+            }
         }
-        const frags = this.viewer.model.getFragmentList();
-        frags.getAnimTransform(fragId, scale, rotation, position);
+        this.history.transaction(label, function() {
+            apply(diff.added.map(entry => entry.dbId), added, modelB);
+            apply(diff.removed.map(entry => entry.dbId), removed, modelA);
+            apply(diff.modified.map(entry => entry.dbIdB), modified, modelB);
+        });
     }
 
     /**
-     * Sets _auxiliary_ transform of a scene fragment.
-     *
-     * Note: auxiliary transforms are applied "on top" of the original
-     * transforms, and are used by different features of the viewer,
-     * for example, by animations or the explode tool.
-     *
-     * @param {number} fragId Fragment ID.
-     * @param {THREE.Vector3} [scale] Vector with new scale values.
-     * @param {THREE.Quaternion} [rotation] Quaternion with new rotation values.
-     * @param {THREE.Vector3} [position] Vector with new offset values.
-     * @throws Exception if the fragments are not yet available.
+     * Single node of the object tree snapshot.
+     * @typedef {object} TreeNode
+     * @property {number} dbId Object ID.
+     * @property {string} name Name of the object.
+     * @property {number?} parent ID of the parent object, or null for the root of the snapshot.
+     * @property {number} depth Depth of the object relative to the root of the snapshot (root has depth 0).
+     * @property {number[]} fragments IDs of fragments that belong directly to the object.
+     * @property {TreeNode[]|number[]} children Child nodes (in nested snapshots),
+     * or IDs of child objects (in flat snapshots).
+     */
+
+    /**
+     * Serializes the object tree (or its part) into a plain JSON structure,
+     * for example, for custom tree panels, diffing, or server-side processing.
+     * @param {number?} [rootId = undefined] ID of the object where the snapshot should start.
+     * If undefined, the snapshot includes the entire object tree.
+     * @param {object} [options] Additional options.
+     * @param {boolean} [options.flat=false] Return a flat list of all nodes instead of a nested structure.
+     * @param {Model} [options.model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {Promise<TreeNode|TreeNode[]>} Promise that will be resolved with the root {@link TreeNode}
+     * (or with a list of all nodes if *options.flat* is true), or rejected with {@link ModelNotReadyError}
+     * if there is no {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model},
+     * or with {@link ObjectTreeError} if its object tree is not available.
      *
      * @example
-     * const fragId = 123;
-     * const scale = new THREE.Vector3(2.0, 3.0, 4.0);
-     * const position = new THREE.Vector3(5.0, 6.0, 7.0);
-     * viewer.addEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, function() {
-     *   utils.setFragmentAuxTransform(fragId, scale, null, position);
+     * viewer.addEventListener(Autodesk.Viewing.OBJECT_TREE_CREATED_EVENT, async function() {
+     *   const root = await utils.getTreeSnapshot();
+     *   console.log(JSON.stringify(root));
      * });
      */
-    setFragmentAuxTransform(fragId, scale = null, rotation = null, position = null) {
-        if (!this.viewer.model) {
-            throw new Error('Fragments not yet available. Wait for Autodesk.Viewing.FRAGMENTS_LOADED_EVENT event.');
-        }
-        const frags = this.viewer.model.getFragmentList();
-        frags.updateAnimTransform(fragId, scale, rotation, position);
+    getTreeSnapshot(rootId = undefined, options = {}) {
+        const viewer = this.viewer;
+        return new Promise(function(resolve, reject) {
+            function onSuccess(tree) {
+                try {
+                    resolve(Utilities.snapshotTree(tree, rootId, options.flat));
+                } catch(err) {
+                    reject(err);
+                }
+            }
+            function onError(err) { reject(new ObjectTreeError(err)); }
+            const model = options.model || viewer.model;
+            if (!model) {
+                reject(new ModelNotReadyError());
+                return;
+            }
+            model.getObjectTree(onSuccess, onError);
+        });
     }
 
     /**
-     * Gets _final_ transformation matrix of scene fragment, i.e.,
-     * the transformation obtained by combining the _original_ and
-     * the _auxiliar_ transforms.
+     * Serializes an object tree into a plain JSON structure.
+     * Only depends on the instance tree interface (*getRootId*, *getNodeName*,
+     * *enumNodeChildren* and *enumNodeFragments*), and so it can also be used
+     * with custom tree implementations, for example, in Node.js.
+     * @param {InstanceTree} tree Object tree, for example, obtained from *model.getObjectTree*.
+     * @param {number?} [rootId = undefined] ID of the object where the snapshot should start.
+     * If undefined, the snapshot includes the entire object tree.
+     * @param {boolean} [flat=false] Return a flat list of all nodes instead of a nested structure.
+     * @returns {TreeNode|TreeNode[]} Root {@link TreeNode}, or a list of all nodes if *flat* is true.
+     */
+    static snapshotTree(tree, rootId = undefined, flat = false) {
+        const nodes = [];
+        function visit(dbId, parent, depth) {
+            const node = {
+                dbId,
+                name: tree.getNodeName(dbId),
+                parent,
+                depth,
+                fragments: [],
+                children: []
+            };
+            nodes.push(node);
+            tree.enumNodeFragments(dbId, function(fragId) { node.fragments.push(fragId); }, false);
+            const childIds = [];
+            tree.enumNodeChildren(dbId, function(childId) { childIds.push(childId); }, false);
+            for (const childId of childIds) {
+                const child = visit(childId, dbId, depth + 1);
+                node.children.push(flat ? childId : child);
+            }
+            return node;
+        }
+        const root = visit(typeof rootId === 'undefined' ? tree.getRootId() : rootId, null, 0);
+        return flat ? nodes : root;
+    }
+
+    /**
+     * Property of a scene object, as returned by the property database.
+     * @typedef {object} Property
+     * @property {string} attributeName Internal name of the property.
+     * @property {string} displayName Name of the property as displayed in the UI.
+     * @property {string} displayCategory Category of the property, for example, *Dimensions*.
+     * @property {string|number} displayValue Value of the property.
+     * @property {number} type Type of the property value.
+     * @property {string?} units Units of the property value, if any.
+     * @property {boolean} hidden Indicates that the property is not displayed in the UI.
+     */
+
+    /**
+     * Properties of a single scene object.
+     * @typedef {object} PropertyResult
+     * @property {number} dbId Object ID.
+     * @property {string} externalId External ID of the object, for example, Revit unique ID.
+     * @property {string} name Name of the object.
+     * @property {Property[]} properties List of object properties.
+     */
+
+    /**
+     * Retrieves properties of multiple scene objects in a single request.
+     * @param {number[]} dbIds IDs of objects whose properties should be retrieved.
+     * @param {string[]} [propFilter] Optional list of property names to retrieve.
+     * If undefined, all properties are retrieved.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {Promise<PropertyResult[]>} Promise that will be resolved with a list of {@link PropertyResult},
+     * or rejected with {@link ModelNotReadyError} if there is no
+     * {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model},
+     * or with {@link UtilitiesError} if the properties could not be retrieved.
+     *
+     * @example
+     * const ids = await utils.listLeafNodes();
+     * const results = await utils.getBulkProperties(ids, ['Category', 'Volume']);
+     */
+    getBulkProperties(dbIds, propFilter = undefined, model = undefined) {
+        const viewer = this.viewer;
+        return new Promise(function(resolve, reject) {
+            function onError(err) { reject(new UtilitiesError(`Could not retrieve properties (${err}).`)); }
+            model = model || viewer.model;
+            if (!model) {
+                reject(new ModelNotReadyError());
+                return;
+            }
+            model.getBulkProperties(dbIds, propFilter, resolve, onError);
+        });
+    }
+
+    /**
+     * Condition for a single property used by {@link Utilities#query}. It can be one of the following:
+     * - string, number or boolean that the property value must be equal to
+     * - regular expression that the property value must match
+     * - array of values that the property value must be one of
+     * - object with one or more operators: *eq*, *ne*, *gt*, *gte*, *lt*, *lte*,
+     * *in* (array of values), *nin* (array of values), *regex* (regular expression or string),
+     * and *exists* (boolean)
+     * @typedef {string|number|boolean|RegExp|Array|object} PropertyCondition
+     */
+
+    /**
+     * Finds scene objects with properties matching all given conditions.
+     *
+     * Condition keys are matched (case-insensitively) against property display names
+     * or attribute names, optionally prefixed with the display category,
+     * for example, *Height* or *Dimensions.Height*. Special keys *name*, *externalId*
+     * and *dbId* are matched against the object itself. Values of the *Category* property
+     * are compared without the *Revit* prefix, so both *Walls* and *Revit Walls* match
+     * walls; regular expressions are tested against the unmodified value.
+     *
+     * @param {Object.<string, PropertyCondition>} conditions Map of property names to conditions.
+     * @param {object} [options] Additional query options.
+     * @param {number} [options.parentId] ID of the parent object whose children should be searched.
+     * If undefined, all scene objects are searched.
+     * @param {boolean} [options.leafNodesOnly=true] Only search leaf objects.
+     * @param {string[]} [options.propFilter] Optional list of property names to retrieve
+     * (can speed up the query on large models).
+     * @param {Model} [options.model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {Promise<PropertyResult[]>} Promise that will be resolved with a list of matching objects
+     * and their properties, or rejected with an error.
+     *
+     * @example
+     * const walls = await utils.query({
+     *   category: /Walls/,
+     *   'Dimensions.Height': { gt: 3000 },
+     *   'Identity Data.Mark': { in: ['A1', 'A2'] }
+     * });
+     * utils.viewer.isolate(walls.map(wall => wall.dbId));
+     */
+    query(conditions, options = {}) {
+        const self = this;
+        const leafNodesOnly = options.leafNodesOnly !== false;
+        const ids = leafNodesOnly
+            ? this.listLeafNodes(options.parentId, options.model)
+            : this.listNodes(options.parentId, options.model);
+        return ids
+            .then(function(dbIds) { return self.getBulkProperties(dbIds, options.propFilter, options.model); })
+            .then(function(results) { return results.filter(result => Utilities.matchProperties(result, conditions)); });
+    }
+
+    /**
+     * Checks whether properties of a scene object match all given conditions.
+     * Can also be used to filter property results that have been saved earlier.
+     * @param {PropertyResult} result Properties of a single scene object.
+     * @param {Object.<string, PropertyCondition>} conditions Map of property names to conditions.
+     * See {@link Utilities#query} for more details.
+     * @returns {boolean} True if all conditions are met.
+     *
+     * @example
+     * const results = require('./properties.json');
+     * const tall = results.filter(result => Utilities.matchProperties(result, { Height: { gte: 3000 } }));
+     */
+    static matchProperties(result, conditions) {
+        return Object.keys(conditions).every(function(key) {
+            const values = Utilities._findProperties(result, key).map(prop => prop.displayValue);
+            const normalize = key.toLowerCase() === 'category' ? Utilities._normalizeCategory : undefined;
+            return Utilities._matchCondition(values, conditions[key], normalize);
+        });
+    }
+
+    /**
+     * Finds all properties matching given key.
+     * @private
+     * @param {PropertyResult} result Properties of a single scene object.
+     * @param {string} key Property name, optionally prefixed with display category.
+     * @returns {Property[]} List of matching properties.
+     */
+    static _findProperties(result, key) {
+        const lowerKey = key.toLowerCase();
+        if (lowerKey === 'name' || lowerKey === 'externalid' || lowerKey === 'dbid') {
+            const prop = Object.keys(result).find(name => name.toLowerCase() === lowerKey);
+            if (prop && typeof result[prop] !== 'undefined') {
+                return [{ displayName: prop, displayValue: result[prop] }];
+            }
+        }
+        const properties = result.properties || [];
+        let matches = properties.filter(function(prop) {
+            return (prop.displayName && prop.displayName.toLowerCase() === lowerKey)
+                || (prop.attributeName && prop.attributeName.toLowerCase() === lowerKey);
+        });
+        const dot = lowerKey.indexOf('.');
+        if (matches.length === 0 && dot !== -1) {
+            const category = lowerKey.slice(0, dot);
+            const name = lowerKey.slice(dot + 1);
+            matches = properties.filter(function(prop) {
+                return prop.displayCategory && prop.displayCategory.toLowerCase() === category
+                    && ((prop.displayName && prop.displayName.toLowerCase() === name)
+                        || (prop.attributeName && prop.attributeName.toLowerCase() === name));
+            });
+        }
+        return matches;
+    }
+
+    /**
+     * Strips the *Revit* prefix from a category name, for example, *Revit Walls* becomes *Walls*.
+     * @private
+     * @param {string} category Category name.
+     * @returns {string} Category name without the prefix.
+     */
+    static _normalizeCategory(category) {
+        return category.replace(/^Revit\s+/i, '');
+    }
+
+    /**
+     * Checks whether any of given property values meets a condition.
+     * @private
+     * @param {Array} values List of property values.
+     * @param {PropertyCondition} condition Property condition.
+     * @param {function} [normalize] Optional function applied to string values
+     * (and expected values) before testing them for equality.
+     * @returns {boolean} True if the condition is met.
+     */
+    static _matchCondition(values, condition, normalize = (str => str)) {
+        function equals(value, expected) {
+            return value === expected || normalize(String(value)) === normalize(String(expected));
+        }
+        function compare(value, expected, test) {
+            const a = parseFloat(value);
+            const b = parseFloat(expected);
+            return !isNaN(a) && !isNaN(b) ? test(a, b) : test(String(value), String(expected));
+        }
+        function matchValue(value, condition) {
+            if (condition instanceof RegExp) {
+                return condition.test(String(value));
+            } else if (Array.isArray(condition)) {
+                return condition.some(expected => equals(value, expected));
+            } else if (condition !== null && typeof condition === 'object') {
+                return Object.keys(condition).every(function(op) {
+                    const expected = condition[op];
+                    switch (op) {
+                        case 'eq': return equals(value, expected);
+                        case 'ne': return !equals(value, expected);
+                        case 'gt': return compare(value, expected, (a, b) => a > b);
+                        case 'gte': return compare(value, expected, (a, b) => a >= b);
+                        case 'lt': return compare(value, expected, (a, b) => a < b);
+                        case 'lte': return compare(value, expected, (a, b) => a <= b);
+                        case 'in': return expected.some(item => equals(value, item));
+                        case 'nin': return !expected.some(item => equals(value, item));
+                        case 'regex': return (expected instanceof RegExp ? expected : new RegExp(expected)).test(String(value));
+                        case 'exists': return true;
+                        default: throw new UtilitiesError(`Unknown query operator ${op}.`);
+                    }
+                });
+            } else {
+                return equals(value, condition);
+            }
+        }
+        if (condition !== null && typeof condition === 'object' && condition.exists === false) {
+            return values.length === 0;
+        }
+        return values.some(value => matchValue(value, condition));
+    }
+
+    /**
+     * Options used when flattening and exporting properties.
+     * @typedef {object} PropertyExportOptions
+     * @property {string} [format='csv'] Output format, either *csv* or *json*.
+     * @property {string[]} [columns] Keys of properties to export, using the same syntax
+     * as {@link Utilities#query}, for example, *name*, *Height* or *Dimensions.Height*.
+     * If undefined, all properties are exported, each in a column named *Category.Name*.
+     * @property {string} [units='column'] How to handle property units: *column* adds a separate
+     * column (*Category.Name (units)*) for each property with units, *inline* appends the units
+     * to the value (for example, *3000 mm*), and *none* ignores them.
+     * @property {number} [precision] Number of decimal places to round numeric values to.
+     * @property {boolean} [includeHidden=false] Include properties hidden in the UI
+     * (only applies when *columns* are not specified).
+     * @property {string} [delimiter=','] CSV column delimiter, for example, *;* or *\t*.
+     * @property {boolean} [bom=false] Prefix the CSV output with a byte order mark,
+     * so that spreadsheet applications such as Excel detect UTF-8 encoding.
+     * @property {boolean} [blob=false] Return the output as a Blob instead of a string.
+     */
+
+    /**
+     * Exports properties of scene objects into a CSV or JSON document,
+     * for example, to produce schedules that can be opened in spreadsheet applications.
+     * @param {number[]} [dbIds] IDs of objects whose properties should be exported.
+     * If undefined, properties of all leaf objects are exported.
+     * @param {PropertyExportOptions} [options] Export options.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {Promise<string|Blob>} Promise that will be resolved with the exported document,
+     * or rejected with an error.
+     *
+     * @example
+     * const csv = await utils.exportProperties(undefined, {
+     *   columns: ['name', 'Category', 'Dimensions.Volume'],
+     *   bom: true,
+     *   blob: true
+     * });
+     * const link = document.createElement('a');
+     * link.href = URL.createObjectURL(csv);
+     * link.download = 'schedule.csv';
+     * link.click();
+     */
+    exportProperties(dbIds = undefined, options = {}, model = undefined) {
+        const self = this;
+        const ids = dbIds ? Promise.resolve(dbIds) : this.listLeafNodes(undefined, model);
+        return ids
+            .then(function(dbIds) { return self.getBulkProperties(dbIds, undefined, model); })
+            .then(function(results) {
+                const table = Utilities.flattenProperties(results, options);
+                const format = options.format || 'csv';
+                let output = null;
+                switch (format) {
+                    case 'csv':
+                        output = Utilities.formatCSV(table, options);
+                        break;
+                    case 'json':
+                        output = JSON.stringify(table.rows, null, 2);
+                        break;
+                    default:
+                        throw new UtilitiesError(`Unknown export format ${format}.`);
+                }
+                if (options.blob) {
+                    const type = format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json';
+                    return new Blob([output], { type });
+                }
+                return output;
+            });
+    }
+
+    /**
+     * Table of flattened properties.
+     * @typedef {object} PropertyTable
+     * @property {string[]} columns List of column names.
+     * @property {object[]} rows List of rows, each an object mapping column names to values.
+     */
+
+    /**
+     * Flattens properties of scene objects into table rows.
+     * @param {PropertyResult[]} results Properties of scene objects,
+     * for example, from {@link Utilities#getBulkProperties}.
+     * @param {PropertyExportOptions} [options] Flattening options
+     * (only *columns*, *units*, *precision* and *includeHidden* are used).
+     * @returns {PropertyTable} Table of flattened properties.
+     *
+     * @example
+     * const Utilities = require('forge-viewer-utils');
+     * const results = require('./properties.json');
+     * const table = Utilities.flattenProperties(results, { columns: ['name', 'Dimensions.Height'] });
+     * console.log(Utilities.formatCSV(table));
+     */
+    static flattenProperties(results, options = {}) {
+        const unitsMode = options.units || 'column';
+        const columns = [];
+        const known = new Set();
+        function addColumn(column) {
+            if (!known.has(column)) {
+                known.add(column);
+                columns.push(column);
+            }
+        }
+        function formatValue(prop) {
+            let value = prop.displayValue;
+            if (typeof value === 'number' && typeof options.precision === 'number') {
+                value = parseFloat(value.toFixed(options.precision));
+            }
+            if (prop.type === 1) { // boolean
+                value = !!value;
+            }
+            if (unitsMode === 'inline' && prop.units && value !== '' && value !== null) {
+                value = `${value} ${prop.units}`;
+            }
+            return value;
+        }
+        function setValue(row, column, prop) {
+            addColumn(column);
+            row[column] = formatValue(prop);
+            if (unitsMode === 'column' && prop.units) {
+                addColumn(`${column} (units)`);
+                row[`${column} (units)`] = prop.units;
+            }
+        }
+        if (options.columns) {
+            options.columns.forEach(addColumn);
+        } else {
+            ['dbId', 'externalId', 'name'].forEach(addColumn);
+        }
+        const rows = results.map(function(result) {
+            const row = {};
+            if (options.columns) {
+                for (const column of options.columns) {
+                    const props = Utilities._findProperties(result, column);
+                    if (props.length > 0) {
+                        setValue(row, column, props[0]);
+                    }
+                }
+            } else {
+                row.dbId = result.dbId;
+                row.externalId = result.externalId;
+                row.name = result.name;
+                for (const prop of result.properties || []) {
+                    if (prop.hidden && !options.includeHidden) {
+                        continue;
+                    }
+                    setValue(row, `${prop.displayCategory}.${prop.displayName}`, prop);
+                }
+            }
+            return row;
+        });
+        return { columns, rows };
+    }
+
+    /**
+     * Formats table of flattened properties as CSV.
+     * @param {PropertyTable} table Table of flattened properties, for example, from {@link Utilities.flattenProperties}.
+     * @param {PropertyExportOptions} [options] Formatting options (only *delimiter* and *bom* are used).
+     * @returns {string} CSV document.
+     */
+    static formatCSV(table, options = {}) {
+        const delimiter = options.delimiter || ',';
+        function escape(value) {
+            if (typeof value === 'undefined' || value === null) {
+                return '';
+            }
+            const str = String(value);
+            if (str.indexOf(delimiter) !== -1 || /["\r\n]/.test(str)) {
+                return '"' + str.replace(/"/g, '""') + '"';
+            }
+            return str;
+        }
+        const lines = [table.columns.map(escape).join(delimiter)];
+        for (const row of table.rows) {
+            lines.push(table.columns.map(column => escape(row[column])).join(delimiter));
+        }
+        return (options.bom ? '\ufeff' : '') + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Parses CSV document into a list of rows. Quoted values (including escaped quotes
+     * and line breaks) are supported, and an optional byte order mark is skipped.
+     * @param {string} text CSV document.
+     * @param {object} [options] Parsing options.
+     * @param {string} [options.delimiter=','] Value delimiter.
+     * @returns {string[][]} List of rows, each being a list of values.
      *
+     * @example
+     * const rows = Utilities.parseCSV('Task,Start\r\n"Walls, level 1",2019-03-01\r\n');
+     * console.log(rows); // [['Task', 'Start'], ['Walls, level 1', '2019-03-01']]
+     */
+    static parseCSV(text, options = {}) {
+        const delimiter = options.delimiter || ',';
+        const rows = [];
+        let row = [], value = '', quoted = false;
+        let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+        for (; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    value += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (text.startsWith(delimiter, i)) {
+                row.push(value);
+                value = '';
+                i += delimiter.length - 1;
+            } else if (ch === '\r' || ch === '\n') {
+                if (ch === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += ch;
+            }
+        }
+        if (value.length > 0 || row.length > 0) {
+            row.push(value);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Gets world bounding box of scene fragment.
      * @param {number} fragId Fragment ID.
-     * @param {THREE.Matrix4} [transform] Matrix to be populated with transform values and returned
+     * @param {THREE.Box3} [bounds] {@link https://threejs.org/docs/#api/en/math/Box3|Box3}
+     * to be populated with bounding box values and returned
      * (in case you want to avoid creating a new instance for performance reasons).
-     * @returns {THREE.Matrix4} Transformation {@link https://threejs.org/docs/#api/en/math/Matrix4|Matrix4}.
-     * @throws Exception when the fragments are not yet available.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {THREE.Box3} Transformation {@link https://threejs.org/docs/#api/en/math/Box3|Box3}.
+     * @throws {ModelNotReadyError} when the fragments are not yet available.
      *
      * @example
      * viewer.addEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, function() {
      *   try {
-     *     const transform = utils.getFragmentTransform(1);
-     *     console.log('Final fragment transform', transform);
+     *     const bounds = utils.getFragmentBounds(1);
+     *     console.log('Fragment bounds', bounds);
      *   } catch(err) {
-     *     console.error('Could not retrieve fragment transform', err);
+     *     console.error('Could not retrieve fragment bounds', err);
      *   }
      * });
      */
-    getFragmentTransform(fragId, transform = null) {
-        if (!this.viewer.model) {
-            throw new Error('Fragments not yet available. Wait for Autodesk.Viewing.FRAGMENTS_LOADED_EVENT event.');
+    getFragmentBounds(fragId, bounds = null, model = undefined) {
+        model = model || this.viewer.model;
+        if (!model) {
+            throw new ModelNotReadyError('Fragments not yet available. Wait for them using waitFor("fragments").');
         }
-        const frags = this.viewer.model.getFragmentList();
-        transform = transform || new THREE.Matrix4();
-        frags.getWorldMatrix(fragId, transform);
-        return transform;
+        const frags = model.getFragmentList();
+        bounds = bounds || new THREE.Box3();
+        frags.getWorldBounds(fragId, bounds);
+        return bounds;
     }
 
     /**
-     * Re-renders entire scene, including overlay scenes. Should only be called
-     * when absolutely needed, for example after updating aux. transforms
-     * of multiple fragments using {@link setFragmentAuxiliaryTransform}.
+     * Gets world bounding box of scene object, i.e., the union of bounding boxes
+     * of all its fragments (including fragments of its children).
+     * Should be called *after* both the object tree and the fragments have been loaded.
+     * @param {number} dbId Object ID.
+     * @param {THREE.Box3} [bounds] {@link https://threejs.org/docs/#api/en/math/Box3|Box3}
+     * to be populated with bounding box values and returned
+     * (in case you want to avoid creating a new instance for performance reasons).
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {THREE.Box3} Bounding box {@link https://threejs.org/docs/#api/en/math/Box3|Box3}
+     * (empty if the object has no fragments).
+     * @throws {ModelNotReadyError} when the object tree or the fragments are not yet available.
+     *
+     * @example
+     * await utils.load(urn, 0, { waitFor: 'geometry' });
+     * await utils.waitFor('objectTree');
+     * console.log('Object bounds', utils.getNodeBounds(1));
      */
-    refresh() {
-        this.impl.invalidate(true, true, true);
+    getNodeBounds(dbId, bounds = null, model = undefined) {
+        model = model || this.viewer.model;
+        const tree = model && model.getData().instanceTree;
+        if (!tree) {
+            throw new ModelNotReadyError('Object tree not yet available. Wait for it using waitFor("objectTree").');
+        }
+        const frags = model.getFragmentList();
+        const fragBounds = new THREE.Box3();
+        bounds = bounds || new THREE.Box3();
+        bounds.makeEmpty();
+        tree.enumNodeFragments(dbId, function(fragId) {
+            frags.getWorldBounds(fragId, fragBounds);
+            bounds.union(fragBounds);
+        }, true);
+        return bounds;
+    }
+
+    /**
+     * Options used by area selection methods.
+     * @typedef {object} AreaSelectionOptions
+     * @property {string} [mode='intersecting'] Selection mode: *contained* only reports objects
+     * whose fragments are all fully inside the area, *intersecting* reports objects
+     * with at least one fragment overlapping the area.
+     * @property {boolean} [select=false] Apply the result as the current viewer selection.
+     * @property {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     */
+
+    /**
+     * Finds leaf objects inside a world-space box, based on the bounding boxes of their fragments.
+     * @param {THREE.Box3} box {@link https://threejs.org/docs/#api/en/math/Box3|Box3} in world coordinates.
+     * @param {AreaSelectionOptions} [options] Additional selection options.
+     * @returns {Promise<number[]>} Promise that will be resolved with a list of object IDs,
+     * or rejected with an error.
+     *
+     * @example
+     * const room = utils.getNodeBounds(roomId);
+     * const ids = await utils.selectInBox(room, { mode: 'contained', select: true });
+     */
+    selectInBox(box, options = {}) {
+        const contained = options.mode === 'contained';
+        function test(bounds) {
+            if (contained) {
+                return bounds.min.x >= box.min.x && bounds.max.x <= box.max.x
+                    && bounds.min.y >= box.min.y && bounds.max.y <= box.max.y
+                    && bounds.min.z >= box.min.z && bounds.max.z <= box.max.z;
+            } else {
+                return bounds.min.x <= box.max.x && bounds.max.x >= box.min.x
+                    && bounds.min.y <= box.max.y && bounds.max.y >= box.min.y
+                    && bounds.min.z <= box.max.z && bounds.max.z >= box.min.z;
+            }
+        }
+        return this._selectByFragmentBounds(test, options);
+    }
+
+    /**
+     * Finds leaf objects inside a rectangle on the canvas, based on the bounding boxes
+     * of their fragments projected to the screen. Bounding boxes reaching behind the camera
+     * are never considered *contained*, and only their visible part is tested in the *intersecting* mode.
+     * @param {number} x1 X-coordinate of one corner of the rectangle (in pixels, relative to the canvas).
+     * @param {number} y1 Y-coordinate of one corner of the rectangle (in pixels, relative to the canvas).
+     * @param {number} x2 X-coordinate of the opposite corner of the rectangle.
+     * @param {number} y2 Y-coordinate of the opposite corner of the rectangle.
+     * @param {AreaSelectionOptions} [options] Additional selection options.
+     * @returns {Promise<number[]>} Promise that will be resolved with a list of object IDs,
+     * or rejected with an error.
+     *
+     * @example
+     * const ids = await utils.selectInScreenRect(100, 100, 400, 300, { mode: 'intersecting', select: true });
+     * console.log('Selected objects', ids);
+     */
+    selectInScreenRect(x1, y1, x2, y2, options = {}) {
+        const impl = this.impl;
+        const contained = options.mode === 'contained';
+        const minX = Math.min(x1, x2), maxX = Math.max(x1, x2);
+        const minY = Math.min(y1, y2), maxY = Math.max(y1, y2);
+        const camera = impl.camera;
+        const viewProjection = new THREE.Matrix4().multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        const corners = [0, 1, 2, 3, 4, 5, 6, 7].map(() => new THREE.Vector4());
+        const clipped = new THREE.Vector4();
+        // Corners behind the camera (w <= 0) would be mirrored by the perspective division,
+        // so box edges crossing the camera plane are clipped just in front of it instead
+        const near = 1e-6;
+        function test(bounds) {
+            let left = Infinity, right = -Infinity, top = Infinity, bottom = -Infinity;
+            function include(clip) {
+                const point = impl.viewportToClient(clip.x / clip.w, clip.y / clip.w);
+                left = Math.min(left, point.x);
+                right = Math.max(right, point.x);
+                top = Math.min(top, point.y);
+                bottom = Math.max(bottom, point.y);
+            }
+            let behind = 0;
+            for (let i = 0; i < 8; i++) {
+                corners[i].set(
+                    i & 1 ? bounds.max.x : bounds.min.x,
+                    i & 2 ? bounds.max.y : bounds.min.y,
+                    i & 4 ? bounds.max.z : bounds.min.z,
+                    1.0
+                ).applyMatrix4(viewProjection);
+                if (corners[i].w > near) {
+                    include(corners[i]);
+                } else {
+                    behind++;
+                }
+            }
+            if (behind > 0) {
+                if (contained || behind === 8) {
+                    return false;
+                }
+                for (let i = 0; i < 8; i++) {
+                    for (let bit = 1; bit < 8; bit <<= 1) {
+                        const a = corners[i], b = corners[i | bit];
+                        if ((i & bit) === 0 && (a.w > near) !== (b.w > near)) {
+                            include(clipped.copy(a).lerp(b, (near - a.w) / (b.w - a.w)));
+                        }
+                    }
+                }
+            }
+            if (contained) {
+                return left >= minX && right <= maxX && top >= minY && bottom <= maxY;
+            } else {
+                return left <= maxX && right >= minX && top <= maxY && bottom >= minY;
+            }
+        }
+        return this._selectByFragmentBounds(test, options);
+    }
+
+    /**
+     * Finds leaf objects whose fragment bounds pass a test.
+     * @private
+     * @param {function} test Function called with fragment bounds, returning true if the fragment passes.
+     * @param {AreaSelectionOptions} options Selection options.
+     * @returns {Promise<number[]>} Promise that will be resolved with a list of object IDs.
+     */
+    _selectByFragmentBounds(test, options) {
+        const self = this;
+        const contained = options.mode === 'contained';
+        return this._getLeafFragments(options.model).then(function(leafFragments) {
+            const bounds = new THREE.Box3();
+            const dbIds = [];
+            for (const [dbId, fragIds] of leafFragments) {
+                if (fragIds.length === 0) {
+                    continue;
+                }
+                const passes = function(fragId) { return test(self.getFragmentBounds(fragId, bounds, options.model)); };
+                if (contained ? fragIds.every(passes) : fragIds.some(passes)) {
+                    dbIds.push(dbId);
+                }
+            }
+            if (options.select) {
+                self.viewer.select(dbIds, options.model);
+            }
+            return dbIds;
+        });
+    }
+
+    /**
+     * Collects fragment IDs of all leaf objects.
+     * @private
+     * @param {Model} [model] Model to operate on. If undefined, the currently loaded model is used.
+     * @returns {Promise<Map<number, number[]>>} Promise that will be resolved with a map of leaf object IDs
+     * to lists of their fragment IDs, or rejected with an error.
+     */
+    _getLeafFragments(model) {
+        const viewer = this.viewer;
+        return new Promise(function(resolve, reject) {
+            function onSuccess(tree) {
+                try {
+                    const leafFragments = new Map();
+                    tree.enumNodeChildren(tree.getRootId(), function(dbId) {
+                        if (tree.getChildCount(dbId) === 0) {
+                            const fragIds = [];
+                            tree.enumNodeFragments(dbId, function(fragId) { fragIds.push(fragId); }, false);
+                            leafFragments.set(dbId, fragIds);
+                        }
+                    }, true);
+                    resolve(leafFragments);
+                } catch(err) {
+                    reject(err);
+                }
+            }
+            function onError(err) { reject(new ObjectTreeError(err)); }
+            model = model || viewer.model;
+            if (!model) {
+                reject(new ModelNotReadyError());
+                return;
+            }
+            model.getObjectTree(onSuccess, onError);
+        });
+    }
+
+    /**
+     * Builds a {@link SpatialIndex} over world bounds of all fragments of a model,
+     * for fast proximity queries such as nearest neighbors or box overlaps.
+     * Each item in the index uses fragment ID as its *id*, and ID of the object
+     * the fragment belongs to as its *data*. The index is kept up to date
+     * when fragments are moved using {@link Utilities#setFragmentAuxTransform}.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {Promise<SpatialIndex>} Promise that will be resolved with the spatial index,
+     * or rejected with an error.
+     *
+     * @example
+     * const index = await utils.buildSpatialIndex();
+     * const nearest = index.nearest(new THREE.Vector3(0, 0, 0), 5);
+     * console.log('Objects closest to origin', nearest.map(item => index.getData(item.id)));
+     */
+    buildSpatialIndex(model = undefined) {
+        const self = this;
+        model = model || this.viewer.model;
+        return this._getLeafFragments(model).then(function(leafFragments) {
+            const items = [];
+            for (const [dbId, fragIds] of leafFragments) {
+                for (const fragId of fragIds) {
+                    const bounds = self.getFragmentBounds(fragId, null, model);
+                    items.push({ id: fragId, data: dbId, min: bounds.min, max: bounds.max });
+                }
+            }
+            const index = new SpatialIndex(items);
+            self._spatialIndices.set(model, index);
+            return index;
+        });
+    }
+
+    /**
+     * Gets spatial index previously built for a model using {@link Utilities#buildSpatialIndex}.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {SpatialIndex?} Spatial index, or null if it has not been built yet.
+     */
+    getSpatialIndex(model = undefined) {
+        return this._spatialIndices.get(model || this.viewer.model) || null;
+    }
+
+    /**
+     * Clash between two scene objects.
+     * @typedef {object} Clash
+     * @property {number} dbIdA ID of the object from the first set.
+     * @property {number} dbIdB ID of the object from the second set.
+     * @property {string} type Either *hard* (geometries intersect), *contained* (one object
+     * is entirely inside the other, for example, a pipe inside a wall), or *clearance*
+     * (geometries do not intersect but are closer than the tolerance).
+     * @property {number} clearance Distance between the geometries (0 for hard and contained clashes).
+     * @property {THREE.Vector3[]} points Intersection points (for hard clashes), center of the inner
+     * object (for contained clashes), or the two closest points (for clearance clashes).
+     * @property {THREE.Mesh} [marker] Overlay mesh marking the clash, if requested.
+     */
+
+    /**
+     * Finds clashes between two sets of scene objects. Candidate pairs are found
+     * by overlapping fragment bounds, and then confirmed by testing intersections
+     * of the fragment triangles. When the triangles do not intersect but the bounds of one object
+     * lie within the bounds of the other, a ray is cast from the inner object to check
+     * whether it is enclosed by the geometry of the outer one (assuming closed meshes).
+     * @param {number[]} setA IDs of objects in the first set.
+     * @param {number[]} [setB] IDs of objects in the second set.
+     * If undefined, objects in the first set are tested against each other.
+     * @param {object} [options] Additional options.
+     * @param {number} [options.tolerance=0] Objects closer to each other than this distance
+     * are reported as *clearance* clashes.
+     * @param {boolean|string} [options.markers=false] Mark each clash with a sphere, either in the default
+     * overlay scene (true), or in the overlay scene of given name (see {@link Utilities#addCustomMesh}).
+     * @param {number} [options.markerSize] Radius of the marker spheres.
+     * If undefined, it is derived from the size of the clashing objects.
+     * @param {Model} [options.model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {Promise<Clash[]>} Promise that will be resolved with a list of {@link Clash},
+     * or rejected with an error.
+     *
+     * @example
+     * const ducts = await utils.query({ Category: 'Revit Ducts' });
+     * const beams = await utils.query({ Category: 'Revit Structural Framing' });
+     * const clashes = await utils.detectClashes(ducts.map(d => d.dbId), beams.map(b => b.dbId), { tolerance: 0.1, markers: true });
+     * utils.refresh();
+     */
+    detectClashes(setA, setB = undefined, options = {}) {
+        const self = this;
+        const model = options.model || this.viewer.model;
+        const tolerance = options.tolerance || 0;
+        const triangleCache = new Map();
+        function getTriangles(fragId) {
+            if (!triangleCache.has(fragId)) {
+                triangleCache.set(fragId, self._getFragmentTriangles(fragId, model));
+            }
+            return triangleCache.get(fragId);
+        }
+        function buildIndex(fragments) {
+            const items = [];
+            for (const [dbId, fragIds] of fragments) {
+                for (const fragId of fragIds) {
+                    const bounds = self.getFragmentBounds(fragId, null, model);
+                    items.push({ id: fragId, data: dbId, min: bounds.min, max: bounds.max });
+                }
+            }
+            return new SpatialIndex(items);
+        }
+        return Promise.all([this._getNodeFragments(setA, model), setB ? this._getNodeFragments(setB, model) : null])
+            .then(function([fragmentsA, fragmentsB]) {
+                const indexA = buildIndex(fragmentsA);
+                const indexB = fragmentsB ? buildIndex(fragmentsB) : indexA;
+                // Group candidate fragment pairs by object pairs
+                const candidates = new Map();
+                for (const [fragA, fragB] of indexA.clashCandidates(indexB, tolerance)) {
+                    let dbIdA = indexA.getData(fragA), dbIdB = indexB.getData(fragB);
+                    if (dbIdA === dbIdB) {
+                        continue;
+                    }
+                    if (!fragmentsB && dbIdA > dbIdB) {
+                        [dbIdA, dbIdB] = [dbIdB, dbIdA];
+                    }
+                    const key = `${dbIdA}:${dbIdB}`;
+                    if (!candidates.has(key)) {
+                        candidates.set(key, { dbIdA, dbIdB, pairs: [] });
+                    }
+                    candidates.get(key).pairs.push(indexA.getData(fragA) === dbIdA ? [fragA, fragB] : [fragB, fragA]);
+                }
+                function objectTriangles(dbId) {
+                    const fragIds = fragmentsA.get(dbId) || (fragmentsB && fragmentsB.get(dbId)) || [];
+                    return fragIds.map(getTriangles).filter(triangles => triangles.length > 0);
+                }
+                function objectBounds(meshes) {
+                    const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+                    for (const bounds of meshes.map(Utilities._triangleBounds)) {
+                        for (let i = 0; i < 3; i++) {
+                            min[i] = Math.min(min[i], bounds.min[i]);
+                            max[i] = Math.max(max[i], bounds.max[i]);
+                        }
+                    }
+                    return { min, max };
+                }
+                // Finds out whether one of the objects encloses the other, returning bounds of the inner one
+                function containment(dbIdA, dbIdB) {
+                    const meshesA = objectTriangles(dbIdA), meshesB = objectTriangles(dbIdB);
+                    if (meshesA.length === 0 || meshesB.length === 0) {
+                        return null;
+                    }
+                    const boundsA = objectBounds(meshesA), boundsB = objectBounds(meshesB);
+                    for (const [inner, outer, innerBounds, outerBounds] of [[meshesA, meshesB, boundsA, boundsB], [meshesB, meshesA, boundsB, boundsA]]) {
+                        const nested = [0, 1, 2].every(i => innerBounds.min[i] >= outerBounds.min[i] && innerBounds.max[i] <= outerBounds.max[i]);
+                        if (nested && Utilities._isPointInside([inner[0][0], inner[0][1], inner[0][2]], outer, outerBounds)) {
+                            return innerBounds;
+                        }
+                    }
+                    return null;
+                }
+                const clashes = [];
+                for (const candidate of candidates.values()) {
+                    let points = [];
+                    let closest = null;
+                    for (const [fragA, fragB] of candidate.pairs) {
+                        const result = Utilities.intersectTriangleSets(getTriangles(fragA), getTriangles(fragB), tolerance);
+                        points = points.concat(result.points);
+                        if (result.closest && (!closest || result.closest.distance < closest.distance)) {
+                            closest = result.closest;
+                        }
+                    }
+                    let clash = null;
+                    const inner = points.length === 0 ? containment(candidate.dbIdA, candidate.dbIdB) : null;
+                    if (points.length > 0) {
+                        clash = { dbIdA: candidate.dbIdA, dbIdB: candidate.dbIdB, type: 'hard', clearance: 0, points };
+                    } else if (inner) {
+                        const center = [0, 1, 2].map(i => 0.5 * (inner.min[i] + inner.max[i]));
+                        clash = { dbIdA: candidate.dbIdA, dbIdB: candidate.dbIdB, type: 'contained', clearance: 0, points: [center] };
+                    } else if (closest && closest.distance <= tolerance) {
+                        clash = { dbIdA: candidate.dbIdA, dbIdB: candidate.dbIdB, type: 'clearance', clearance: closest.distance, points: closest.points };
+                    }
+                    if (clash) {
+                        clash.points = clash.points.map(point => new THREE.Vector3(point[0], point[1], point[2]));
+                        clashes.push(clash);
+                    }
+                }
+                if (options.markers && clashes.length > 0) {
+                    const overlay = typeof options.markers === 'string' ? options.markers : undefined;
+                    self.history.transaction('Clash markers', function() {
+                        for (const clash of clashes) {
+                            const center = new THREE.Vector3();
+                            clash.points.forEach(point => center.add(point));
+                            center.multiplyScalar(1.0 / clash.points.length);
+                            let radius = options.markerSize;
+                            if (!radius) {
+                                const size = self.getNodeBounds(clash.dbIdA, null, model).size();
+                                radius = Math.max(0.05 * Math.min(size.x, size.y, size.z), 1e-3);
+                            }
+                            clash.marker = new THREE.Mesh(new THREE.SphereGeometry(radius, 8, 8), new THREE.MeshBasicMaterial({ color: 0xff0000 }));
+                            clash.marker.position.copy(center);
+                            self.addCustomMesh(clash.marker, overlay);
+                        }
+                    });
+                }
+                return clashes;
+            });
     }
-}
 
-Autodesk = Autodesk || {};
-Autodesk.Viewing = Autodesk.Viewing || {};
-Autodesk.Viewing.Utilities = Utilities;
+    /**
+     * Result of intersecting two sets of triangles.
+     * @typedef {object} TriangleSetIntersection
+     * @property {number[][]} points Intersection points (arrays of three numbers).
+     * @property {object?} closest If the sets do not intersect and they are closer than the tolerance,
+     * an object with *distance* and *points* (the two closest points).
+     */
+
+    /**
+     * Intersects two sets of triangles. Only pairs of triangles whose bounding boxes
+     * (expanded by the tolerance) overlap are tested, using a {@link SpatialIndex} of the triangles
+     * within the overlap of the bounding boxes of both sets.
+     * @param {Float64Array|number[]} trianglesA First set of triangles, with 9 numbers (3 vertices) per triangle.
+     * @param {Float64Array|number[]} trianglesB Second set of triangles, with 9 numbers (3 vertices) per triangle.
+     * @param {number} [tolerance=0] Maximum distance for which the closest points are reported
+     * when the sets do not intersect.
+     * @returns {TriangleSetIntersection} Intersection points and closest points.
+     */
+    static intersectTriangleSets(trianglesA, trianglesB, tolerance = 0) {
+        const pairs = Utilities._triangleCandidates(trianglesA, trianglesB, tolerance);
+        const points = [];
+        const point = [0, 0, 0];
+        function testEdges(trisEdges, e, trisFace, f) {
+            for (let i = 0; i < 3; i++) {
+                const p = [trisEdges[e + i * 3], trisEdges[e + i * 3 + 1], trisEdges[e + i * 3 + 2]];
+                const j = (i + 1) % 3;
+                const q = [trisEdges[e + j * 3], trisEdges[e + j * 3 + 1], trisEdges[e + j * 3 + 2]];
+                if (Utilities._intersectSegmentTriangle(p, q, trisFace, f, point)) {
+                    points.push(point.slice());
+                }
+            }
+        }
+        for (const [a, b] of pairs) {
+            testEdges(trianglesA, a, trianglesB, b);
+            testEdges(trianglesB, b, trianglesA, a);
+        }
+        let closest = null;
+        if (points.length === 0 && tolerance > 0) {
+            const pointA = [0, 0, 0], pointB = [0, 0, 0];
+            let bestSq = tolerance * tolerance;
+            for (const [a, b] of pairs) {
+                const distSq = Utilities._triangleDistanceSq(trianglesA, a, trianglesB, b, pointA, pointB);
+                if (distSq <= bestSq) {
+                    bestSq = distSq;
+                    closest = { distance: Math.sqrt(distSq), points: [pointA.slice(), pointB.slice()] };
+                }
+            }
+        }
+        return { points, closest };
+    }
+
+    /**
+     * Finds pairs of triangles from two sets whose bounding boxes overlap.
+     * @private
+     * @param {Float64Array|number[]} trianglesA First set of triangles, with 9 numbers (3 vertices) per triangle.
+     * @param {Float64Array|number[]} trianglesB Second set of triangles, with 9 numbers (3 vertices) per triangle.
+     * @param {number} tolerance Boxes closer to each other than this distance are considered overlapping.
+     * @returns {number[][]} Pairs of offsets of the triangles in the first and the second set.
+     */
+    static _triangleCandidates(trianglesA, trianglesB, tolerance) {
+        const boundsA = Utilities._triangleBounds(trianglesA), boundsB = Utilities._triangleBounds(trianglesB);
+        const min = [0, 1, 2].map(i => Math.max(boundsA.min[i], boundsB.min[i]) - tolerance);
+        const max = [0, 1, 2].map(i => Math.min(boundsA.max[i], boundsB.max[i]) + tolerance);
+        function collect(triangles) {
+            const items = [];
+            for (let t = 0; t + 8 < triangles.length; t += 9) {
+                const lo = [0, 1, 2].map(i => Math.min(triangles[t + i], triangles[t + 3 + i], triangles[t + 6 + i]));
+                const hi = [0, 1, 2].map(i => Math.max(triangles[t + i], triangles[t + 3 + i], triangles[t + 6 + i]));
+                if (lo.every((value, i) => value <= max[i]) && hi.every((value, i) => value >= min[i])) {
+                    items.push({ id: t, min: lo, max: hi });
+                }
+            }
+            return new SpatialIndex(items);
+        }
+        return collect(trianglesA).clashCandidates(collect(trianglesB), tolerance);
+    }
+
+    /**
+     * Checks whether a point is enclosed by closed meshes, by counting how many triangles
+     * are crossed by a ray cast from the point.
+     * @private
+     * @param {number[]} point Point to test.
+     * @param {Array<Float64Array|number[]>} meshes Triangles of the meshes, with 9 numbers (3 vertices) per triangle.
+     * @param {object} bounds Bounds of the meshes with *min* and *max* arrays.
+     * @returns {boolean} True if the point is inside.
+     */
+    static _isPointInside(point, meshes, bounds) {
+        // Skewed direction, so that the ray is unlikely to pass exactly through edges or vertices
+        const direction = [0.5773, 0.5774, 0.5776];
+        let length = 0;
+        for (let i = 0; i < 3; i++) {
+            length += Math.abs(point[i] - bounds.min[i]) + Math.abs(bounds.max[i] - point[i]);
+        }
+        const end = [0, 1, 2].map(i => point[i] + direction[i] * 2 * length);
+        const out = [0, 0, 0];
+        let crossings = 0;
+        for (const triangles of meshes) {
+            for (let t = 0; t + 8 < triangles.length; t += 9) {
+                if (Utilities._intersectSegmentTriangle(point, end, triangles, t, out)) {
+                    crossings++;
+                }
+            }
+        }
+        return crossings % 2 === 1;
+    }
+
+    /**
+     * Intersects a line segment with a triangle (using the Möller-Trumbore algorithm).
+     * @private
+     * @param {number[]} p Start of the segment.
+     * @param {number[]} q End of the segment.
+     * @param {Float64Array|number[]} triangles Triangle buffer.
+     * @param {number} t Offset of the triangle in the buffer.
+     * @param {number[]} out Array to be populated with the intersection point.
+     * @returns {boolean} True if the segment intersects the triangle.
+     */
+    static _intersectSegmentTriangle(p, q, triangles, t, out) {
+        const EPSILON = 1e-12;
+        const dir = [q[0] - p[0], q[1] - p[1], q[2] - p[2]];
+        const e1 = [triangles[t + 3] - triangles[t], triangles[t + 4] - triangles[t + 1], triangles[t + 5] - triangles[t + 2]];
+        const e2 = [triangles[t + 6] - triangles[t], triangles[t + 7] - triangles[t + 1], triangles[t + 8] - triangles[t + 2]];
+        const h = [dir[1] * e2[2] - dir[2] * e2[1], dir[2] * e2[0] - dir[0] * e2[2], dir[0] * e2[1] - dir[1] * e2[0]];
+        const det = e1[0] * h[0] + e1[1] * h[1] + e1[2] * h[2];
+        if (Math.abs(det) < EPSILON) {
+            return false; // segment parallel to the triangle
+        }
+        const inv = 1.0 / det;
+        const s = [p[0] - triangles[t], p[1] - triangles[t + 1], p[2] - triangles[t + 2]];
+        const u = inv * (s[0] * h[0] + s[1] * h[1] + s[2] * h[2]);
+        if (u < 0.0 || u > 1.0) {
+            return false;
+        }
+        const k = [s[1] * e1[2] - s[2] * e1[1], s[2] * e1[0] - s[0] * e1[2], s[0] * e1[1] - s[1] * e1[0]];
+        const v = inv * (dir[0] * k[0] + dir[1] * k[1] + dir[2] * k[2]);
+        if (v < 0.0 || u + v > 1.0) {
+            return false;
+        }
+        const w = inv * (e2[0] * k[0] + e2[1] * k[1] + e2[2] * k[2]);
+        if (w < 0.0 || w > 1.0) {
+            return false;
+        }
+        out[0] = p[0] + w * dir[0];
+        out[1] = p[1] + w * dir[1];
+        out[2] = p[2] + w * dir[2];
+        return true;
+    }
+
+    /**
+     * Computes squared distance between a point and a triangle
+     * (using the algorithm from "Real-Time Collision Detection" by Christer Ericson).
+     * @private
+     * @param {number[]} p Point.
+     * @param {Float64Array|number[]} triangles Triangle buffer.
+     * @param {number} t Offset of the triangle in the buffer.
+     * @param {number[]} out Array to be populated with the closest point on the triangle.
+     * @returns {number} Squared distance.
+     */
+    static _pointTriangleDistanceSq(p, triangles, t, out) {
+        const a = [triangles[t], triangles[t + 1], triangles[t + 2]];
+        const b = [triangles[t + 3], triangles[t + 4], triangles[t + 5]];
+        const c = [triangles[t + 6], triangles[t + 7], triangles[t + 8]];
+        const sub = (u, v) => [u[0] - v[0], u[1] - v[1], u[2] - v[2]];
+        const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+        function set(base, u, du, v, dv) {
+            for (let i = 0; i < 3; i++) {
+                out[i] = base[i] + (u ? u[i] * du : 0) + (v ? v[i] * dv : 0);
+            }
+        }
+        const ab = sub(b, a), ac = sub(c, a), ap = sub(p, a);
+        const d1 = dot(ab, ap), d2 = dot(ac, ap);
+        if (d1 <= 0 && d2 <= 0) {
+            set(a);
+        } else {
+            const bp = sub(p, b);
+            const d3 = dot(ab, bp), d4 = dot(ac, bp);
+            const cp = sub(p, c);
+            const d5 = dot(ab, cp), d6 = dot(ac, cp);
+            const vc = d1 * d4 - d3 * d2;
+            const vb = d5 * d2 - d1 * d6;
+            const va = d3 * d6 - d5 * d4;
+            if (d3 >= 0 && d4 <= d3) {
+                set(b);
+            } else if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+                set(a, ab, d1 / (d1 - d3));
+            } else if (d6 >= 0 && d5 <= d6) {
+                set(c);
+            } else if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+                set(a, ac, d2 / (d2 - d6));
+            } else if (va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0) {
+                set(b, sub(c, b), (d4 - d3) / ((d4 - d3) + (d5 - d6)));
+            } else {
+                const denom = 1.0 / (va + vb + vc);
+                set(a, ab, vb * denom, ac, vc * denom);
+            }
+        }
+        const d = sub(p, out);
+        return dot(d, d);
+    }
+
+    /**
+     * Computes closest points of two line segments
+     * (using the algorithm from "Real-Time Collision Detection" by Christer Ericson).
+     * @private
+     * @param {number[]} p1 Start of the first segment.
+     * @param {number[]} q1 End of the first segment.
+     * @param {number[]} p2 Start of the second segment.
+     * @param {number[]} q2 End of the second segment.
+     * @param {number[]} outA Array to be populated with the closest point on the first segment.
+     * @param {number[]} outB Array to be populated with the closest point on the second segment.
+     * @returns {number} Squared distance between the closest points.
+     */
+    static _segmentSegmentDistanceSq(p1, q1, p2, q2, outA, outB) {
+        const EPSILON = 1e-12;
+        const d1 = [q1[0] - p1[0], q1[1] - p1[1], q1[2] - p1[2]];
+        const d2 = [q2[0] - p2[0], q2[1] - p2[1], q2[2] - p2[2]];
+        const r = [p1[0] - p2[0], p1[1] - p2[1], p1[2] - p2[2]];
+        const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+        const clamp = x => Math.min(Math.max(x, 0.0), 1.0);
+        const a = dot(d1, d1), e = dot(d2, d2), f = dot(d2, r);
+        let s, t;
+        if (a <= EPSILON && e <= EPSILON) {
+            s = t = 0.0;
+        } else if (a <= EPSILON) {
+            s = 0.0;
+            t = clamp(f / e);
+        } else {
+            const c = dot(d1, r);
+            if (e <= EPSILON) {
+                t = 0.0;
+                s = clamp(-c / a);
+            } else {
+                const b = dot(d1, d2);
+                const denom = a * e - b * b;
+                s = denom > EPSILON ? clamp((b * f - c * e) / denom) : 0.0;
+                t = (b * s + f) / e;
+                if (t < 0.0) {
+                    t = 0.0;
+                    s = clamp(-c / a);
+                } else if (t > 1.0) {
+                    t = 1.0;
+                    s = clamp((b - c) / a);
+                }
+            }
+        }
+        for (let i = 0; i < 3; i++) {
+            outA[i] = p1[i] + d1[i] * s;
+            outB[i] = p2[i] + d2[i] * t;
+        }
+        const d = [outA[0] - outB[0], outA[1] - outB[1], outA[2] - outB[2]];
+        return dot(d, d);
+    }
+
+    /**
+     * Computes closest points of two non-intersecting triangles, as the closest of all vertex-triangle
+     * and edge-edge distances.
+     * @private
+     * @param {Float64Array|number[]} trianglesA First triangle buffer.
+     * @param {number} a Offset of the first triangle in its buffer.
+     * @param {Float64Array|number[]} trianglesB Second triangle buffer.
+     * @param {number} b Offset of the second triangle in its buffer.
+     * @param {number[]} outA Array to be populated with the closest point on the first triangle.
+     * @param {number[]} outB Array to be populated with the closest point on the second triangle.
+     * @returns {number} Squared distance between the closest points.
+     */
+    static _triangleDistanceSq(trianglesA, a, trianglesB, b, outA, outB) {
+        let bestSq = Infinity;
+        const closest = [0, 0, 0], other = [0, 0, 0];
+        function vertex(triangles, t, i) {
+            return [triangles[t + i * 3], triangles[t + i * 3 + 1], triangles[t + i * 3 + 2]];
+        }
+        function update(distSq, pointA, pointB) {
+            if (distSq < bestSq) {
+                bestSq = distSq;
+                for (let k = 0; k < 3; k++) {
+                    outA[k] = pointA[k];
+                    outB[k] = pointB[k];
+                }
+            }
+        }
+        for (let i = 0; i < 3; i++) {
+            const pa = vertex(trianglesA, a, i);
+            update(Utilities._pointTriangleDistanceSq(pa, trianglesB, b, closest), pa, closest);
+            const pb = vertex(trianglesB, b, i);
+            update(Utilities._pointTriangleDistanceSq(pb, trianglesA, a, closest), closest, pb);
+            for (let j = 0; j < 3; j++) {
+                const distSq = Utilities._segmentSegmentDistanceSq(
+                    pa, vertex(trianglesA, a, (i + 1) % 3),
+                    vertex(trianglesB, b, j), vertex(trianglesB, b, (j + 1) % 3),
+                    closest, other
+                );
+                update(distSq, closest, other);
+            }
+        }
+        return bestSq;
+    }
+
+    /**
+     * Computes bounds of a set of triangles.
+     * @private
+     * @param {Float64Array|number[]} triangles Triangles with 9 numbers (3 vertices) per triangle.
+     * @returns {object} Bounds with *min* and *max* arrays.
+     */
+    static _triangleBounds(triangles) {
+        const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < triangles.length; i++) {
+            min[i % 3] = Math.min(min[i % 3], triangles[i]);
+            max[i % 3] = Math.max(max[i % 3], triangles[i]);
+        }
+        return { min, max };
+    }
+
+    /**
+     * Collects world-space triangles of a fragment into a flat buffer.
+     * @private
+     * @param {number} fragId Fragment ID.
+     * @param {Model} model Model to operate on.
+     * @returns {Float64Array} Triangle buffer with 9 numbers (3 vertices) per triangle.
+     */
+    _getFragmentTriangles(fragId, model) {
+        const values = [];
+        this.enumerateFragmentTriangles(fragId, function(a, b, c) {
+            values.push(a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z);
+        }, model);
+        return new Float64Array(values);
+    }
+
+    /**
+     * Collects fragment IDs of given objects (including the fragments of their children).
+     * @private
+     * @param {number[]} dbIds Object IDs.
+     * @param {Model} [model] Model to operate on. If undefined, the currently loaded model is used.
+     * @returns {Promise<Map<number, number[]>>} Promise that will be resolved with a map of object IDs
+     * to lists of their fragment IDs, or rejected with an error.
+     */
+    _getNodeFragments(dbIds, model) {
+        const viewer = this.viewer;
+        return new Promise(function(resolve, reject) {
+            function onSuccess(tree) {
+                try {
+                    const nodeFragments = new Map();
+                    for (const dbId of dbIds) {
+                        const fragIds = [];
+                        tree.enumNodeFragments(dbId, function(fragId) { fragIds.push(fragId); }, true);
+                        nodeFragments.set(dbId, fragIds);
+                    }
+                    resolve(nodeFragments);
+                } catch(err) {
+                    reject(err);
+                }
+            }
+            function onError(err) { reject(new ObjectTreeError(err)); }
+            model = model || viewer.model;
+            if (!model) {
+                reject(new ModelNotReadyError());
+                return;
+            }
+            model.getObjectTree(onSuccess, onError);
+        });
+    }
+
+    /**
+     * Options used by measurement methods.
+     * @typedef {object} MeasurementOptions
+     * @property {string} [units] Units of the results, for example, *m*, *mm* or *ft*
+     * (see {@link Utilities.convertUnits}). If undefined, the results are in model units.
+     * @property {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     */
+
+    /**
+     * Measures distance between two points in world coordinates,
+     * for example, between two intersections returned by {@link Utilities#rayCast}.
+     * @param {THREE.Vector3} p1 First point.
+     * @param {THREE.Vector3} p2 Second point.
+     * @param {MeasurementOptions} [options] Measurement options.
+     * @returns {number} Distance in model units, or in the requested units.
+     *
+     * @example
+     * const [a] = utils.rayCast(100, 100);
+     * const [b] = utils.rayCast(200, 200);
+     * console.log('Distance in meters', utils.measureDistance(a.intersectPoint, b.intersectPoint, { units: 'm' }));
+     */
+    measureDistance(p1, p2, options = {}) {
+        const model = options.model || this.viewer.model;
+        return this._convertFromModelUnits(p1.distanceTo(p2), options.units, 1, model);
+    }
+
+    /**
+     * Shortest distance between two scene objects.
+     * @typedef {object} ElementDistance
+     * @property {number} distance Distance in model units, or in the requested units (0 if the objects intersect).
+     * @property {THREE.Vector3[]} points Closest points on the first and the second object.
+     */
+
+    /**
+     * Measures the shortest distance between the geometries of two scene objects
+     * (including the fragments of their children).
+     * @param {number} dbIdA ID of the first object.
+     * @param {number} dbIdB ID of the second object.
+     * @param {MeasurementOptions} [options] Measurement options.
+     * @returns {Promise<ElementDistance>} Promise that will be resolved with the distance and the closest points,
+     * or rejected with an error.
+     *
+     * @example
+     * const result = await utils.measureElementDistance(123, 456, { units: 'mm' });
+     * console.log(`Clearance ${result.distance} mm`);
+     */
+    measureElementDistance(dbIdA, dbIdB, options = {}) {
+        const self = this;
+        const model = options.model || this.viewer.model;
+        return this._getNodeFragments([dbIdA, dbIdB], model).then(function(nodeFragments) {
+            function collect(fragIds) {
+                return fragIds.map(function(fragId) {
+                    const triangles = self._getFragmentTriangles(fragId, model);
+                    return { triangles, bounds: Utilities._triangleBounds(triangles) };
+                }).filter(fragment => fragment.triangles.length > 0);
+            }
+            const fragmentsA = collect(nodeFragments.get(dbIdA));
+            const fragmentsB = collect(nodeFragments.get(dbIdB));
+            // Test fragment pairs ordered by the distance of their bounds, skipping those that cannot be closer
+            const pairs = [];
+            for (const a of fragmentsA) {
+                for (const b of fragmentsB) {
+                    pairs.push({ a, b, bound: Utilities._boundsDistance(a.bounds, b.bounds) });
+                }
+            }
+            pairs.sort((p, q) => p.bound - q.bound);
+            let best = null;
+            for (const pair of pairs) {
+                if (best && pair.bound >= best.distance) {
+                    break;
+                }
+                const result = Utilities.triangleSetDistance(pair.a.triangles, pair.b.triangles);
+                if (!best || result.distance < best.distance) {
+                    best = result;
+                }
+            }
+            if (!best) {
+                throw new UtilitiesError('Objects have no measurable geometry.');
+            }
+            return {
+                distance: self._convertFromModelUnits(best.distance, options.units, 1, model),
+                points: best.points.map(point => new THREE.Vector3(point[0], point[1], point[2]))
+            };
+        });
+    }
+
+    /**
+     * Quantities of a single scene object.
+     * @typedef {object} ElementQuantities
+     * @property {number} dbId Object ID.
+     * @property {number} volume Volume enclosed by the object geometry (only meaningful for closed meshes).
+     * @property {number} surfaceArea Total area of all triangles.
+     * @property {number} floorArea Projected floor area, i.e., area of the object outline
+     * projected onto the horizontal plane (see {@link Utilities.projectedArea}).
+     */
+
+    /**
+     * Result of {@link Utilities#measureQuantities}.
+     * @typedef {object} QuantityTakeoff
+     * @property {string?} units Length units of the quantities (areas are in square units, volumes in cubic units),
+     * or null if the model units are unknown and no conversion was requested.
+     * @property {ElementQuantities[]} elements Quantities of individual objects.
+     * @property {object} total Sums of *volume* and *surfaceArea* over all objects (overlapping objects
+     * are counted multiple times), and *floorArea* of all objects projected together (overlaps are counted once).
+     */
+
+    /**
+     * Computes volumes, surface areas and projected floor areas of scene objects
+     * (including the fragments of their children) from their fragment geometry in world coordinates
+     * (see {@link Utilities#enumerateFragmentTriangles}), for example, for quantity takeoff.
+     * @param {number[]} dbIds IDs of objects to measure.
+     * @param {MeasurementOptions} [options] Measurement options.
+     * @param {THREE.Vector3} [options.up] Up direction used for floor areas.
+     * If undefined, the up vector of the model is used.
+     * @returns {Promise<QuantityTakeoff>} Promise that will be resolved with the quantities,
+     * or rejected with an error.
+     *
+     * @example
+     * const walls = await utils.query({ Category: 'Revit Walls' });
+     * const takeoff = await utils.measureQuantities(walls.map(wall => wall.dbId), { units: 'm' });
+     * console.log(`Total wall volume ${takeoff.total.volume} m3`);
+     */
+    measureQuantities(dbIds, options = {}) {
+        const self = this;
+        const model = options.model || this.viewer.model;
+        return this._getNodeFragments(dbIds, model).then(function(nodeFragments) {
+            let up = options.up;
+            if (!up) {
+                const modelUp = model.getUpVector && model.getUpVector();
+                up = modelUp ? new THREE.Vector3(modelUp[0], modelUp[1], modelUp[2]) : new THREE.Vector3(0, 0, 1);
+            }
+            const upArray = [up.x, up.y, up.z];
+            const total = { volume: 0, surfaceArea: 0, floorArea: 0 };
+            const elements = [];
+            const projectedAll = [];
+            for (const [dbId, fragIds] of nodeFragments) {
+                const element = { dbId, volume: 0, surfaceArea: 0, floorArea: 0 };
+                const projected = [];
+                for (const fragId of fragIds) {
+                    const triangles = self._getFragmentTriangles(fragId, model);
+                    const quantities = Utilities.measureTriangles(triangles, upArray);
+                    element.volume += Math.abs(quantities.volume);
+                    element.surfaceArea += quantities.surfaceArea;
+                    Utilities._projectTriangles(triangles, upArray, projected);
+                }
+                for (const triangle of projected) {
+                    projectedAll.push(triangle);
+                }
+                element.volume = self._convertFromModelUnits(element.volume, options.units, 3, model);
+                element.surfaceArea = self._convertFromModelUnits(element.surfaceArea, options.units, 2, model);
+                element.floorArea = self._convertFromModelUnits(Utilities._unionArea(projected), options.units, 2, model);
+                total.volume += element.volume;
+                total.surfaceArea += element.surfaceArea;
+                elements.push(element);
+            }
+            total.floorArea = self._convertFromModelUnits(Utilities._unionArea(projectedAll), options.units, 2, model);
+            return { units: options.units || self._getModelUnits(model), elements, total };
+        });
+    }
+
+    /**
+     * Computes signed volume, surface area and floor area of a set of triangles.
+     * The floor area is the total area of upward-facing triangles projected onto the horizontal plane;
+     * use {@link Utilities.projectedArea} for the area of the outline instead.
+     * @param {Float64Array|number[]} triangles Triangles with 9 numbers (3 vertices) per triangle.
+     * @param {number[]} [up=[0, 0, 1]] Unit up direction used for the floor area.
+     * @returns {object} Object with *volume* (positive for closed meshes with outward-facing triangles),
+     * *surfaceArea* and *floorArea*.
+     */
+    static measureTriangles(triangles, up = [0, 0, 1]) {
+        let volume = 0, surfaceArea = 0, floorArea = 0;
+        for (let t = 0; t < triangles.length; t += 9) {
+            const ax = triangles[t], ay = triangles[t + 1], az = triangles[t + 2];
+            const bx = triangles[t + 3], by = triangles[t + 4], bz = triangles[t + 5];
+            const cx = triangles[t + 6], cy = triangles[t + 7], cz = triangles[t + 8];
+            // Signed volume of the tetrahedron formed with the origin
+            volume += (ax * (by * cz - bz * cy) - ay * (bx * cz - bz * cx) + az * (bx * cy - by * cx)) / 6.0;
+            const ux = bx - ax, uy = by - ay, uz = bz - az;
+            const vx = cx - ax, vy = cy - ay, vz = cz - az;
+            const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+            surfaceArea += 0.5 * Math.sqrt(nx * nx + ny * ny + nz * nz);
+            const projected = 0.5 * (nx * up[0] + ny * up[1] + nz * up[2]);
+            if (projected > 0) {
+                floorArea += projected;
+            }
+        }
+        return { volume, surfaceArea, floorArea };
+    }
+
+    /**
+     * Computes the area covered by a set of triangles projected onto a plane, for example,
+     * the footprint of a group of objects projected onto the floor. Overlapping triangles
+     * (such as the top and the bottom of a slab, or two overlapping objects) are counted once.
+     * @param {Float64Array|number[]} triangles Triangles with 9 numbers (3 vertices) per triangle.
+     * @param {number[]} [up=[0, 0, 1]] Normal of the plane to project onto.
+     * @returns {number} Projected area.
+     *
+     * @example
+     * const triangles = [0, 0, 0, 2, 0, 0, 0, 2, 0, 0, 0, 1, 2, 0, 1, 0, 2, 1];
+     * console.log(Utilities.projectedArea(triangles)); // 2
+     */
+    static projectedArea(triangles, up = [0, 0, 1]) {
+        return Utilities._unionArea(Utilities._projectTriangles(triangles, up, []));
+    }
+
+    /**
+     * Projects triangles onto a plane, skipping triangles perpendicular to it.
+     * @private
+     * @param {Float64Array|number[]} triangles Triangles with 9 numbers (3 vertices) per triangle.
+     * @param {number[]} up Normal of the plane.
+     * @param {number[][]} out List to append the projected triangles to, each as 6 numbers (3 vertices).
+     * @returns {number[][]} The *out* list.
+     */
+    static _projectTriangles(triangles, up, out) {
+        const length = Math.sqrt(up[0] * up[0] + up[1] * up[1] + up[2] * up[2]);
+        const n = [up[0] / length, up[1] / length, up[2] / length];
+        // Orthonormal basis (u, v) of the plane
+        const helper = Math.abs(n[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+        const u = [helper[1] * n[2] - helper[2] * n[1], helper[2] * n[0] - helper[0] * n[2], helper[0] * n[1] - helper[1] * n[0]];
+        const ul = Math.sqrt(u[0] * u[0] + u[1] * u[1] + u[2] * u[2]);
+        u[0] /= ul; u[1] /= ul; u[2] /= ul;
+        const v = [n[1] * u[2] - n[2] * u[1], n[2] * u[0] - n[0] * u[2], n[0] * u[1] - n[1] * u[0]];
+        for (let t = 0; t + 8 < triangles.length; t += 9) {
+            const projected = [];
+            for (let i = 0; i < 9; i += 3) {
+                const x = triangles[t + i], y = triangles[t + i + 1], z = triangles[t + i + 2];
+                projected.push(x * u[0] + y * u[1] + z * u[2], x * v[0] + y * v[1] + z * v[2]);
+            }
+            const area2 = (projected[2] - projected[0]) * (projected[5] - projected[1]) - (projected[4] - projected[0]) * (projected[3] - projected[1]);
+            if (area2 !== 0) {
+                out.push(projected);
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Computes the area of the union of 2D triangles. The plane is split into vertical slabs
+     * between triangle vertices, and the covered length along each slab is integrated,
+     * subdividing the slab where the triangle edges cross.
+     * @private
+     * @param {number[][]} triangles Triangles, each as 6 numbers (3 vertices).
+     * @returns {number} Covered area.
+     */
+    static _unionArea(triangles) {
+        if (triangles.length === 0) {
+            return 0;
+        }
+        const items = triangles.map(function(tri) {
+            return { tri, minX: Math.min(tri[0], tri[2], tri[4]), maxX: Math.max(tri[0], tri[2], tri[4]) };
+        });
+        items.sort((a, b) => a.minX - b.minX);
+        const xs = [];
+        for (const item of items) {
+            xs.push(item.tri[0], item.tri[2], item.tri[4]);
+        }
+        xs.sort((a, b) => a - b);
+        const intervals = [];
+        // Length of the union of triangle cross-sections at given x
+        function coveredLength(active, x) {
+            intervals.length = 0;
+            for (const item of active) {
+                const tri = item.tri;
+                let lo = Infinity, hi = -Infinity;
+                for (let i = 0; i < 3; i++) {
+                    const j = (i + 1) % 3;
+                    const x0 = tri[i * 2], y0 = tri[i * 2 + 1], x1 = tri[j * 2], y1 = tri[j * 2 + 1];
+                    if (x0 !== x1 && Math.min(x0, x1) <= x && x <= Math.max(x0, x1)) {
+                        const y = y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+                        lo = Math.min(lo, y);
+                        hi = Math.max(hi, y);
+                    }
+                }
+                if (hi > lo) {
+                    intervals.push([lo, hi]);
+                }
+            }
+            if (intervals.length === 0) {
+                return 0;
+            }
+            intervals.sort((a, b) => a[0] - b[0]);
+            let length = 0, start = intervals[0][0], end = intervals[0][1];
+            for (const [lo, hi] of intervals) {
+                if (lo > end) {
+                    length += end - start;
+                    start = lo;
+                    end = hi;
+                } else if (hi > end) {
+                    end = hi;
+                }
+            }
+            return length + end - start;
+        }
+        // The covered length is linear between crossings of triangle edges, so the slab is subdivided
+        // until the length at its middle matches the average of the lengths at its ends
+        function slabArea(active, x0, x1, l0, l1, depth) {
+            const xm = 0.5 * (x0 + x1);
+            const lm = coveredLength(active, xm);
+            if (Math.abs(lm - 0.5 * (l0 + l1)) <= 1e-9 * Math.max(1, lm) || depth >= 32) {
+                return (x1 - x0) * (l0 + 4 * lm + l1) / 6;
+            }
+            return slabArea(active, x0, xm, l0, lm, depth + 1) + slabArea(active, xm, x1, lm, l1, depth + 1);
+        }
+        let area = 0;
+        let active = [];
+        let next = 0;
+        for (let i = 0; i + 1 < xs.length; i++) {
+            const x0 = xs[i], x1 = xs[i + 1];
+            if (x1 <= x0) {
+                continue;
+            }
+            while (next < items.length && items[next].minX <= x0) {
+                active.push(items[next++]);
+            }
+            active = active.filter(item => item.maxX > x0);
+            if (active.length > 0) {
+                area += slabArea(active, x0, x1, coveredLength(active, x0), coveredLength(active, x1), 0);
+            }
+        }
+        return area;
+    }
+
+    /**
+     * Computes the shortest distance between two sets of triangles. Triangle pairs are pruned
+     * using a {@link SpatialIndex} over the bounding boxes of the second set.
+     * @param {Float64Array|number[]} trianglesA First set of triangles, with 9 numbers (3 vertices) per triangle.
+     * @param {Float64Array|number[]} trianglesB Second set of triangles, with 9 numbers (3 vertices) per triangle.
+     * @returns {object} Object with *distance* and *points* (the closest points as arrays of three numbers).
+     */
+    static triangleSetDistance(trianglesA, trianglesB) {
+        const intersection = Utilities.intersectTriangleSets(trianglesA, trianglesB);
+        if (intersection.points.length > 0) {
+            const point = intersection.points[0];
+            return { distance: 0, points: [point.slice(), point.slice()] };
+        }
+        let bestSq = Infinity, points = null;
+        const pointA = [0, 0, 0], pointB = [0, 0, 0];
+        function test(a, b) {
+            const distSq = Utilities._triangleDistanceSq(trianglesA, a, trianglesB, b, pointA, pointB);
+            if (distSq < bestSq) {
+                bestSq = distSq;
+                points = [pointA.slice(), pointB.slice()];
+            }
+        }
+        function bounds(triangles, t) {
+            return {
+                min: [0, 1, 2].map(i => Math.min(triangles[t + i], triangles[t + 3 + i], triangles[t + 6 + i])),
+                max: [0, 1, 2].map(i => Math.max(triangles[t + i], triangles[t + 3 + i], triangles[t + 6 + i]))
+            };
+        }
+        const items = [];
+        for (let b = 0; b + 8 < trianglesB.length; b += 9) {
+            const box = bounds(trianglesB, b);
+            items.push({ id: b, min: box.min, max: box.max });
+        }
+        const index = new SpatialIndex(items);
+        // Triangles closer than the best distance found so far must have their bounding boxes
+        // within that distance, and so only those are tested
+        for (let a = 0; a + 8 < trianglesA.length; a += 9) {
+            const box = bounds(trianglesA, a);
+            if (bestSq === Infinity) {
+                const nearest = index.nearest(box.min, 1);
+                if (nearest.length > 0) {
+                    test(a, nearest[0].id);
+                }
+            }
+            const radius = Math.sqrt(bestSq);
+            const min = box.min.map(value => value - radius), max = box.max.map(value => value + radius);
+            for (const b of index.queryBox(min, max)) {
+                test(a, b);
+            }
+        }
+        return { distance: Math.sqrt(bestSq), points };
+    }
+
+    /**
+     * Converts a length, area or volume between units.
+     * Supported units are *m*, *cm*, *mm*, *km*, *in*, *ft*, *yd* and *mi*
+     * (and unit strings reported by Forge models, such as *ft-and-fractional-in*).
+     * @param {number} value Value to convert.
+     * @param {string} from Source units.
+     * @param {string} to Target units.
+     * @param {number} [power=1] Dimension of the value: 1 for lengths, 2 for areas, 3 for volumes.
+     * @returns {number} Converted value.
+     * @throws {UtilitiesError} if any of the units is not supported.
+     *
+     * @example
+     * Utilities.convertUnits(10, 'ft', 'm'); // 3.048
+     * Utilities.convertUnits(1, 'm', 'ft', 2); // 10.7639...
+     */
+    static convertUnits(value, from, to, power = 1) {
+        const meters = {
+            m: 1, meter: 1, meters: 1, 'm-and-cm': 1,
+            cm: 0.01, centimeter: 0.01, centimeters: 0.01,
+            mm: 0.001, millimeter: 0.001, millimeters: 0.001,
+            km: 1000, kilometer: 1000, kilometers: 1000,
+            in: 0.0254, inch: 0.0254, inches: 0.0254, 'decimal-in': 0.0254, 'fractional-in': 0.0254,
+            ft: 0.3048, foot: 0.3048, feet: 0.3048, 'decimal-ft': 0.3048, 'ft-and-fractional-in': 0.3048, 'ft-and-decimal-in': 0.3048,
+            yd: 0.9144, yard: 0.9144, yards: 0.9144,
+            mi: 1609.344, mile: 1609.344, miles: 1609.344
+        };
+        for (const units of [from, to]) {
+            if (!meters.hasOwnProperty(units)) {
+                throw new UtilitiesError(`Unsupported units ${JSON.stringify(units)}.`);
+            }
+        }
+        return value * Math.pow(meters[from] / meters[to], power);
+    }
+
+    /**
+     * Gets units of a model.
+     * @private
+     * @param {Model} model Model.
+     * @returns {string?} Unit string, or null if unknown.
+     */
+    _getModelUnits(model) {
+        return (model && model.getUnitString && model.getUnitString()) || null;
+    }
+
+    /**
+     * Converts a value from model units to the requested units.
+     * @private
+     * @param {number} value Value in model units.
+     * @param {string} [units] Requested units. If undefined, the value is returned as is.
+     * @param {number} power Dimension of the value.
+     * @param {Model} model Model.
+     * @returns {number} Converted value.
+     * @throws {UtilitiesError} if the model units are unknown.
+     */
+    _convertFromModelUnits(value, units, power, model) {
+        if (!units) {
+            return value;
+        }
+        const modelUnits = this._getModelUnits(model);
+        if (!modelUnits) {
+            throw new UtilitiesError('Model units are unknown, cannot convert measurements.');
+        }
+        return Utilities.convertUnits(value, modelUnits, units, power);
+    }
+
+    /**
+     * Computes distance between two axis-aligned boxes (0 if they overlap).
+     * @private
+     * @param {object} a First box with *min* and *max* arrays.
+     * @param {object} b Second box with *min* and *max* arrays.
+     * @returns {number} Distance.
+     */
+    static _boundsDistance(a, b) {
+        let distSq = 0;
+        for (let i = 0; i < 3; i++) {
+            const gap = Math.max(a.min[i] - b.max[i], b.min[i] - a.max[i], 0);
+            distSq += gap * gap;
+        }
+        return Math.sqrt(distSq);
+    }
+
+    /**
+     * Polyline of a cross-section.
+     * @typedef {object} SectionPolyline
+     * @property {number} dbId ID of the object the polyline belongs to.
+     * @property {number[][]} points Points of the polyline in world coordinates (arrays of three numbers).
+     * @property {boolean} closed Whether the last point connects back to the first one.
+     */
+
+    /**
+     * Cross-section computed by {@link Utilities#computeSection}.
+     * @typedef {object} Section
+     * @property {number[]} plane Normalized plane equation coefficients (*a*, *b*, *c*, *d*).
+     * @property {SectionPolyline[]} polylines Section polylines.
+     */
+
+    /**
+     * Computes cross-section of scene objects (including the fragments of their children)
+     * by intersecting their triangles in world coordinates (see {@link Utilities#enumerateFragmentTriangles})
+     * with a plane. Closed meshes result in closed polylines.
+     * @param {SectionPlane} plane Cutting plane (see {@link Utilities#setSectionPlanes}).
+     * @param {number[]} dbIds IDs of objects to cut.
+     * @param {object} [options] Additional options.
+     * @param {number} [options.tolerance=1e-6] Distance under which polyline points are considered identical.
+     * @param {Model} [options.model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {Promise<Section>} Promise that will be resolved with the section, or rejected with an error.
+     *
+     * @example
+     * const plane = { normal: new THREE.Vector3(0, 0, 1), point: new THREE.Vector3(0, 0, 1.2) };
+     * const walls = await utils.query({ Category: 'Revit Walls' });
+     * const section = await utils.computeSection(plane, walls.map(wall => wall.dbId));
+     * const svg = Autodesk.Viewing.Utilities.sectionToSVG(section);
+     */
+    computeSection(plane, dbIds, options = {}) {
+        const self = this;
+        const model = options.model || this.viewer.model;
+        const coefficients = Utilities._planeToArray(plane);
+        const length = Math.sqrt(coefficients[0] * coefficients[0] + coefficients[1] * coefficients[1] + coefficients[2] * coefficients[2]);
+        const normalized = coefficients.map(c => c / length);
+        return this._getNodeFragments(dbIds, model).then(function(nodeFragments) {
+            const polylines = [];
+            for (const [dbId, fragIds] of nodeFragments) {
+                const triangles = Utilities._concatTriangles(fragIds.map(fragId => self._getFragmentTriangles(fragId, model)));
+                for (const polyline of Utilities.sliceTriangles(triangles, normalized, options.tolerance)) {
+                    polylines.push({ dbId, points: polyline.points, closed: polyline.closed });
+                }
+            }
+            return { plane: normalized, polylines };
+        });
+    }
+
+    /**
+     * Concatenates lists of triangles into a single array. Unlike *push.apply*,
+     * this does not pass the values as function arguments, and so it works for meshes of any size.
+     * @private
+     * @param {Array<Float64Array|number[]>} arrays Lists of triangles.
+     * @returns {Float64Array} Concatenated triangles.
+     */
+    static _concatTriangles(arrays) {
+        let length = 0;
+        for (const array of arrays) {
+            length += array.length;
+        }
+        const result = new Float64Array(length);
+        let offset = 0;
+        for (const array of arrays) {
+            result.set(array, offset);
+            offset += array.length;
+        }
+        return result;
+    }
+
+    /**
+     * Intersects a set of triangles with a plane, and chains the resulting segments into polylines.
+     * @param {Float64Array|number[]} triangles Triangles with 9 numbers (3 vertices) per triangle.
+     * @param {number[]} plane Plane equation coefficients (*a*, *b*, *c*, *d*) with a unit normal.
+     * @param {number} [tolerance=1e-6] Distance under which polyline points are considered identical.
+     * @returns {object[]} List of polylines, each with *points* (arrays of three numbers) and *closed* flag.
+     */
+    static sliceTriangles(triangles, plane, tolerance = 1e-6) {
+        tolerance = tolerance || 1e-6;
+        const segments = [];
+        const distances = [0, 0, 0];
+        function edgePoint(t, i, j) {
+            const s = distances[i] / (distances[i] - distances[j]);
+            return [0, 1, 2].map(k => triangles[t + i * 3 + k] + s * (triangles[t + j * 3 + k] - triangles[t + i * 3 + k]));
+        }
+        for (let t = 0; t < triangles.length; t += 9) {
+            for (let i = 0; i < 3; i++) {
+                const o = t + i * 3;
+                distances[i] = plane[0] * triangles[o] + plane[1] * triangles[o + 1] + plane[2] * triangles[o + 2] + plane[3];
+                // Vertices lying on the plane are treated as being above it to avoid degenerate segments
+                if (distances[i] === 0) {
+                    distances[i] = Number.MIN_VALUE;
+                }
+            }
+            const points = [];
+            for (let i = 0; i < 3; i++) {
+                const j = (i + 1) % 3;
+                if ((distances[i] > 0) !== (distances[j] > 0)) {
+                    points.push(edgePoint(t, i, j));
+                }
+            }
+            if (points.length === 2) {
+                segments.push(points);
+            }
+        }
+        // Chain segments by their (quantized) end points
+        const key = point => point.map(c => Math.round(c / tolerance)).join(',');
+        const ends = new Map();
+        segments.forEach(function(segment, index) {
+            for (const point of segment) {
+                const k = key(point);
+                if (!ends.has(k)) {
+                    ends.set(k, []);
+                }
+                ends.get(k).push(index);
+            }
+        });
+        const used = new Array(segments.length).fill(false);
+        function extend(points) {
+            for (;;) {
+                const last = key(points[points.length - 1]);
+                const next = ends.get(last).find(index => !used[index]);
+                if (next === undefined) {
+                    return;
+                }
+                used[next] = true;
+                const segment = segments[next];
+                points.push(key(segment[0]) === last ? segment[1] : segment[0]);
+            }
+        }
+        const polylines = [];
+        segments.forEach(function(segment, index) {
+            if (used[index]) {
+                return;
+            }
+            used[index] = true;
+            const points = [segment[0], segment[1]];
+            extend(points);
+            let closed = points.length > 2 && key(points[0]) === key(points[points.length - 1]);
+            if (closed) {
+                points.pop();
+            } else {
+                // Open polyline, so continue in the other direction as well
+                points.reverse();
+                extend(points);
+            }
+            polylines.push({ points, closed });
+        });
+        return polylines;
+    }
+
+    /**
+     * Projects section polylines into 2D coordinates in the cutting plane. For horizontal planes,
+     * the X and Y axes are preserved; for other planes, the 2D Y axis points upwards.
+     * @param {Section} section Section computed by {@link Utilities#computeSection}.
+     * @returns {object} Object with *polylines* (with *dbId*, *closed* and 2D *points*),
+     * and *min* and *max* corners of their 2D bounds.
+     */
+    static projectSection(section) {
+        const n = section.plane;
+        const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+        const up = Math.abs(n[2]) >= 0.9 ? [0, 1, 0] : [0, 0, 1];
+        let u = cross(up, n);
+        const length = Math.sqrt(u[0] * u[0] + u[1] * u[1] + u[2] * u[2]);
+        u = u.map(c => c / length);
+        const v = cross(n, u);
+        const min = [Infinity, Infinity], max = [-Infinity, -Infinity];
+        const polylines = section.polylines.map(function(polyline) {
+            const points = polyline.points.map(function(p) {
+                const point = [p[0] * u[0] + p[1] * u[1] + p[2] * u[2], p[0] * v[0] + p[1] * v[1] + p[2] * v[2]];
+                for (let i = 0; i < 2; i++) {
+                    min[i] = Math.min(min[i], point[i]);
+                    max[i] = Math.max(max[i], point[i]);
+                }
+                return point;
+            });
+            return { dbId: polyline.dbId, closed: polyline.closed, points };
+        });
+        return { polylines, min, max };
+    }
+
+    /**
+     * Formats section as an SVG document.
+     * @param {Section} section Section computed by {@link Utilities#computeSection}.
+     * @param {object} [options] Formatting options.
+     * @param {string} [options.stroke='#000000'] Stroke color.
+     * @param {number} [options.strokeWidth=1] Stroke width in pixels.
+     * @param {string} [options.fill='none'] Fill color of closed polylines.
+     * @param {number} [options.width=1000] Width of the drawing in pixels (height follows the aspect ratio).
+     * @returns {string} SVG document. Each polyline has a *data-dbid* attribute with its object ID.
+     */
+    static sectionToSVG(section, options = {}) {
+        const stroke = options.stroke || '#000000';
+        const strokeWidth = options.strokeWidth || 1;
+        const fill = options.fill || 'none';
+        const projected = Utilities.projectSection(section);
+        const empty = projected.polylines.length === 0;
+        const min = empty ? [0, 0] : projected.min, max = empty ? [1, 1] : projected.max;
+        const sizeX = Math.max(max[0] - min[0], 1e-9), sizeY = Math.max(max[1] - min[1], 1e-9);
+        const width = options.width || 1000;
+        const height = Math.round(width * sizeY / sizeX);
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${min[0]} ${-max[1]} ${sizeX} ${sizeY}">`,
+            `<g fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}">`
+        ];
+        for (const polyline of projected.polylines) {
+            // SVG Y axis points down, so the drawing is flipped
+            const points = polyline.points.map(p => `${p[0]},${-p[1]}`).join(' ');
+            const element = polyline.closed ? 'polygon' : 'polyline';
+            lines.push(`<${element} data-dbid="${polyline.dbId}" vector-effect="non-scaling-stroke" points="${points}"${polyline.closed ? '' : ' fill="none"'}/>`);
+        }
+        lines.push('</g>', '</svg>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Formats section as an ASCII DXF document (AutoCAD R12 compatible).
+     * @param {Section} section Section computed by {@link Utilities#computeSection}.
+     * @param {object} [options] Formatting options.
+     * @param {string} [options.layer='0'] Layer of the polylines.
+     * @param {boolean} [options.layerPerObject=false] Put polylines of each object into a separate layer
+     * (named by the *layer* option followed by the object ID).
+     * @returns {string} DXF document.
+     */
+    static sectionToDXF(section, options = {}) {
+        const layer = options.layer || '0';
+        const projected = Utilities.projectSection(section);
+        const codes = ['0', 'SECTION', '2', 'ENTITIES'];
+        for (const polyline of projected.polylines) {
+            const name = options.layerPerObject ? `${layer}_${polyline.dbId}` : layer;
+            codes.push('0', 'POLYLINE', '8', name, '66', '1', '70', polyline.closed ? '1' : '0', '10', '0.0', '20', '0.0', '30', '0.0');
+            for (const point of polyline.points) {
+                codes.push('0', 'VERTEX', '8', name, '10', String(point[0]), '20', String(point[1]), '30', '0.0');
+            }
+            codes.push('0', 'SEQEND', '8', name);
+        }
+        codes.push('0', 'ENDSEC', '0', 'EOF');
+        return codes.join('\n') + '\n';
+    }
+
+    /**
+     * Part of an exported object, with all its triangles sharing the same material.
+     * @typedef {object} ExportMeshPart
+     * @property {Float64Array|number[]} triangles Triangles with 9 numbers (3 vertices) per triangle.
+     * @property {number[]?} color Material color as RGBA values between 0.0 and 1.0, or null if unknown.
+     */
+
+    /**
+     * Geometry of a single object, as collected by {@link Utilities#exportGeometry}
+     * and consumed by encoders such as {@link Utilities.encodeOBJ}.
+     * @typedef {object} ExportMesh
+     * @property {number} dbId ID of the object.
+     * @property {string} [name] Name of the object.
+     * @property {ExportMeshPart[]} parts Parts of the object geometry, one per material color.
+     */
+
+    /**
+     * Exports geometry of scene objects (including the fragments of their children) in world coordinates,
+     * i.e., with the _final_ transforms from {@link Utilities#getFragmentTransform} (including auxiliary transforms) applied,
+     * for example, to share meshes of specific parts with fabrication partners. Objects are kept as separate groups
+     * (OBJ objects, glTF nodes, or ASCII STL solids), and fragment material colors are preserved where the format allows it.
+     * @param {number[]} dbIds IDs of objects to export.
+     * @param {string} [format='obj'] Output format, one of *obj*, *gltf* or *stl*, or *mtl* for the materials
+     * referenced by an OBJ file exported with the *mtllib* option.
+     * @param {object} [options] Additional options.
+     * @param {string} [options.units] Length units to convert the coordinates to, for example, *mm*.
+     * If undefined, the coordinates are kept in model units.
+     * @param {boolean} [options.binary=true] Output binary STL (ASCII STL keeps objects as separate solids).
+     * @param {string} [options.mtllib] Name of the companion MTL file referenced by the OBJ file
+     * (see {@link Utilities.encodeOBJ}).
+     * @param {Model} [options.model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {Promise<Blob>} Promise that will be resolved with the exported file, or rejected with an error.
+     *
+     * @example
+     * const blob = await utils.exportGeometry(viewer.getSelection(), 'stl', { units: 'mm' });
+     * const link = document.createElement('a');
+     * link.href = URL.createObjectURL(blob);
+     * link.download = 'parts.stl';
+     * link.click();
+     *
+     * @example <caption>OBJ with a companion MTL file</caption>
+     * const obj = await utils.exportGeometry(ids, 'obj', { mtllib: 'parts.mtl' });
+     * const mtl = await utils.exportGeometry(ids, 'mtl');
+     */
+    exportGeometry(dbIds, format = 'obj', options = {}) {
+        const self = this;
+        const model = options.model || this.viewer.model;
+        if (['obj', 'mtl', 'gltf', 'stl'].indexOf(format) === -1) {
+            return Promise.reject(new UtilitiesError(`Unknown export format ${format}.`));
+        }
+        return this._getNodeFragments(dbIds, model).then(function(nodeFragments) {
+            const scale = self._convertFromModelUnits(1.0, options.units, 1, model);
+            const tree = model.getData().instanceTree;
+            const meshes = [];
+            for (const [dbId, fragIds] of nodeFragments) {
+                const parts = new Map();
+                for (const fragId of fragIds) {
+                    const triangles = self._getFragmentTriangles(fragId, model);
+                    if (triangles.length === 0) {
+                        continue;
+                    }
+                    if (scale !== 1.0) {
+                        for (let i = 0; i < triangles.length; i++) {
+                            triangles[i] *= scale;
+                        }
+                    }
+                    const proxy = self.impl.getRenderProxy(model, fragId);
+                    const material = proxy && proxy.material;
+                    const color = material && material.color
+                        ? [material.color.r, material.color.g, material.color.b, material.transparent ? material.opacity : 1.0]
+                        : null;
+                    const key = Utilities._colorKey(color);
+                    if (!parts.has(key)) {
+                        parts.set(key, { color, fragments: [] });
+                    }
+                    parts.get(key).fragments.push(triangles);
+                }
+                const name = tree ? tree.getNodeName(dbId) : undefined;
+                meshes.push({
+                    dbId,
+                    name,
+                    parts: Array.from(parts.values()).map(part => ({ color: part.color, triangles: Utilities._concatTriangles(part.fragments) }))
+                });
+            }
+            switch (format) {
+                case 'obj':
+                    return new Blob([Utilities.encodeOBJ(meshes, options)], { type: 'text/plain' });
+                case 'mtl':
+                    return new Blob([Utilities.encodeMTL(meshes)], { type: 'text/plain' });
+                case 'gltf': {
+                    const up = model.getUpVector && model.getUpVector();
+                    return new Blob([Utilities.encodeGLTF(meshes, { up: up || [0, 0, 1] })], { type: 'model/gltf+json' });
+                }
+                case 'stl':
+                    return new Blob([Utilities.encodeSTL(meshes, options)], { type: 'model/stl' });
+            }
+        });
+    }
+
+    /**
+     * Encodes object meshes as a Wavefront OBJ document. Each object becomes a separate *o* group,
+     * and material colors are stored as vertex colors (*v x y z r g b*), which are understood
+     * by most mesh tools. When the *mtllib* option is provided, faces also reference materials
+     * from a companion MTL file produced by {@link Utilities.encodeMTL}.
+     * @param {ExportMesh[]} meshes Meshes to encode.
+     * @param {object} [options] Encoding options.
+     * @param {string} [options.mtllib] Name of the companion MTL file.
+     * @returns {string} OBJ document.
+     */
+    static encodeOBJ(meshes, options = {}) {
+        const lines = ['# Exported by forge-viewer-utils'];
+        if (options.mtllib) {
+            lines.push(`mtllib ${options.mtllib}`);
+        }
+        let vertexCount = 0;
+        for (const mesh of meshes) {
+            lines.push(`o ${Utilities._meshName(mesh)}`);
+            for (const part of mesh.parts) {
+                const indexed = Utilities._indexTriangles(part.triangles);
+                const positions = indexed.positions;
+                const color = part.color || [0.8, 0.8, 0.8, 1.0];
+                for (let i = 0; i < positions.length; i += 3) {
+                    lines.push(`v ${positions[i]} ${positions[i + 1]} ${positions[i + 2]} ${color[0]} ${color[1]} ${color[2]}`);
+                }
+                if (options.mtllib) {
+                    lines.push(`usemtl ${Utilities._materialName(part.color)}`);
+                }
+                const indices = indexed.indices;
+                for (let i = 0; i < indices.length; i += 3) {
+                    lines.push(`f ${vertexCount + indices[i] + 1} ${vertexCount + indices[i + 1] + 1} ${vertexCount + indices[i + 2] + 1}`);
+                }
+                vertexCount += positions.length / 3;
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Encodes material colors of object meshes as a Wavefront MTL document,
+     * to be used together with {@link Utilities.encodeOBJ} and its *mtllib* option.
+     * @param {ExportMesh[]} meshes Meshes whose materials should be encoded.
+     * @returns {string} MTL document.
+     */
+    static encodeMTL(meshes) {
+        const lines = ['# Exported by forge-viewer-utils'];
+        const names = new Set();
+        for (const mesh of meshes) {
+            for (const part of mesh.parts) {
+                const name = Utilities._materialName(part.color);
+                if (names.has(name)) {
+                    continue;
+                }
+                names.add(name);
+                const color = part.color || [0.8, 0.8, 0.8, 1.0];
+                lines.push(`newmtl ${name}`, `Kd ${color[0]} ${color[1]} ${color[2]}`, `d ${color[3]}`, 'illum 1');
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Encodes object meshes as an STL document. Binary STL has no notion of objects or colors,
+     * and so all triangles end up in a single list; ASCII STL keeps each object as a separate *solid*.
+     * @param {ExportMesh[]} meshes Meshes to encode.
+     * @param {object} [options] Encoding options.
+     * @param {boolean} [options.binary=true] Output binary STL instead of ASCII.
+     * @returns {ArrayBuffer|string} Binary STL buffer, or ASCII STL document.
+     */
+    static encodeSTL(meshes, options = {}) {
+        const binary = options.binary !== false;
+        const normal = [0, 0, 0];
+        function computeNormal(triangles, t) {
+            const ux = triangles[t + 3] - triangles[t], uy = triangles[t + 4] - triangles[t + 1], uz = triangles[t + 5] - triangles[t + 2];
+            const vx = triangles[t + 6] - triangles[t], vy = triangles[t + 7] - triangles[t + 1], vz = triangles[t + 8] - triangles[t + 2];
+            normal[0] = uy * vz - uz * vy;
+            normal[1] = uz * vx - ux * vz;
+            normal[2] = ux * vy - uy * vx;
+            const length = Math.sqrt(normal[0] * normal[0] + normal[1] * normal[1] + normal[2] * normal[2]) || 1.0;
+            normal[0] /= length;
+            normal[1] /= length;
+            normal[2] /= length;
+        }
+
+        if (binary) {
+            let count = 0;
+            for (const mesh of meshes) {
+                for (const part of mesh.parts) {
+                    count += Math.floor(part.triangles.length / 9);
+                }
+            }
+            const buffer = new ArrayBuffer(84 + count * 50);
+            const view = new DataView(buffer);
+            const header = 'Exported by forge-viewer-utils';
+            for (let i = 0; i < header.length; i++) {
+                view.setUint8(i, header.charCodeAt(i));
+            }
+            view.setUint32(80, count, true);
+            let offset = 84;
+            for (const mesh of meshes) {
+                for (const part of mesh.parts) {
+                    const triangles = part.triangles;
+                    for (let t = 0; t + 8 < triangles.length; t += 9) {
+                        computeNormal(triangles, t);
+                        for (let i = 0; i < 3; i++, offset += 4) {
+                            view.setFloat32(offset, normal[i], true);
+                        }
+                        for (let i = 0; i < 9; i++, offset += 4) {
+                            view.setFloat32(offset, triangles[t + i], true);
+                        }
+                        offset += 2; // attribute byte count
+                    }
+                }
+            }
+            return buffer;
+        }
+
+        const lines = [];
+        for (const mesh of meshes) {
+            const name = Utilities._meshName(mesh);
+            lines.push(`solid ${name}`);
+            for (const part of mesh.parts) {
+                const triangles = part.triangles;
+                for (let t = 0; t + 8 < triangles.length; t += 9) {
+                    computeNormal(triangles, t);
+                    lines.push(`  facet normal ${normal[0]} ${normal[1]} ${normal[2]}`, '    outer loop');
+                    for (let i = 0; i < 9; i += 3) {
+                        lines.push(`      vertex ${triangles[t + i]} ${triangles[t + i + 1]} ${triangles[t + i + 2]}`);
+                    }
+                    lines.push('    endloop', '  endfacet');
+                }
+            }
+            lines.push(`endsolid ${name}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Encodes object meshes as a glTF 2.0 document with geometry embedded as a base64 data URI.
+     * Each object becomes a separate node with a mesh, with one primitive per material color.
+     * glTF is always Y-up, so the nodes are placed under a root node rotating the *up* direction
+     * onto the Y axis.
+     * @param {ExportMesh[]} meshes Meshes to encode.
+     * @param {object} [options] Encoding options.
+     * @param {number[]} [options.up=[0, 0, 1]] Up direction of the mesh coordinates.
+     * @returns {string} glTF document.
+     */
+    static encodeGLTF(meshes, options = {}) {
+        const gltf = {
+            asset: { version: '2.0', generator: 'forge-viewer-utils' },
+            scene: 0,
+            scenes: [{ nodes: [0] }],
+            nodes: [{ name: 'root', children: [] }],
+            meshes: [],
+            materials: [],
+            accessors: [],
+            bufferViews: [],
+            buffers: []
+        };
+        const up = options.up || [0, 0, 1];
+        const rotation = Utilities._rotationToYUp(up);
+        if (rotation) {
+            gltf.nodes[0].rotation = rotation;
+        }
+
+        const chunks = [];
+        let byteLength = 0;
+        function addBufferView(array, target) {
+            const view = { buffer: 0, byteOffset: byteLength, byteLength: array.byteLength, target };
+            chunks.push(new Uint8Array(array.buffer, array.byteOffset, array.byteLength));
+            byteLength += array.byteLength;
+            const padding = (4 - byteLength % 4) % 4;
+            if (padding > 0) {
+                chunks.push(new Uint8Array(padding));
+                byteLength += padding;
+            }
+            gltf.bufferViews.push(view);
+            return gltf.bufferViews.length - 1;
+        }
+
+        const materials = new Map();
+        function addMaterial(color) {
+            const key = Utilities._colorKey(color);
+            if (!materials.has(key)) {
+                const material = {
+                    name: Utilities._materialName(color),
+                    pbrMetallicRoughness: { baseColorFactor: color || [0.8, 0.8, 0.8, 1.0], metallicFactor: 0.0, roughnessFactor: 1.0 }
+                };
+                if (color && color[3] < 1.0) {
+                    material.alphaMode = 'BLEND';
+                }
+                gltf.materials.push(material);
+                materials.set(key, gltf.materials.length - 1);
+            }
+            return materials.get(key);
+        }
+
+        for (const mesh of meshes) {
+            const primitives = [];
+            for (const part of mesh.parts) {
+                const indexed = Utilities._indexTriangles(part.triangles);
+                if (indexed.indices.length === 0) {
+                    continue;
+                }
+                const positions = new Float32Array(indexed.positions);
+                const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+                for (let i = 0; i < positions.length; i++) {
+                    min[i % 3] = Math.min(min[i % 3], positions[i]);
+                    max[i % 3] = Math.max(max[i % 3], positions[i]);
+                }
+                gltf.accessors.push({
+                    bufferView: addBufferView(positions, 34962), // ARRAY_BUFFER
+                    componentType: 5126, // FLOAT
+                    count: positions.length / 3,
+                    type: 'VEC3',
+                    min,
+                    max
+                });
+                const position = gltf.accessors.length - 1;
+                gltf.accessors.push({
+                    bufferView: addBufferView(new Uint32Array(indexed.indices), 34963), // ELEMENT_ARRAY_BUFFER
+                    componentType: 5125, // UNSIGNED_INT
+                    count: indexed.indices.length,
+                    type: 'SCALAR'
+                });
+                primitives.push({ attributes: { POSITION: position }, indices: gltf.accessors.length - 1, material: addMaterial(part.color) });
+            }
+            if (primitives.length === 0) {
+                continue;
+            }
+            gltf.meshes.push({ name: Utilities._meshName(mesh), primitives });
+            gltf.nodes.push({ name: Utilities._meshName(mesh), mesh: gltf.meshes.length - 1, extras: { dbId: mesh.dbId } });
+            gltf.nodes[0].children.push(gltf.nodes.length - 1);
+        }
+
+        const data = new Uint8Array(byteLength);
+        let offset = 0;
+        for (const chunk of chunks) {
+            data.set(chunk, offset);
+            offset += chunk.length;
+        }
+        gltf.buffers.push({ byteLength, uri: 'data:application/octet-stream;base64,' + Utilities._toBase64(data) });
+        for (const key of ['meshes', 'materials', 'accessors', 'bufferViews']) {
+            if (gltf[key].length === 0) {
+                delete gltf[key];
+            }
+        }
+        if (byteLength === 0) {
+            delete gltf.buffers;
+        }
+        if (gltf.nodes[0].children.length === 0) {
+            delete gltf.nodes[0].children;
+        }
+        return JSON.stringify(gltf);
+    }
+
+    /**
+     * Merges identical vertices of a triangle list.
+     * @private
+     * @param {Float64Array|number[]} triangles Triangles with 9 numbers (3 vertices) per triangle.
+     * @returns {object} Object with *positions* (3 numbers per vertex) and *indices* (3 per triangle).
+     */
+    static _indexTriangles(triangles) {
+        const positions = [], indices = [];
+        const lookup = new Map();
+        const count = triangles.length - triangles.length % 9;
+        for (let i = 0; i < count; i += 3) {
+            const key = `${triangles[i]},${triangles[i + 1]},${triangles[i + 2]}`;
+            let index = lookup.get(key);
+            if (index === undefined) {
+                index = positions.length / 3;
+                positions.push(triangles[i], triangles[i + 1], triangles[i + 2]);
+                lookup.set(key, index);
+            }
+            indices.push(index);
+        }
+        return { positions, indices };
+    }
+
+    /**
+     * Computes rotation (as quaternion components *x*, *y*, *z*, *w*) of an up direction onto the Y axis.
+     * @private
+     * @param {number[]} up Up direction.
+     * @returns {number[]?} Quaternion, or null if no rotation is needed.
+     */
+    static _rotationToYUp(up) {
+        const length = Math.sqrt(up[0] * up[0] + up[1] * up[1] + up[2] * up[2]);
+        const x = up[0] / length, y = up[1] / length, z = up[2] / length;
+        if (y > 1.0 - 1e-9) {
+            return null;
+        } else if (y < -1.0 + 1e-9) {
+            return [1, 0, 0, 0];
+        }
+        // Cross product of up and Y axis, and half-angle trick: q = normalize(cross, 1 + dot)
+        const q = [-z, 0, x, 1 + y];
+        const norm = Math.sqrt(q[0] * q[0] + q[2] * q[2] + q[3] * q[3]);
+        return q.map(value => value / norm);
+    }
+
+    /**
+     * Builds a name of an exported mesh that is safe to use in OBJ and STL files.
+     * @private
+     * @param {ExportMesh} mesh Exported mesh.
+     * @returns {string} Mesh name.
+     */
+    static _meshName(mesh) {
+        const name = mesh.name ? `${mesh.name} [${mesh.dbId}]` : `${mesh.dbId}`;
+        return name.replace(/\s+/g, '_');
+    }
+
+    /**
+     * Builds a name of an exported material.
+     * @private
+     * @param {number[]?} color RGBA color, or null.
+     * @returns {string} Material name.
+     */
+    static _materialName(color) {
+        return `material_${Utilities._colorKey(color)}`;
+    }
+
+    /**
+     * Builds a lookup key of a color.
+     * @private
+     * @param {number[]?} color RGBA color, or null.
+     * @returns {string} Hexadecimal RGBA string, or *default* if the color is null.
+     */
+    static _colorKey(color) {
+        if (!color) {
+            return 'default';
+        }
+        return color.map(value => ('0' + Math.round(Math.min(Math.max(value, 0.0), 1.0) * 255).toString(16)).slice(-2)).join('');
+    }
+
+    /**
+     * Encodes binary data as base64, both in browsers and in Node.js.
+     * @private
+     * @param {Uint8Array} data Binary data.
+     * @returns {string} Base64 string.
+     */
+    static _toBase64(data) {
+        if (typeof Buffer !== 'undefined') {
+            return Buffer.from(data.buffer, data.byteOffset, data.byteLength).toString('base64');
+        }
+        let binary = '';
+        for (let i = 0; i < data.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, data.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Gets _original_ transformation matrix of scene fragment, i.e.,
+     * the transformation that was loaded from the Forge model.
+     *
+     * @param {number} fragId Fragment ID.
+     * @param {THREE.Matrix4} [transform] Matrix to be populated with transform values and returned
+     * (in case you want to avoid creating a new instance for performance reasons).
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {THREE.Matrix4} Transformation {@link https://threejs.org/docs/#api/en/math/Matrix4|Matrix4}.
+     * @throws {ModelNotReadyError} when the fragments are not yet available.
+     *
+     * @example
+     * const fragId = 123;
+     * viewer.addEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, function() {
+     *     const transform = utils.getFragmentOrigTransform(fragId);
+     *     console.log('Original fragment transform', transform);
+     * });
+     */
+    getFragmentOrigTransform(fragId, transform = null, model = undefined) {
+        model = model || this.viewer.model;
+        if (!model) {
+            throw new ModelNotReadyError('Fragments not yet available. Wait for them using waitFor("fragments").');
+        }
+        const frags = model.getFragmentList();
+        transform = transform || new THREE.Matrix4();
+        frags.getOriginalWorldMatrix(fragId, transform);
+        return transform;
+    }
+
+    /**
+     * Gets _auxiliary_ transform of a scene fragment.
+     *
+     * Note: auxiliary transforms are applied "on top" of the original
+     * transforms, and are used by different features of the viewer,
+     * for example, by animations or the explode tool.
+     *
+     * @param {number} fragId Fragment ID.
+     * @param {THREE.Vector3} scale Vector to be populated with scale values.
+     * @param {THREE.Quaternion} rotation Quaternion to be populated with rotation values.
+     * @param {THREE.Vector3} position Vector to be populated with offset values.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @throws {ModelNotReadyError} if the fragments are not yet available.
+     *
+     * @example
+     * const fragId = 123;
+     * let scale = new THREE.Vector3(1, 1, 1);
+     * let rotation = new THREE.Quaternion(0, 0, 0, 1);
+     * let position = new THREE.Vector3(0, 0, 0);
+     * viewer.addEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, function() {
+     *   utils.getFragmentAuxTransform(fragId, scale, rotation, position);
+     *   console.log('Scale', scale);
+     *   console.log('Rotation', rotation);
+     *   console.log('Position', position);
+     * });
+     */
+    getFragmentAuxTransform(fragId, scale, rotation, position, model = undefined) {
+        model = model || this.viewer.model;
+        if (!model) {
+            throw new ModelNotReadyError('Fragments not yet available. Wait for them using waitFor("fragments").');
+        }
+        const frags = model.getFragmentList();
+        frags.getAnimTransform(fragId, scale, rotation, position);
+    }
+
+    /**
+     * Sets _auxiliary_ transform of a scene fragment.
+     *
+     * Note: auxiliary transforms are applied "on top" of the original
+     * transforms, and are used by different features of the viewer,
+     * for example, by animations or the explode tool.
+     *
+     * If a spatial index has been built for the model using {@link Utilities#buildSpatialIndex},
+     * the bounds of the fragment in the index are updated as well.
+     * The change is recorded in {@link Utilities#history}. Updates of the same fragment that follow
+     * each other within a second (for example, per-frame updates from custom drag code)
+     * are merged into a single entry.
+     *
+     * @param {number} fragId Fragment ID.
+     * @param {THREE.Vector3} [scale] Vector with new scale values.
+     * @param {THREE.Quaternion} [rotation] Quaternion with new rotation values.
+     * @param {THREE.Vector3} [position] Vector with new offset values.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @throws {ModelNotReadyError} if the fragments are not yet available.
+     *
+     * @example
+     * const fragId = 123;
+     * const scale = new THREE.Vector3(2.0, 3.0, 4.0);
+     * const position = new THREE.Vector3(5.0, 6.0, 7.0);
+     * viewer.addEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, function() {
+     *   utils.setFragmentAuxTransform(fragId, scale, null, position);
+     * });
+     */
+    setFragmentAuxTransform(fragId, scale = null, rotation = null, position = null, model = undefined) {
+        model = model || this.viewer.model;
+        if (!model) {
+            throw new ModelNotReadyError('Fragments not yet available. Wait for them using waitFor("fragments").');
+        }
+        const before = { scale: new THREE.Vector3(), rotation: new THREE.Quaternion(), position: new THREE.Vector3() };
+        model.getFragmentList().getAnimTransform(fragId, before.scale, before.rotation, before.position);
+        const after = {
+            scale: scale && scale.clone(),
+            rotation: rotation && rotation.clone(),
+            position: position && position.clone()
+        };
+        this.history.execute({
+            label: 'Set fragment transform',
+            coalesce: `transform:${model.id}:${fragId}`,
+            redo: () => this._setFragmentAuxTransform(fragId, after.scale, after.rotation, after.position, model),
+            undo: () => this._setFragmentAuxTransform(fragId, before.scale, before.rotation, before.position, model)
+        });
+    }
+
+    /**
+     * Sets auxiliary transform of a scene fragment without recording the change,
+     * for example, for per-frame updates of animations.
+     * @private
+     * @param {number} fragId Fragment ID.
+     * @param {THREE.Vector3?} scale Scale.
+     * @param {THREE.Quaternion?} rotation Rotation.
+     * @param {THREE.Vector3?} position Offset.
+     * @param {Model} model Model to operate on.
+     */
+    _setFragmentAuxTransform(fragId, scale, rotation, position, model) {
+        const frags = model.getFragmentList();
+        frags.updateAnimTransform(fragId, scale, rotation, position);
+        const index = this._spatialIndices.get(model);
+        if (index && index.has(fragId)) {
+            const bounds = new THREE.Box3();
+            frags.getWorldBounds(fragId, bounds);
+            index.update(fragId, bounds.min, bounds.max);
+        }
+    }
+
+    /**
+     * Gets _final_ transformation matrix of scene fragment, i.e.,
+     * the transformation obtained by combining the _original_ and
+     * the _auxiliar_ transforms.
+     *
+     * @param {number} fragId Fragment ID.
+     * @param {THREE.Matrix4} [transform] Matrix to be populated with transform values and returned
+     * (in case you want to avoid creating a new instance for performance reasons).
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {THREE.Matrix4} Transformation {@link https://threejs.org/docs/#api/en/math/Matrix4|Matrix4}.
+     * @throws {ModelNotReadyError} when the fragments are not yet available.
+     *
+     * @example
+     * viewer.addEventListener(Autodesk.Viewing.GEOMETRY_LOADED_EVENT, function() {
+     *   try {
+     *     const transform = utils.getFragmentTransform(1);
+     *     console.log('Final fragment transform', transform);
+     *   } catch(err) {
+     *     console.error('Could not retrieve fragment transform', err);
+     *   }
+     * });
+     */
+    getFragmentTransform(fragId, transform = null, model = undefined) {
+        model = model || this.viewer.model;
+        if (!model) {
+            throw new ModelNotReadyError('Fragments not yet available. Wait for them using waitFor("fragments").');
+        }
+        const frags = model.getFragmentList();
+        transform = transform || new THREE.Matrix4();
+        frags.getWorldMatrix(fragId, transform);
+        return transform;
+    }
+
+    /**
+     * Serializable _auxiliary_ transform of a single object.
+     * @typedef {object} StoredTransform
+     * @property {number[]} scale Scale as an array of three numbers.
+     * @property {number[]} rotation Rotation quaternion as an array of four numbers (x, y, z, w).
+     * @property {number[]} position Offset as an array of three numbers.
+     * @property {StoredTransform[]} [fragments] Transforms of individual fragments of the object
+     * (in the order of the object tree), only present when the fragments have different transforms.
+     */
+
+    /**
+     * Serializable state of _auxiliary_ transforms of a model, created by {@link Utilities#captureTransforms}.
+     * @typedef {object} TransformState
+     * @property {number} version Version of the format.
+     * @property {object} transforms Map of external IDs to {@link StoredTransform} objects.
+     */
+
+    /**
+     * Captures _auxiliary_ transforms (see {@link Utilities#setFragmentAuxTransform}) of all leaf objects
+     * that have been moved, rotated or scaled, into a JSON-serializable state. The transforms are keyed
+     * by external IDs of the objects so that they can be restored even after the model has been
+     * translated again. Each object is represented by the transform of its first fragment,
+     * and if its fragments have been transformed differently, by the transforms of all its fragments.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {Promise<TransformState>} Promise that will be resolved with the captured state,
+     * or rejected with an error.
+     *
+     * @example
+     * const state = await utils.captureTransforms();
+     * localStorage.setItem('transforms', JSON.stringify(state));
+     * // ... after reloading the model
+     * await utils.applyTransforms(JSON.parse(localStorage.getItem('transforms')));
+     */
+    captureTransforms(model = undefined) {
+        const self = this;
+        model = model || this.viewer.model;
+        return Promise.all([this._getLeafFragments(model), this._getExternalIdMapping(model)])
+            .then(function([leafFragments, mapping]) {
+                const externalIds = new Map();
+                for (const externalId in mapping) {
+                    externalIds.set(mapping[externalId], externalId);
+                }
+                const scale = new THREE.Vector3(), rotation = new THREE.Quaternion(), position = new THREE.Vector3();
+                function capture(fragId) {
+                    self.getFragmentAuxTransform(fragId, scale, rotation, position, model);
+                    return {
+                        scale: [scale.x, scale.y, scale.z],
+                        rotation: [rotation.x, rotation.y, rotation.z, rotation.w],
+                        position: [position.x, position.y, position.z]
+                    };
+                }
+                const identity = JSON.stringify({ scale: [1, 1, 1], rotation: [0, 0, 0, 1], position: [0, 0, 0] });
+                const state = { version: 1, transforms: {} };
+                for (const [dbId, fragIds] of leafFragments) {
+                    if (fragIds.length === 0 || !externalIds.has(dbId)) {
+                        continue;
+                    }
+                    const transforms = fragIds.map(capture);
+                    const keys = transforms.map(transform => JSON.stringify(transform));
+                    if (keys.every(key => key === identity)) {
+                        continue;
+                    }
+                    const stored = Object.assign({}, transforms[0]);
+                    if (keys.some(key => key !== keys[0])) {
+                        stored.fragments = transforms;
+                    }
+                    state.transforms[externalIds.get(dbId)] = stored;
+                }
+                return state;
+            });
+    }
+
+    /**
+     * Applies _auxiliary_ transforms captured by {@link Utilities#captureTransforms}
+     * to all fragments of the corresponding objects, and refreshes the scene.
+     * The changes are recorded in {@link Utilities#history} as a single step.
+     * @param {TransformState|string} state Captured state, or its JSON string.
+     * @param {object} [options] Additional options.
+     * @param {boolean} [options.reset=false] Reset transforms of all other leaf objects to identity.
+     * @param {Model} [options.model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {Promise<string[]>} Promise that will be resolved with a list of external IDs
+     * that could not be found in the model, or rejected with an error
+     * (for example, {@link UtilitiesError} if the state cannot be parsed).
+     */
+    applyTransforms(state, options = {}) {
+        const self = this;
+        const model = options.model || this.viewer.model;
+        return Promise.resolve()
+            .then(function() {
+                if (typeof state === 'string') {
+                    try {
+                        state = JSON.parse(state);
+                    } catch(err) {
+                        throw new UtilitiesError(`Could not parse transform state (${err.message}).`);
+                    }
+                }
+                if (!state || typeof state.transforms !== 'object') {
+                    throw new UtilitiesError('Invalid transform state.');
+                }
+                return Promise.all([self._getLeafFragments(model), self._getExternalIdMapping(model)]);
+            })
+            .then(function([leafFragments, mapping]) {
+                const tree = model.getData().instanceTree;
+                const missing = [];
+                const targets = new Map();
+                for (const externalId in state.transforms) {
+                    const dbId = mapping[externalId];
+                    if (dbId === undefined) {
+                        missing.push(externalId);
+                        continue;
+                    }
+                    const stored = state.transforms[externalId];
+                    const fragIds = [];
+                    tree.enumNodeFragments(dbId, function(fragId) { fragIds.push(fragId); }, true);
+                    const perFragment = Array.isArray(stored.fragments) && stored.fragments.length === fragIds.length;
+                    fragIds.forEach(function(fragId, i) {
+                        targets.set(fragId, Utilities._parseStoredTransform(perFragment ? stored.fragments[i] : stored));
+                    });
+                }
+                if (options.reset) {
+                    for (const fragIds of leafFragments.values()) {
+                        for (const fragId of fragIds) {
+                            if (!targets.has(fragId)) {
+                                targets.set(fragId, Utilities._parseStoredTransform({}));
+                            }
+                        }
+                    }
+                }
+                const changes = [];
+                for (const [fragId, after] of targets) {
+                    const before = { scale: new THREE.Vector3(), rotation: new THREE.Quaternion(), position: new THREE.Vector3() };
+                    self.getFragmentAuxTransform(fragId, before.scale, before.rotation, before.position, model);
+                    if (!before.scale.equals(after.scale) || !before.rotation.equals(after.rotation) || !before.position.equals(after.position)) {
+                        changes.push({ fragId, before, after });
+                    }
+                }
+                if (changes.length > 0) {
+                    self.history.execute({
+                        label: 'Apply transforms',
+                        redo: function() {
+                            for (const change of changes) {
+                                self._setFragmentAuxTransform(change.fragId, change.after.scale, change.after.rotation, change.after.position, model);
+                            }
+                        },
+                        undo: function() {
+                            for (const change of changes) {
+                                self._setFragmentAuxTransform(change.fragId, change.before.scale, change.before.rotation, change.before.position, model);
+                            }
+                        }
+                    });
+                }
+                self.refresh();
+                return missing;
+            });
+    }
+
+    /**
+     * Composes an _original_ transform of a fragment (see {@link Utilities#getFragmentOrigTransform})
+     * with an _auxiliary_ transform, resulting in the _final_ world matrix, the same way the viewer does,
+     * i.e., the auxiliary transform is applied on top of the original one.
+     * @param {THREE.Matrix4} origTransform Original transformation matrix.
+     * @param {StoredTransform|AnimationTarget} transform Auxiliary transform, either stored as arrays
+     * (for example, from {@link Utilities#captureTransforms}), or as THREE.js vectors and quaternions.
+     * @param {THREE.Matrix4} [target] Matrix to be populated with the result and returned.
+     * @returns {THREE.Matrix4} Final transformation {@link https://threejs.org/docs/#api/en/math/Matrix4|Matrix4}.
+     *
+     * @example
+     * const state = await utils.captureTransforms();
+     * const fragId = 123;
+     * const orig = utils.getFragmentOrigTransform(fragId);
+     * const world = Autodesk.Viewing.Utilities.composeTransform(orig, state.transforms['your-external-id']);
+     * console.log('Final world matrix', world);
+     */
+    static composeTransform(origTransform, transform, target = null) {
+        const aux = Utilities._parseStoredTransform(transform);
+        const matrix = new THREE.Matrix4().compose(aux.position, aux.rotation, aux.scale);
+        target = target || new THREE.Matrix4();
+        return target.multiplyMatrices(matrix, origTransform);
+    }
+
+    /**
+     * Converts stored transform into THREE.js objects. Missing components are set to identity.
+     * @private
+     * @param {StoredTransform|AnimationTarget} transform Transform with arrays or THREE.js objects.
+     * @returns {object} Transform with *scale*, *rotation* and *position*.
+     */
+    static _parseStoredTransform(transform) {
+        const scale = transform.scale || [1, 1, 1];
+        const rotation = transform.rotation || [0, 0, 0, 1];
+        const position = transform.position || [0, 0, 0];
+        return {
+            scale: Array.isArray(scale) ? new THREE.Vector3(scale[0], scale[1], scale[2]) : scale,
+            rotation: Array.isArray(rotation) ? new THREE.Quaternion(rotation[0], rotation[1], rotation[2], rotation[3]) : rotation,
+            position: Array.isArray(position) ? new THREE.Vector3(position[0], position[1], position[2]) : position
+        };
+    }
+
+    /**
+     * Gets mapping of external IDs to object IDs.
+     * @private
+     * @param {Model} [model] Model to operate on. If undefined, the currently loaded model is used.
+     * @returns {Promise<object>} Promise that will be resolved with the mapping, or rejected with an error.
+     */
+    _getExternalIdMapping(model) {
+        const viewer = this.viewer;
+        return new Promise(function(resolve, reject) {
+            model = model || viewer.model;
+            if (!model) {
+                reject(new ModelNotReadyError());
+                return;
+            }
+            model.getExternalIdMapping(resolve, function(err) { reject(new ObjectTreeError(err)); });
+        });
+    }
+
+    /**
+     * Callback function used when enumerating triangles of a fragment.
+     * @callback TriangleCallback
+     * @param {THREE.Vector3} a First vertex of the triangle in world coordinates.
+     * @param {THREE.Vector3} b Second vertex of the triangle in world coordinates.
+     * @param {THREE.Vector3} c Third vertex of the triangle in world coordinates.
+     */
+
+    /**
+     * Enumerates triangles of scene fragment, in world coordinates, i.e., with the _final_
+     * transform from {@link Utilities#getFragmentTransform} (including auxiliary transforms) applied.
+     * Fragments with lines or points (for example, from 2D drawings) are skipped.
+     *
+     * Note: for performance reasons, the same vectors are reused for all triangles,
+     * so make sure to clone them if you need to keep them.
+     *
+     * @param {number} fragId Fragment ID.
+     * @param {TriangleCallback} callback Function called for each triangle.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @throws {ModelNotReadyError} if the fragments are not yet available.
+     *
+     * @example
+     * let area = 0.0;
+     * utils.enumerateFragmentTriangles(fragId, function(a, b, c) {
+     *   area += 0.5 * b.clone().sub(a).cross(c.clone().sub(a)).length();
+     * });
+     * console.log('Surface area', area);
+     */
+    enumerateFragmentTriangles(fragId, callback, model = undefined) {
+        model = model || this.viewer.model;
+        if (!model) {
+            throw new ModelNotReadyError('Fragments not yet available. Wait for them using waitFor("fragments").');
+        }
+        const proxy = this.impl.getRenderProxy(model, fragId);
+        const geometry = proxy && proxy.geometry;
+        if (!geometry || geometry.isLines || geometry.isPoints) {
+            return;
+        }
+        const matrix = this.getFragmentTransform(fragId, null, model);
+        const attributes = geometry.attributes;
+        const positions = geometry.vb || attributes.position.array;
+        const stride = geometry.vb ? geometry.vbstride : 3;
+        const offset = (geometry.vb && attributes.position.itemOffset) || 0;
+        const indices = geometry.ib || (attributes.index && attributes.index.array) || (geometry.index && geometry.index.array);
+        const count = indices ? indices.length : positions.length / stride;
+        const ranges = geometry.offsets && geometry.offsets.length > 0
+            ? geometry.offsets
+            : [{ start: 0, count, index: 0 }];
+        const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+        function setVertex(vec, i) {
+            const base = i * stride + offset;
+            vec.set(positions[base], positions[base + 1], positions[base + 2]).applyMatrix4(matrix);
+        }
+        for (const range of ranges) {
+            for (let i = range.start, end = range.start + range.count; i + 2 < end; i += 3) {
+                const base = range.index || 0;
+                setVertex(a, base + (indices ? indices[i] : i));
+                setVertex(b, base + (indices ? indices[i + 1] : i + 1));
+                setVertex(c, base + (indices ? indices[i + 2] : i + 2));
+                callback(a, b, c);
+            }
+        }
+    }
+
+    /**
+     * Target state of an animation. All values are _auxiliary_ transforms
+     * (see {@link Utilities#setFragmentAuxTransform}); the values that are not provided
+     * are not touched by the animation, and so they can be animated by other animations at the same time.
+     * @typedef {object} AnimationTarget
+     * @property {THREE.Vector3} [position] Target offset.
+     * @property {THREE.Quaternion} [rotation] Target rotation.
+     * @property {THREE.Vector3} [scale] Target scale.
+     */
+
+    /**
+     * Options for {@link Utilities#animate}.
+     * @typedef {object} AnimationOptions
+     * @property {number} [duration=1000] Duration of the animation in milliseconds.
+     * @property {number} [delay=0] Delay before the animation starts, in milliseconds.
+     * @property {string|function} [easing='easeInOutCubic'] Name of one of the {@link Easing} functions,
+     * or a custom function mapping the animation progress from [0, 1] to [0, 1].
+     * @property {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     */
+
+    /**
+     * Promise returned by {@link Utilities#animate}, resolved with true when the animation finishes,
+     * or with false when it is cancelled.
+     * @typedef {Promise<boolean>} AnimationPromise
+     * @property {function} cancel Stops the animation, leaving the fragments in their current state.
+     */
+
+    /**
+     * Animates _auxiliary_ transforms of all fragments of given scene objects (including the fragments
+     * of their children) from their current state to the target state. The animation is driven
+     * by the browser's render loop (*requestAnimationFrame*), and the scene is refreshed automatically.
+     * The intermediate transforms are not recorded in {@link Utilities#history}.
+     *
+     * Animations can be chained by waiting for the returned promises, or run in parallel
+     * by starting several of them at once. Each animation only updates the transform components
+     * (*position*, *rotation*, *scale*) of its target. If multiple running animations affect
+     * the same component of the same fragment, the one started last takes precedence.
+     *
+     * @param {number[]} dbIds IDs of objects to animate.
+     * @param {AnimationTarget} target Target transform values.
+     * @param {AnimationOptions} [options] Animation options.
+     * @returns {AnimationPromise} Promise that will be resolved when the animation finishes or is cancelled,
+     * or rejected with an error.
+     *
+     * @example
+     * // Lift an object, and then rotate it while scaling it down
+     * await utils.animate([123], { position: new THREE.Vector3(0, 0, 10) }, { duration: 500 });
+     * await Promise.all([
+     *   utils.animate([123], { rotation: new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), Math.PI) }),
+     *   utils.animate([123], { scale: new THREE.Vector3(0.5, 0.5, 0.5) }, { easing: 'easeOutQuad' })
+     * ]);
+     *
+     * @example
+     * const animation = utils.animate([123], { position: new THREE.Vector3(0, 0, 10) }, { duration: 5000 });
+     * setTimeout(() => animation.cancel(), 1000);
+     * const finished = await animation; // false
+     */
+    animate(dbIds, target, options = {}) {
+        const self = this;
+        const model = options.model || this.viewer.model;
+        const easing = typeof options.easing === 'function' ? options.easing : Easing[options.easing || 'easeInOutCubic'];
+        const animation = {
+            model,
+            target,
+            easing,
+            duration: options.duration === undefined ? 1000 : options.duration,
+            delay: options.delay || 0,
+            tracks: null,
+            start: null,
+            resolve: null,
+            cancelled: false
+        };
+        const promise = new Promise(function(resolve, reject) {
+            animation.resolve = resolve;
+            if (!easing) {
+                reject(new UtilitiesError(`Unknown easing function ${JSON.stringify(options.easing)}.`));
+                return;
+            }
+            if (!model) {
+                reject(new ModelNotReadyError('Fragments not yet available. Wait for them using waitFor("fragments").'));
+                return;
+            }
+            self._getNodeFragments(dbIds, model)
+                .then(function(nodeFragments) {
+                    if (animation.cancelled) {
+                        return;
+                    }
+                    animation.fragIds = [];
+                    for (const fragIds of nodeFragments.values()) {
+                        animation.fragIds = animation.fragIds.concat(fragIds);
+                    }
+                    self._animations.add(animation);
+                    self._requestAnimationFrame();
+                })
+                .catch(reject);
+        });
+        promise.cancel = function() {
+            if (!animation.cancelled) {
+                animation.cancelled = true;
+                self._animations.delete(animation);
+                animation.resolve(false);
+            }
+        };
+        return promise;
+    }
+
+    /**
+     * Cancels all running animations started with {@link Utilities#animate}.
+     * The affected fragments are left in their current state.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * whose animations should be cancelled. If undefined, animations of all models are cancelled.
+     */
+    stopAnimations(model = undefined) {
+        for (const animation of Array.from(this._animations)) {
+            if (!model || animation.model === model) {
+                animation.cancelled = true;
+                this._animations.delete(animation);
+                animation.resolve(false);
+            }
+        }
+    }
+
+    /**
+     * Schedules the next animation frame, unless it has already been scheduled.
+     * @private
+     */
+    _requestAnimationFrame() {
+        if (this._animationFrame === null) {
+            this._animationFrame = requestAnimationFrame(this._onAnimationFrame.bind(this));
+        }
+    }
+
+    /**
+     * Updates all running animations, and schedules the next frame if needed.
+     * @private
+     * @param {number} time Current time in milliseconds.
+     */
+    _onAnimationFrame(time) {
+        this._animationFrame = null;
+        let updated = false;
+        for (const animation of Array.from(this._animations)) {
+            if (animation.start === null) {
+                animation.start = time + animation.delay;
+            }
+            if (time < animation.start) {
+                continue;
+            }
+            if (animation.tracks === null) {
+                animation.tracks = animation.fragIds.map(fragId => this._createAnimationTrack(fragId, animation));
+            }
+            const progress = animation.duration > 0 ? Math.min((time - animation.start) / animation.duration, 1.0) : 1.0;
+            const alpha = animation.easing(progress);
+            for (const track of animation.tracks) {
+                this.getFragmentAuxTransform(track.fragId, track.scale, track.rotation, track.position, animation.model);
+                if (track.to.scale) {
+                    track.scale.copy(track.from.scale).lerp(track.to.scale, alpha);
+                }
+                if (track.to.rotation) {
+                    track.rotation.copy(track.from.rotation).slerp(track.to.rotation, alpha);
+                }
+                if (track.to.position) {
+                    track.position.copy(track.from.position).lerp(track.to.position, alpha);
+                }
+                this._setFragmentAuxTransform(track.fragId, track.scale, track.rotation, track.position, animation.model);
+            }
+            updated = true;
+            if (progress >= 1.0) {
+                this._animations.delete(animation);
+                animation.resolve(true);
+            }
+        }
+        if (updated) {
+            this.refresh();
+        }
+        if (this._animations.size > 0) {
+            this._requestAnimationFrame();
+        }
+    }
+
+    /**
+     * Captures the starting state of a fragment when its animation begins.
+     * Only the components present in the animation target are owned by the track;
+     * the other components are re-read from the fragment on every frame.
+     * @private
+     * @param {number} fragId Fragment ID.
+     * @param {object} animation Animation the fragment belongs to.
+     * @returns {object} Animation track with the start, target (null for components not being animated),
+     * and current transform values.
+     */
+    _createAnimationTrack(fragId, animation) {
+        const from = { scale: new THREE.Vector3(), rotation: new THREE.Quaternion(), position: new THREE.Vector3() };
+        this.getFragmentAuxTransform(fragId, from.scale, from.rotation, from.position, animation.model);
+        const to = {
+            scale: animation.target.scale || null,
+            rotation: animation.target.rotation || null,
+            position: animation.target.position || null
+        };
+        return { fragId, from, to, scale: from.scale.clone(), rotation: from.rotation.clone(), position: from.position.clone() };
+    }
+
+    /**
+     * Options for {@link Utilities#explode}.
+     * @typedef {object} ExplodeOptions
+     * @property {string} [strategy='radial'] Explode strategy:
+     * - *radial* moves fragments away from the center of the exploded objects,
+     * - *axis* moves fragments away from the center only along the given axis,
+     * - *hierarchy* moves subassemblies away from the center of their parent assembly, level by level.
+     * @property {THREE.Vector3} [axis] Direction for the *axis* strategy (defaults to the Z axis).
+     * @property {number} [rootId] ID of the object whose subtree should be exploded.
+     * If undefined, the entire model is exploded.
+     * @property {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     */
+
+    /**
+     * Explodes scene objects by offsetting the _auxiliary_ transforms of their fragments.
+     * Offsets are always computed from the state before the first call, so the method can be
+     * called repeatedly (for example, from a slider) without accumulating the changes,
+     * and {@link Utilities#resetExplode} can restore the original transforms exactly.
+     * Each call is recorded in {@link Utilities#history} as a single entry; calls that follow each other
+     * within a second (for example, while dragging a slider) are merged into one entry.
+     *
+     * For the *radial* and *axis* strategies, the *factor* scales the distance of each fragment
+     * from the center. For the *hierarchy* strategy, each unit of the *factor* explodes one more level
+     * of the object tree (levels with a single child are skipped), for example, factor 1.5
+     * fully explodes the top-level assemblies, and explodes their children half-way.
+     *
+     * @param {number} factor Explode factor (0 means no explode).
+     * @param {ExplodeOptions} [options] Explode options.
+     * @returns {Promise} Promise that will be resolved when the objects are exploded, or rejected with an error.
+     *
+     * @example
+     * document.getElementById('slider').addEventListener('input', function(ev) {
+     *   utils.explode(parseFloat(ev.target.value), { strategy: 'hierarchy' });
+     * });
+     * document.getElementById('reset').addEventListener('click', function() {
+     *   utils.resetExplode();
+     * });
+     */
+    explode(factor, options = {}) {
+        const self = this;
+        const model = options.model || this.viewer.model;
+        const strategy = options.strategy || 'radial';
+        return new Promise(function(resolve, reject) {
+            function onSuccess(tree) {
+                try {
+                    const previous = self._explodeStates.get(model);
+                    const state = new Map(previous);
+                    const rootId = options.rootId === undefined ? tree.getRootId() : options.rootId;
+                    const frags = model.getFragmentList();
+                    // Capture the original state of all fragments in the subtree
+                    tree.enumNodeFragments(rootId, function(fragId) {
+                        if (!state.has(fragId)) {
+                            const original = { scale: new THREE.Vector3(), rotation: new THREE.Quaternion(), position: new THREE.Vector3(), bounds: new THREE.Box3() };
+                            frags.getAnimTransform(fragId, original.scale, original.rotation, original.position);
+                            frags.getWorldBounds(fragId, original.bounds);
+                            state.set(fragId, original);
+                        }
+                    }, true);
+                    let offsets;
+                    switch (strategy) {
+                        case 'radial':
+                        case 'axis':
+                            offsets = self._explodeOffsets(tree, rootId, state, factor, strategy === 'axis' ? (options.axis || new THREE.Vector3(0, 0, 1)) : null);
+                            break;
+                        case 'hierarchy':
+                            offsets = self._explodeHierarchyOffsets(tree, rootId, state, factor);
+                            break;
+                        default:
+                            throw new UtilitiesError(`Unknown explode strategy ${JSON.stringify(strategy)}.`);
+                    }
+                    const targets = new Map();
+                    for (const [fragId, original] of state) {
+                        // Fragments exploded by previous calls with a different root are restored
+                        const offset = offsets.get(fragId);
+                        const position = original.position.clone();
+                        if (offset) {
+                            position.add(offset);
+                        }
+                        targets.set(fragId, { scale: original.scale, rotation: original.rotation, position });
+                    }
+                    self._recordExplode('Explode', model, previous, state, targets);
+                    resolve();
+                } catch(err) {
+                    reject(err);
+                }
+            }
+            function onError(err) { reject(new ObjectTreeError(err)); }
+            if (!model) {
+                reject(new ModelNotReadyError());
+                return;
+            }
+            model.getObjectTree(onSuccess, onError);
+        });
+    }
+
+    /**
+     * Restores the _auxiliary_ transforms of all fragments changed by {@link Utilities#explode}
+     * to their values before the first explode. The change is recorded in {@link Utilities#history}.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     */
+    resetExplode(model = undefined) {
+        model = model || this.viewer.model;
+        const state = this._explodeStates.get(model);
+        if (!state) {
+            return;
+        }
+        this._recordExplode('Reset explode', model, state, undefined, state);
+    }
+
+    /**
+     * Applies explode transforms and records them in {@link Utilities#history} together with
+     * the explode state, so that undo restores both the fragments and the state of previous calls.
+     * @private
+     * @param {string} label Label of the history entry.
+     * @param {Model} model Model to operate on.
+     * @param {Map?} before Explode state before the change, or undefined if the model was not exploded.
+     * @param {Map?} after Explode state after the change, or undefined if the model is no longer exploded.
+     * @param {Map} targets New transforms (with *scale*, *rotation* and *position*), keyed by fragment ID.
+     */
+    _recordExplode(label, model, before, after, targets) {
+        const self = this;
+        const frags = model.getFragmentList();
+        const current = new Map();
+        for (const fragId of targets.keys()) {
+            const transform = { scale: new THREE.Vector3(), rotation: new THREE.Quaternion(), position: new THREE.Vector3() };
+            frags.getAnimTransform(fragId, transform.scale, transform.rotation, transform.position);
+            current.set(fragId, transform);
+        }
+        function apply(transforms, state) {
+            for (const [fragId, transform] of transforms) {
+                self._setFragmentAuxTransform(fragId, transform.scale, transform.rotation, transform.position, model);
+            }
+            if (state) {
+                self._explodeStates.set(model, state);
+            } else {
+                self._explodeStates.delete(model);
+            }
+            self.refresh();
+        }
+        this.history.execute({
+            label,
+            coalesce: `explode:${model.id}:${label}`,
+            redo: function() { apply(targets, after); },
+            undo: function() { apply(current, before); }
+        });
+    }
+
+    /**
+     * Computes explode offsets of fragments relative to the center of the exploded subtree.
+     * @private
+     * @param {InstanceTree} tree Object tree.
+     * @param {number} rootId ID of the exploded object.
+     * @param {Map<number, object>} state Original state of fragments.
+     * @param {number} factor Explode factor.
+     * @param {THREE.Vector3?} axis Direction to explode along, or null for radial explode.
+     * @returns {Map<number, THREE.Vector3>} Map of fragment IDs to offsets.
+     */
+    _explodeOffsets(tree, rootId, state, factor, axis) {
+        const fragIds = [];
+        const bounds = new THREE.Box3();
+        tree.enumNodeFragments(rootId, function(fragId) {
+            fragIds.push(fragId);
+            bounds.union(state.get(fragId).bounds);
+        }, true);
+        const center = bounds.center();
+        const direction = axis ? axis.clone().normalize() : null;
+        const offsets = new Map();
+        for (const fragId of fragIds) {
+            const offset = state.get(fragId).bounds.center().sub(center);
+            if (direction) {
+                const distance = offset.dot(direction);
+                offset.copy(direction).multiplyScalar(distance);
+            }
+            offsets.set(fragId, offset.multiplyScalar(factor));
+        }
+        return offsets;
+    }
+
+    /**
+     * Computes explode offsets of fragments by moving each subassembly away
+     * from the center of its parent, level by level.
+     * @private
+     * @param {InstanceTree} tree Object tree.
+     * @param {number} rootId ID of the exploded object.
+     * @param {Map<number, object>} state Original state of fragments.
+     * @param {number} factor Explode factor (number of levels to explode).
+     * @returns {Map<number, THREE.Vector3>} Map of fragment IDs to offsets.
+     */
+    _explodeHierarchyOffsets(tree, rootId, state, factor) {
+        const offsets = new Map();
+        function getBounds(dbId) {
+            const bounds = new THREE.Box3();
+            tree.enumNodeFragments(dbId, function(fragId) { bounds.union(state.get(fragId).bounds); }, true);
+            return bounds;
+        }
+        function visit(dbId, depth, offset) {
+            tree.enumNodeFragments(dbId, function(fragId) { offsets.set(fragId, offset); }, false);
+            const children = [];
+            tree.enumNodeChildren(dbId, function(childId) { children.push(childId); }, false);
+            if (children.length === 1) {
+                visit(children[0], depth, offset);
+                return;
+            }
+            const weight = Math.min(Math.max(factor - depth, 0.0), 1.0);
+            const center = getBounds(dbId).center();
+            for (const childId of children) {
+                const childOffset = getBounds(childId).center().sub(center).multiplyScalar(weight).add(offset);
+                visit(childId, depth + 1, childOffset);
+            }
+        }
+        visit(rootId, 0, new THREE.Vector3());
+        return offsets;
+    }
+
+    /**
+     * Section plane, specified either as a {@link https://threejs.org/docs/#api/en/math/Vector4|Vector4}
+     * or an array of four numbers (*a*, *b*, *c*, *d*) of the plane equation *ax + by + cz + d = 0*,
+     * or as an object with *normal* and *point* {@link https://threejs.org/docs/#api/en/math/Vector3|Vector3}
+     * properties. Geometry on the side the normal is pointing to is cut away.
+     * @typedef {THREE.Vector4|number[]|object} SectionPlane
+     */
+
+    /**
+     * Serializable state of the section created by {@link Utilities#sectionBox} or {@link Utilities#setSectionPlanes}.
+     * @typedef {object} SectionState
+     * @property {number[][]} planes Section planes as arrays of four numbers.
+     * @property {object?} box Section box with *min* and *max* arrays of three numbers,
+     * if the section was created by {@link Utilities#sectionBox}, otherwise null.
+     */
+
+    /**
+     * Cuts the model to the combined bounds of given objects (including the fragments of their children),
+     * for example, to isolate a floor or a room.
+     * Should be called *after* the fragments have been loaded.
+     * @param {number[]} dbIds IDs of objects defining the section box.
+     * @param {object} [options] Additional options.
+     * @param {number} [options.padding=0] Distance (in model units) to expand the box by in all directions.
+     * @param {Model} [options.model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @returns {Promise<SectionState>} Promise that will be resolved with the new section state,
+     * or rejected with an error.
+     *
+     * @example
+     * const rooms = await utils.query({ name: { regex: 'Kitchen' } });
+     * const state = await utils.sectionBox(rooms.map(room => room.dbId), { padding: 0.5 });
+     * localStorage.setItem('section', JSON.stringify(state));
+     */
+    sectionBox(dbIds, options = {}) {
+        const self = this;
+        const model = options.model || this.viewer.model;
+        const padding = options.padding || 0;
+        return this._getNodeFragments(dbIds, model).then(function(nodeFragments) {
+            const bounds = new THREE.Box3(), fragBounds = new THREE.Box3();
+            for (const fragIds of nodeFragments.values()) {
+                for (const fragId of fragIds) {
+                    bounds.union(self.getFragmentBounds(fragId, fragBounds, model));
+                }
+            }
+            if (bounds.empty()) {
+                throw new UtilitiesError('Objects have no geometry to create section box from.');
+            }
+            const min = [bounds.min.x - padding, bounds.min.y - padding, bounds.min.z - padding];
+            const max = [bounds.max.x + padding, bounds.max.y + padding, bounds.max.z + padding];
+            self._applySection({ planes: Utilities._boxPlanes(min, max), box: { min, max } });
+            return self.getSectionState();
+        });
+    }
+
+    /**
+     * Cuts the model with arbitrary planes, replacing any previous section.
+     * @param {SectionPlane[]} planes Section planes.
+     *
+     * @example
+     * // Cut away everything above 3.0 units
+     * utils.setSectionPlanes([{ normal: new THREE.Vector3(0, 0, 1), point: new THREE.Vector3(0, 0, 3.0) }]);
+     */
+    setSectionPlanes(planes) {
+        this._applySection({ planes: planes.map(Utilities._planeToArray), box: null });
+    }
+
+    /**
+     * Removes the section created by {@link Utilities#sectionBox}, {@link Utilities#setSectionPlanes}
+     * or {@link Utilities#restoreSection}.
+     */
+    clearSection() {
+        this._section = null;
+        this.viewer.setCutPlanes([]);
+    }
+
+    /**
+     * Gets serializable state of the current section. The planes are read from the viewer,
+     * so that changes made by other means (for example, by the section tool in the viewer UI)
+     * are included; the section box is only reported if the planes have not changed since.
+     * @returns {SectionState?} Section state, or null if there is no section.
+     */
+    getSectionState() {
+        const planes = (this.viewer.getCutPlanes() || []).map(Utilities._planeToArray);
+        if (planes.length === 0) {
+            return null;
+        }
+        const section = this._section;
+        const unchanged = !!section && section.planes.length === planes.length
+            && section.planes.every((plane, i) => plane.every((value, j) => Math.abs(value - planes[i][j]) < 1e-9));
+        return {
+            planes,
+            box: unchanged && section.box ? { min: section.box.min.slice(), max: section.box.max.slice() } : null
+        };
+    }
+
+    /**
+     * Restores section from a state returned by {@link Utilities#getSectionState}.
+     * @param {SectionState|string} state Section state, or its JSON string. If null, the section is cleared.
+     * @throws {UtilitiesError} if the state cannot be parsed, or if it is invalid.
+     */
+    restoreSection(state) {
+        if (typeof state === 'string') {
+            try {
+                state = JSON.parse(state);
+            } catch(err) {
+                throw new UtilitiesError(`Could not parse section state (${err.message}).`);
+            }
+        }
+        if (!state) {
+            this.clearSection();
+            return;
+        }
+        const isPoint = point => Array.isArray(point) && point.length === 3 && point.every(value => typeof value === 'number');
+        if (!Array.isArray(state.planes) || (state.box && !(isPoint(state.box.min) && isPoint(state.box.max)))) {
+            throw new UtilitiesError('Invalid section state.');
+        }
+        this._applySection({
+            planes: state.planes.map(Utilities._planeToArray),
+            box: state.box ? { min: state.box.min.slice(), max: state.box.max.slice() } : null
+        });
+    }
+
+    /**
+     * Applies section planes to the viewer.
+     * @private
+     * @param {object} section Section with *planes* (arrays of four numbers) and *box*.
+     */
+    _applySection(section) {
+        this._section = section;
+        this.viewer.setCutPlanes(section.planes.map(plane => new THREE.Vector4(plane[0], plane[1], plane[2], plane[3])));
+    }
+
+    /**
+     * Computes six planes cutting away everything outside of a box.
+     * @private
+     * @param {number[]} min Minimum corner of the box.
+     * @param {number[]} max Maximum corner of the box.
+     * @returns {number[][]} Planes as arrays of four numbers.
+     */
+    static _boxPlanes(min, max) {
+        return [
+            [1, 0, 0, -max[0]], [-1, 0, 0, min[0]],
+            [0, 1, 0, -max[1]], [0, -1, 0, min[1]],
+            [0, 0, 1, -max[2]], [0, 0, -1, min[2]]
+        ];
+    }
+
+    /**
+     * Converts section plane into an array of four numbers.
+     * @private
+     * @param {SectionPlane} plane Section plane.
+     * @returns {number[]} Plane equation coefficients.
+     * @throws {UtilitiesError} if the plane cannot be converted.
+     */
+    static _planeToArray(plane) {
+        if (Array.isArray(plane) && plane.length === 4) {
+            return plane.slice();
+        } else if (plane && plane.normal && plane.point) {
+            const n = plane.normal.clone().normalize();
+            return [n.x, n.y, n.z, -n.dot(plane.point)];
+        } else if (plane && typeof plane.w === 'number') {
+            return [plane.x, plane.y, plane.z, plane.w];
+        }
+        throw new UtilitiesError(`Invalid section plane ${JSON.stringify(plane)}.`);
+    }
+
+    /**
+     * Sets theming color of scene objects. The change is recorded in {@link Utilities#history}.
+     * Colors set by other means (for example, directly through the viewer) are not tracked,
+     * and so undoing the change removes the color instead of restoring them.
+     * @param {number[]} dbIds IDs of objects to color.
+     * @param {THREE.Vector4?} color {@link https://threejs.org/docs/#api/en/math/Vector4|Vector4}
+     * with RGBA values between 0.0 and 1.0, or null to remove the color.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     *
+     * @example
+     * utils.setColor([123, 456], new THREE.Vector4(1.0, 0.0, 0.0, 0.5));
+     * utils.undo();
+     */
+    setColor(dbIds, color, model = undefined) {
+        model = model || this.viewer.model;
+        if (!this._colors.has(model)) {
+            this._colors.set(model, new Map());
+        }
+        const colors = this._colors.get(model);
+        const before = dbIds.map(dbId => colors.has(dbId) ? colors.get(dbId) : null);
+        const apply = (values) => {
+            dbIds.forEach((dbId, i) => {
+                const value = Array.isArray(values) ? values[i] : values;
+                if (value) {
+                    colors.set(dbId, value);
+                } else {
+                    colors.delete(dbId);
+                }
+                this.viewer.setThemingColor(dbId, value, model);
+            });
+        };
+        this.history.execute({
+            label: 'Set color',
+            redo: () => apply(color),
+            undo: () => apply(before)
+        });
+    }
+
+    /**
+     * Single entry of a {@link ColorLegend}.
+     * @typedef {object} ColorLegendItem
+     * @property {string} label Human-readable label of the entry.
+     * @property {*} [value] Property value (for categories).
+     * @property {number} [min] Lower bound of the range (inclusive), undefined if unbounded.
+     * @property {number} [max] Upper bound of the range (exclusive, except for the last range), undefined if unbounded.
+     * @property {string} color CSS color of the entry, for example, *#ff0000*.
+     * @property {number} opacity Opacity (theming intensity) of the color, between 0.0 and 1.0.
+     * @property {number} count Number of objects in the entry.
+     * @property {number[]} dbIds IDs of objects in the entry.
+     */
+
+    /**
+     * Legend describing the colors applied by {@link Utilities#colorBy}.
+     * @typedef {object} ColorLegend
+     * @property {string} property Name of the property used for coloring.
+     * @property {string} type Either *categories* or *ranges*.
+     * @property {ColorLegendItem[]} items Legend entries.
+     * @property {number[]} unmatched IDs of objects without the property,
+     * or with a value not covered by any of the entries.
+     */
+
+    /**
+     * Options used by {@link Utilities#colorBy} and {@link Utilities.buildColorLegend}.
+     * Colors can be specified as {@link https://threejs.org/docs/#api/en/math/Vector4|Vector4}
+     * with RGBA values between 0.0 and 1.0, arrays of RGB(A) values between 0.0 and 1.0,
+     * or CSS hex strings such as *#f00*, *#ff0000* or *#ff000080*.
+     * @typedef {object} ColorByOptions
+     * @property {Array} [palette] Colors to use. Categories cycle through the palette,
+     * ranges interpolate along it (for example, two colors produce a gradient).
+     * Defaults to {@link Palettes.categorical} for categories, and {@link Palettes.heatmap} for ranges.
+     * @property {number|object[]} [ranges] Number of equally sized ranges between the smallest and the largest
+     * numeric value, or a list of ranges with optional *min*, *max*, *label* and *color*.
+     * @property {Array|object} [categories] List of property values to color (other values are left unmatched),
+     * or an object mapping property values to colors. If neither *ranges* nor *categories* are specified,
+     * each distinct property value becomes a category.
+     * @property {number} [opacity] Opacity overriding the alpha of all colors.
+     * @property {number} [precision] Number of decimal places used in range labels.
+     * @property {string[]} [propFilter] Optional list of property names to retrieve
+     * (can speed up the coloring of large models).
+     * @property {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     */
+
+    /**
+     * Colors all leaf objects by the value of their property, either by distinct values (categories)
+     * or by numeric ranges, for example, to show status, fire rating, or cost heatmaps.
+     * Colors set earlier by {@link Utilities#setColor} or by this method are removed first.
+     * The change is recorded in {@link Utilities#history} as a single step, and can be reverted
+     * by {@link Utilities#undo}, or removed by {@link Utilities#clearColors}.
+     * @param {string} propertyName Property name, optionally prefixed with display category,
+     * using the same syntax as {@link Utilities#query}, for example, *Status* or *Identity Data.Cost*.
+     * @param {ColorByOptions} [options] Coloring options.
+     * @returns {Promise<ColorLegend>} Promise that will be resolved with the legend of the applied colors,
+     * or rejected with an error.
+     *
+     * @example
+     * const legend = await utils.colorBy('Cost', { ranges: 5, palette: ['#ffffb2', '#bd0026'], precision: 0 });
+     * for (const item of legend.items) {
+     *   console.log(item.label, item.color, item.count);
+     * }
+     *
+     * @example
+     * await utils.colorBy('Fire Rating', { categories: { '1 hr': '#fdae61', '2 hr': '#d7191c' } });
+     * utils.clearColors();
+     */
+    colorBy(propertyName, options = {}) {
+        const self = this;
+        const model = options.model || this.viewer.model;
+        return this.listLeafNodes(undefined, model)
+            .then(function(dbIds) { return self.getBulkProperties(dbIds, options.propFilter, model); })
+            .then(function(results) {
+                const legend = Utilities.buildColorLegend(results, propertyName, options);
+                self.history.transaction(`Color by ${propertyName}`, function() {
+                    self.clearColors(model);
+                    for (const item of legend.items) {
+                        if (item.dbIds.length > 0) {
+                            const rgba = Utilities._parseColor(item.color);
+                            self.setColor(item.dbIds, new THREE.Vector4(rgba[0], rgba[1], rgba[2], item.opacity), model);
+                        }
+                    }
+                });
+                return legend;
+            });
+    }
+
+    /**
+     * Removes theming colors set by {@link Utilities#setColor} or {@link Utilities#colorBy}.
+     * The change is recorded in {@link Utilities#history}.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     */
+    clearColors(model = undefined) {
+        model = model || this.viewer.model;
+        const colors = this._colors.get(model);
+        if (colors && colors.size > 0) {
+            this.setColor(Array.from(colors.keys()), null, model);
+        }
+    }
+
+    /**
+     * Assigns colors to objects based on the value of their property,
+     * as described in {@link Utilities#colorBy}.
+     * @param {PropertyResult[]} results Properties of scene objects.
+     * @param {string} propertyName Property name, optionally prefixed with display category.
+     * @param {ColorByOptions} [options] Coloring options.
+     * @returns {ColorLegend} Legend with objects assigned to its entries.
+     * @throws {UtilitiesError} if a color cannot be parsed.
+     *
+     * @example
+     * const results = require('./properties.json');
+     * const legend = Utilities.buildColorLegend(results, 'Status');
+     * console.log(legend.items.map(item => `${item.label}: ${item.count}`));
+     */
+    static buildColorLegend(results, propertyName, options = {}) {
+        const values = [];
+        const unmatched = [];
+        for (const result of results) {
+            const props = Utilities._findProperties(result, propertyName);
+            if (props.length > 0 && props[0].displayValue !== '' && props[0].displayValue !== null && typeof props[0].displayValue !== 'undefined') {
+                values.push({ dbId: result.dbId, value: props[0].displayValue });
+            } else {
+                unmatched.push(result.dbId);
+            }
+        }
+        function createItem(props, color) {
+            const rgba = Utilities._parseColor(color);
+            const opacity = typeof options.opacity === 'number' ? options.opacity : rgba[3];
+            return Object.assign(props, { color: '#' + Utilities._colorKey(rgba).slice(0, 6), opacity, count: 0, dbIds: [] });
+        }
+
+        if (typeof options.ranges !== 'undefined') {
+            const palette = (options.palette || Palettes.heatmap).map(Utilities._parseColor);
+            const numbers = [];
+            for (const entry of values) {
+                const number = parseFloat(entry.value);
+                if (isNaN(number)) {
+                    unmatched.push(entry.dbId);
+                } else {
+                    numbers.push({ dbId: entry.dbId, value: number });
+                }
+            }
+            let ranges = options.ranges;
+            if (typeof ranges === 'number') {
+                const min = numbers.reduce((result, entry) => Math.min(result, entry.value), Infinity);
+                const max = numbers.reduce((result, entry) => Math.max(result, entry.value), -Infinity);
+                const count = numbers.length > 0 && max > min ? Math.max(1, Math.floor(ranges)) : 1;
+                ranges = [];
+                for (let i = 0; i < count && numbers.length > 0; i++) {
+                    ranges.push({ min: min + (max - min) * i / count, max: i === count - 1 ? max : min + (max - min) * (i + 1) / count });
+                }
+            }
+            function format(value) {
+                return typeof options.precision === 'number' ? value.toFixed(options.precision) : String(value);
+            }
+            const items = ranges.map(function(range, i) {
+                const hasMin = typeof range.min === 'number', hasMax = typeof range.max === 'number';
+                let label = range.label;
+                if (!label) {
+                    if (hasMin && hasMax) {
+                        label = `${format(range.min)} - ${format(range.max)}`;
+                    } else if (hasMin) {
+                        label = `>= ${format(range.min)}`;
+                    } else if (hasMax) {
+                        label = `< ${format(range.max)}`;
+                    } else {
+                        label = 'All';
+                    }
+                }
+                const t = ranges.length > 1 ? i / (ranges.length - 1) : 0.0;
+                return createItem({ label, min: range.min, max: range.max }, range.color || Utilities._interpolatePalette(palette, t));
+            });
+            for (const entry of numbers) {
+                const item = items.find(function(item, i) {
+                    return (typeof item.min !== 'number' || entry.value >= item.min)
+                        && (typeof item.max !== 'number' || entry.value < item.max || (i === items.length - 1 && entry.value === item.max));
+                });
+                if (item) {
+                    item.dbIds.push(entry.dbId);
+                    item.count++;
+                } else {
+                    unmatched.push(entry.dbId);
+                }
+            }
+            return { property: propertyName, type: 'ranges', items, unmatched };
+        }
+
+        const palette = options.palette || Palettes.categorical;
+        let categories = options.categories;
+        let colors = null;
+        if (categories && !Array.isArray(categories)) {
+            colors = categories;
+            categories = Object.keys(categories);
+        } else if (!categories) {
+            const distinct = new Set(values.map(entry => String(entry.value)));
+            categories = Array.from(distinct).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        }
+        const items = categories.map(function(value, i) {
+            const color = colors ? colors[value] : palette[i % palette.length];
+            return createItem({ label: String(value), value }, color);
+        });
+        const lookup = new Map(items.map(item => [String(item.value), item]));
+        for (const entry of values) {
+            const item = lookup.get(String(entry.value));
+            if (item) {
+                item.dbIds.push(entry.dbId);
+                item.count++;
+            } else {
+                unmatched.push(entry.dbId);
+            }
+        }
+        return { property: propertyName, type: 'categories', items, unmatched };
+    }
+
+    /**
+     * Parses a color into RGBA values.
+     * @private
+     * @param {THREE.Vector4|number[]|string} color Vector, array of RGB(A) values, or CSS hex string.
+     * @returns {number[]} RGBA values between 0.0 and 1.0.
+     * @throws {UtilitiesError} if the color cannot be parsed.
+     */
+    static _parseColor(color) {
+        if (Array.isArray(color) && color.length >= 3) {
+            return [color[0], color[1], color[2], color.length > 3 ? color[3] : 1.0];
+        } else if (color && typeof color.x === 'number') {
+            return [color.x, color.y, color.z, typeof color.w === 'number' ? color.w : 1.0];
+        } else if (typeof color === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(color)) {
+            let hex = color.slice(1);
+            if (hex.length === 3) {
+                hex = hex.split('').map(c => c + c).join('');
+            }
+            return [0, 2, 4, 6].map(i => i < hex.length ? parseInt(hex.slice(i, i + 2), 16) / 255 : 1.0);
+        }
+        throw new UtilitiesError(`Invalid color ${JSON.stringify(color)}.`);
+    }
+
+    /**
+     * Interpolates colors of a palette.
+     * @private
+     * @param {number[][]} palette List of RGBA colors.
+     * @param {number} t Position in the palette, between 0.0 and 1.0.
+     * @returns {number[]} Interpolated RGBA color.
+     */
+    static _interpolatePalette(palette, t) {
+        if (palette.length === 1) {
+            return palette[0].slice();
+        }
+        const position = t * (palette.length - 1);
+        const i = Math.min(Math.floor(position), palette.length - 2);
+        const s = position - i;
+        return palette[i].map((value, j) => value + s * (palette[i + 1][j] - value));
+    }
+
+    /**
+     * Shows or hides scene objects. The change is recorded in {@link Utilities#history}.
+     * @param {number[]} dbIds IDs of objects to show or hide.
+     * @param {boolean} visible Whether the objects should be visible.
+     * @param {Model} [model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     *
+     * @example
+     * utils.setVisibility([123, 456], false);
+     * utils.undo();
+     */
+    setVisibility(dbIds, visible, model = undefined) {
+        const viewer = this.viewer;
+        model = model || viewer.model;
+        const before = dbIds.map(dbId => viewer.isNodeVisible(dbId, model));
+        this.history.execute({
+            label: visible ? 'Show objects' : 'Hide objects',
+            redo: function() {
+                if (visible) {
+                    viewer.show(dbIds, model);
+                } else {
+                    viewer.hide(dbIds, model);
+                }
+            },
+            undo: function() {
+                const show = dbIds.filter((dbId, i) => before[i]);
+                const hide = dbIds.filter((dbId, i) => !before[i]);
+                if (show.length > 0) {
+                    viewer.show(show, model);
+                }
+                if (hide.length > 0) {
+                    viewer.hide(hide, model);
+                }
+            }
+        });
+    }
+
+    /**
+     * Reverts the last change recorded in {@link Utilities#history}, and refreshes the scene.
+     * @returns {boolean} True if a change has been undone.
+     */
+    undo() {
+        const result = this.history.undo();
+        this.refresh();
+        return result;
+    }
+
+    /**
+     * Re-applies the last change reverted with {@link Utilities#undo}, and refreshes the scene.
+     * @returns {boolean} True if a change has been redone.
+     */
+    redo() {
+        const result = this.history.redo();
+        this.refresh();
+        return result;
+    }
+
+    /**
+     * Re-renders entire scene, including overlay scenes. Should only be called
+     * when absolutely needed, for example after updating aux. transforms
+     * of multiple fragments using {@link setFragmentAuxiliaryTransform}.
+     */
+    refresh() {
+        this.impl.invalidate(true, true, true);
+    }
+}
+
+/**
+ * Item stored in {@link SpatialIndex}.
+ * @typedef {object} SpatialIndexItem
+ * @property {number|string} id Unique ID of the item, for example, fragment ID.
+ * @property {*} [data] Additional data associated with the item, for example, object ID.
+ * @property {THREE.Vector3|number[]} min Minimum corner of the item bounding box.
+ * @property {THREE.Vector3|number[]} max Maximum corner of the item bounding box.
+ */
+
+/**
+ * Bounding volume hierarchy over axis-aligned bounding boxes, answering
+ * nearest-neighbor, within-radius, box-overlap and clash-candidate queries.
+ * Available as *Autodesk.Viewing.Utilities.SpatialIndex*.
+ *
+ * Points and boxes can be provided either as {@link https://threejs.org/docs/#api/en/math/Vector3|Vector3}
+ * instances (or any objects with *x*, *y* and *z* properties), or as arrays of three numbers.
+ */
+class SpatialIndex {
+    /**
+     * Builds new spatial index.
+     * @param {SpatialIndexItem[]} [items=[]] Items to be indexed.
+     * @param {object} [options] Additional options.
+     * @param {number} [options.leafSize=4] Maximum number of items in a single leaf of the hierarchy.
+     *
+     * @example
+     * const index = new SpatialIndex([
+     *   { id: 1, min: [0, 0, 0], max: [1, 1, 1] },
+     *   { id: 2, min: [5, 5, 5], max: [6, 6, 6] }
+     * ]);
+     * console.log(index.queryRadius([0, 0, 0], 2)); // [1]
+     */
+    constructor(items = [], options = {}) {
+        this._leafSize = options.leafSize || 4;
+        this._entries = new Map();
+        const entries = items.map(function(item) {
+            return { id: item.id, data: item.data, min: SpatialIndex._toArray(item.min), max: SpatialIndex._toArray(item.max), leaf: null };
+        });
+        for (const entry of entries) {
+            this._entries.set(entry.id, entry);
+        }
+        this._root = entries.length > 0 ? this._build(entries, null) : null;
+    }
+
+    /**
+     * Number of items in the index.
+     * @type {number}
+     */
+    get size() {
+        return this._entries.size;
+    }
+
+    /**
+     * Checks whether an item is in the index.
+     * @param {number|string} id Item ID.
+     * @returns {boolean} True if the item is in the index.
+     */
+    has(id) {
+        return this._entries.has(id);
+    }
+
+    /**
+     * Gets additional data associated with an item.
+     * @param {number|string} id Item ID.
+     * @returns {*} Item data, or undefined if the item is not in the index.
+     */
+    getData(id) {
+        const entry = this._entries.get(id);
+        return entry ? entry.data : undefined;
+    }
+
+    /**
+     * Updates bounding box of an item, for example, after a fragment has been moved.
+     * @param {number|string} id Item ID.
+     * @param {THREE.Vector3|number[]} min New minimum corner of the item bounding box.
+     * @param {THREE.Vector3|number[]} max New maximum corner of the item bounding box.
+     */
+    update(id, min, max) {
+        const entry = this._entries.get(id);
+        if (entry) {
+            entry.min = SpatialIndex._toArray(min);
+            entry.max = SpatialIndex._toArray(max);
+            this._refit(entry.leaf);
+        }
+    }
+
+    /**
+     * Removes an item from the index.
+     * @param {number|string} id Item ID.
+     */
+    remove(id) {
+        const entry = this._entries.get(id);
+        if (entry) {
+            this._entries.delete(id);
+            entry.leaf.entries.splice(entry.leaf.entries.indexOf(entry), 1);
+            this._refit(entry.leaf);
+        }
+    }
+
+    /**
+     * Finds items whose bounding boxes overlap given box.
+     * @param {THREE.Vector3|number[]} min Minimum corner of the box.
+     * @param {THREE.Vector3|number[]} max Maximum corner of the box.
+     * @returns {Array<number|string>} IDs of overlapping items.
+     */
+    queryBox(min, max) {
+        min = SpatialIndex._toArray(min);
+        max = SpatialIndex._toArray(max);
+        const result = [];
+        this._traverse(
+            node => SpatialIndex._overlaps(node.min, node.max, min, max, 0),
+            entry => { if (SpatialIndex._overlaps(entry.min, entry.max, min, max, 0)) result.push(entry.id); }
+        );
+        return result;
+    }
+
+    /**
+     * Finds items whose bounding boxes are within given distance from a point.
+     * @param {THREE.Vector3|number[]} center Center of the search.
+     * @param {number} radius Search radius.
+     * @returns {Array<number|string>} IDs of items within the radius.
+     */
+    queryRadius(center, radius) {
+        center = SpatialIndex._toArray(center);
+        const radiusSq = radius * radius;
+        const result = [];
+        this._traverse(
+            node => SpatialIndex._distanceSq(center, node.min, node.max) <= radiusSq,
+            entry => { if (SpatialIndex._distanceSq(center, entry.min, entry.max) <= radiusSq) result.push(entry.id); }
+        );
+        return result;
+    }
+
+    /**
+     * Finds items whose bounding boxes are closest to a point.
+     * @param {THREE.Vector3|number[]} point Point to search from.
+     * @param {number} [count=1] Maximum number of items to return.
+     * @param {number} [maxDistance=Infinity] Maximum distance of the items from the point.
+     * @returns {object[]} List of up to *count* objects with *id* and *distance*
+     * (distance from the point to the item bounding box), sorted by distance.
+     */
+    nearest(point, count = 1, maxDistance = Infinity) {
+        point = SpatialIndex._toArray(point);
+        const result = [];
+        if (!this._root) {
+            return result;
+        }
+        let limitSq = maxDistance * maxDistance;
+        // Best-first search with a binary min-heap of nodes ordered by their distance from the point
+        const heap = [{ node: this._root, distanceSq: SpatialIndex._distanceSq(point, this._root.min, this._root.max) }];
+        function push(item) {
+            heap.push(item);
+            let i = heap.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (heap[parent].distanceSq <= heap[i].distanceSq) break;
+                [heap[parent], heap[i]] = [heap[i], heap[parent]];
+                i = parent;
+            }
+        }
+        function pop() {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                let i = 0;
+                while (true) {
+                    const left = 2 * i + 1, right = left + 1;
+                    let smallest = i;
+                    if (left < heap.length && heap[left].distanceSq < heap[smallest].distanceSq) smallest = left;
+                    if (right < heap.length && heap[right].distanceSq < heap[smallest].distanceSq) smallest = right;
+                    if (smallest === i) break;
+                    [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                    i = smallest;
+                }
+            }
+            return top;
+        }
+        while (heap.length > 0) {
+            const { node, distanceSq } = pop();
+            if (distanceSq > limitSq) {
+                break;
+            }
+            if (node.entries) {
+                for (const entry of node.entries) {
+                    const entryDistanceSq = SpatialIndex._distanceSq(point, entry.min, entry.max);
+                    if (entryDistanceSq <= limitSq) {
+                        let i = result.length;
+                        while (i > 0 && result[i - 1].distanceSq > entryDistanceSq) i--;
+                        result.splice(i, 0, { id: entry.id, distanceSq: entryDistanceSq });
+                        if (result.length > count) result.pop();
+                        if (result.length === count) limitSq = result[count - 1].distanceSq;
+                    }
+                }
+            } else {
+                for (const child of [node.left, node.right]) {
+                    push({ node: child, distanceSq: SpatialIndex._distanceSq(point, child.min, child.max) });
+                }
+            }
+        }
+        return result.map(item => ({ id: item.id, distance: Math.sqrt(item.distanceSq) }));
+    }
+
+    /**
+     * Finds pairs of items with overlapping bounding boxes, either within this index,
+     * or between this index and another one. These pairs are candidates for clash detection.
+     * @param {SpatialIndex} [other] Other index. If undefined, pairs are searched within this index.
+     * @param {number} [tolerance=0] Boxes closer to each other than this distance are considered overlapping.
+     * @returns {Array<Array<number|string>>} List of pairs of item IDs (the first ID is always from this index).
+     */
+    clashCandidates(other = undefined, tolerance = 0) {
+        const self = !other || other === this;
+        other = other || this;
+        const result = [];
+        if (!this._root || !other._root) {
+            return result;
+        }
+        const stack = [[this._root, other._root]];
+        while (stack.length > 0) {
+            const [a, b] = stack.pop();
+            if (!SpatialIndex._overlaps(a.min, a.max, b.min, b.max, tolerance)) {
+                continue;
+            }
+            if (a.entries && b.entries) {
+                for (let i = 0; i < a.entries.length; i++) {
+                    const ea = a.entries[i];
+                    for (let j = (self && a === b) ? i + 1 : 0; j < b.entries.length; j++) {
+                        const eb = b.entries[j];
+                        if (SpatialIndex._overlaps(ea.min, ea.max, eb.min, eb.max, tolerance)) {
+                            result.push([ea.id, eb.id]);
+                        }
+                    }
+                }
+            } else if (self && a === b) {
+                stack.push([a.left, a.left], [a.left, a.right], [a.right, a.right]);
+            } else if (a.entries || (!b.entries && SpatialIndex._volume(b) > SpatialIndex._volume(a))) {
+                stack.push([a, b.left], [a, b.right]);
+            } else {
+                stack.push([a.left, b], [a.right, b]);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Builds a subtree of the hierarchy.
+     * @private
+     */
+    _build(entries, parent) {
+        const node = { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity], parent, left: null, right: null, entries: null };
+        if (entries.length <= this._leafSize) {
+            node.entries = entries;
+            for (const entry of entries) {
+                entry.leaf = node;
+            }
+            SpatialIndex._computeBounds(node);
+            return node;
+        }
+        // Split the entries in half along the longest axis of their centers
+        const centerMin = [Infinity, Infinity, Infinity];
+        const centerMax = [-Infinity, -Infinity, -Infinity];
+        for (const entry of entries) {
+            for (let i = 0; i < 3; i++) {
+                const center = 0.5 * (entry.min[i] + entry.max[i]);
+                centerMin[i] = Math.min(centerMin[i], center);
+                centerMax[i] = Math.max(centerMax[i], center);
+            }
+        }
+        let axis = 0;
+        for (let i = 1; i < 3; i++) {
+            if (centerMax[i] - centerMin[i] > centerMax[axis] - centerMin[axis]) {
+                axis = i;
+            }
+        }
+        entries.sort((a, b) => (a.min[axis] + a.max[axis]) - (b.min[axis] + b.max[axis]));
+        const half = entries.length >> 1;
+        node.left = this._build(entries.slice(0, half), node);
+        node.right = this._build(entries.slice(half), node);
+        SpatialIndex._computeBounds(node);
+        return node;
+    }
+
+    /**
+     * Recomputes bounds of a node and all its ancestors.
+     * @private
+     */
+    _refit(node) {
+        while (node) {
+            SpatialIndex._computeBounds(node);
+            node = node.parent;
+        }
+    }
+
+    /**
+     * Visits all entries in nodes that pass a test.
+     * @private
+     */
+    _traverse(testNode, visitEntry) {
+        if (!this._root) {
+            return;
+        }
+        const stack = [this._root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (!testNode(node)) {
+                continue;
+            }
+            if (node.entries) {
+                node.entries.forEach(visitEntry);
+            } else {
+                stack.push(node.left, node.right);
+            }
+        }
+    }
+
+    /** @private */
+    static _computeBounds(node) {
+        const min = node.min, max = node.max;
+        min[0] = min[1] = min[2] = Infinity;
+        max[0] = max[1] = max[2] = -Infinity;
+        const boxes = node.entries || [node.left, node.right];
+        for (const box of boxes) {
+            for (let i = 0; i < 3; i++) {
+                min[i] = Math.min(min[i], box.min[i]);
+                max[i] = Math.max(max[i], box.max[i]);
+            }
+        }
+    }
+
+    /** @private */
+    static _overlaps(minA, maxA, minB, maxB, tolerance) {
+        return minA[0] <= maxB[0] + tolerance && maxA[0] + tolerance >= minB[0]
+            && minA[1] <= maxB[1] + tolerance && maxA[1] + tolerance >= minB[1]
+            && minA[2] <= maxB[2] + tolerance && maxA[2] + tolerance >= minB[2];
+    }
+
+    /** @private */
+    static _distanceSq(point, min, max) {
+        let distanceSq = 0;
+        for (let i = 0; i < 3; i++) {
+            const d = point[i] < min[i] ? min[i] - point[i] : (point[i] > max[i] ? point[i] - max[i] : 0);
+            distanceSq += d * d;
+        }
+        return distanceSq;
+    }
+
+    /** @private */
+    static _volume(node) {
+        return Math.max(0, node.max[0] - node.min[0]) * Math.max(0, node.max[1] - node.min[1]) * Math.max(0, node.max[2] - node.min[2]);
+    }
+
+    /** @private */
+    static _toArray(vec) {
+        return Array.isArray(vec) ? vec.slice(0, 3) : [vec.x, vec.y, vec.z];
+    }
+}
+
+/**
+ * Single keyframe of a {@link Timeline}. Properties that are not specified
+ * are not affected by the keyframe.
+ * @typedef {object} Keyframe
+ * @property {number|Date|string} time Time of the keyframe, either as a number (for example,
+ * milliseconds since the start of the sequence), or as a date.
+ * @property {number[]} dbIds IDs of objects affected by the keyframe.
+ * @property {boolean} [visible] Visibility of the objects.
+ * @property {THREE.Vector4?} [color] Theming color of the objects
+ * ({@link https://threejs.org/docs/#api/en/math/Vector4|Vector4} with RGBA values between 0.0 and 1.0),
+ * or null to remove the color.
+ * @property {AnimationTarget} [transform] _Auxiliary_ transform of the objects
+ * (see {@link Utilities#setFragmentAuxTransform}). Missing components are reset to identity.
+ * @property {string} [label] Optional description, for example, name of the construction task.
+ */
+
+/**
+ * Sequence of keyframes controlling visibility, color and _auxiliary_ transforms
+ * of scene objects over time, for example, for construction sequence (4D) playback.
+ * Available as *Autodesk.Viewing.Utilities.Timeline*.
+ *
+ * When seeking to a specific time, each object gets the visibility and color
+ * from the latest keyframe (at or before that time) that specifies them. Transforms are
+ * interpolated between keyframes. Objects without any such keyframe are visible,
+ * have no theming color, and have no auxiliary transform.
+ *
+ * Note: colors of the timeline override theming colors of the affected objects. When the timeline
+ * stops coloring an object, the color set by {@link Utilities#setColor} or {@link Utilities#colorBy}
+ * (if any) is restored.
+ *
+ * @example
+ * const timeline = new Autodesk.Viewing.Utilities.Timeline(utils);
+ * timeline.addKeyframe({ time: '2019-03-01', dbIds: [1, 2, 3], visible: false });
+ * timeline.addKeyframe({ time: '2019-04-01', dbIds: [1, 2], visible: true, color: new THREE.Vector4(1, 0, 0, 0.5) });
+ * timeline.addKeyframe({ time: '2019-05-01', dbIds: [1, 2], color: null });
+ * timeline.seek(Date.parse('2019-04-15'));
+ * await timeline.play({ duration: 10000 });
+ */
+class Timeline {
+    /**
+     * Creates new, empty timeline.
+     * @param {Utilities} utils Utilities instance wrapping the viewer.
+     * @param {object} [options] Additional options.
+     * @param {Model} [options.model] {@link https://forge.autodesk.com/en/docs/viewer/v6/reference/javascript/model|Model}
+     * to operate on. If undefined, the currently loaded model is used.
+     * @param {boolean} [options.interpolate=true] Interpolate transforms between keyframes.
+     * If false, transforms change in steps like visibility and color.
+     */
+    constructor(utils, options = {}) {
+        this.utils = utils;
+        this.model = options.model || utils.viewer.model;
+        this.interpolate = options.interpolate !== false;
+        this._keyframes = [];
+        this._tracks = null;
+        this._applied = new Map();
+        this._fragments = new Map();
+        this._currentTime = null;
+        this._playback = null;
+    }
+
+    /**
+     * List of keyframes, sorted by time.
+     * @type {Keyframe[]}
+     */
+    get keyframes() {
+        return this._keyframes.slice();
+    }
+
+    /**
+     * Time of the first keyframe, or null if the timeline is empty.
+     * @type {number?}
+     */
+    get startTime() {
+        return this._keyframes.length > 0 ? this._keyframes[0].time : null;
+    }
+
+    /**
+     * Time of the last keyframe, or null if the timeline is empty.
+     * @type {number?}
+     */
+    get endTime() {
+        return this._keyframes.length > 0 ? this._keyframes[this._keyframes.length - 1].time : null;
+    }
+
+    /**
+     * Time the timeline has last been seeked to, or null.
+     * @type {number?}
+     */
+    get currentTime() {
+        return this._currentTime;
+    }
+
+    /**
+     * Whether the timeline is currently playing.
+     * @type {boolean}
+     */
+    get playing() {
+        return this._playback !== null;
+    }
+
+    /**
+     * Adds new keyframe. Keyframes with the same time are applied in the order they were added.
+     * @param {Keyframe} keyframe Keyframe to add.
+     * @returns {Keyframe} Normalized keyframe (with time converted to a number) that has been added.
+     * @throws {UtilitiesError} if the keyframe time is invalid.
+     */
+    addKeyframe(keyframe) {
+        const normalized = Object.assign({}, keyframe, { time: Timeline._parseTime(keyframe.time), dbIds: keyframe.dbIds.slice() });
+        let i = this._keyframes.length;
+        while (i > 0 && this._keyframes[i - 1].time > normalized.time) {
+            i--;
+        }
+        this._keyframes.splice(i, 0, normalized);
+        this._tracks = null;
+        return normalized;
+    }
+
+    /**
+     * Removes a keyframe previously returned by {@link Timeline#addKeyframe}.
+     * @param {Keyframe} keyframe Keyframe to remove.
+     * @returns {boolean} True if the keyframe has been found and removed.
+     */
+    removeKeyframe(keyframe) {
+        const index = this._keyframes.indexOf(keyframe);
+        if (index === -1) {
+            return false;
+        }
+        this._keyframes.splice(index, 1);
+        this._tracks = null;
+        return true;
+    }
+
+    /**
+     * Removes all keyframes, and restores the default state of all affected objects.
+     */
+    clear() {
+        this.pause();
+        this.reset();
+        this._keyframes = [];
+        this._tracks = null;
+    }
+
+    /**
+     * Restores the default state (visible, no theming color, no auxiliary transform)
+     * of all objects affected by the timeline.
+     */
+    reset() {
+        const viewer = this.utils.viewer;
+        const tracks = this._getTracks();
+        const identity = { scale: new THREE.Vector3(1, 1, 1), rotation: new THREE.Quaternion(), position: new THREE.Vector3() };
+        viewer.show(Array.from(tracks.keys()), this.model);
+        for (const [dbId, applied] of this._applied) {
+            if (applied.color) {
+                this._restoreColor(dbId);
+            }
+        }
+        for (const dbId of tracks.keys()) {
+            if (tracks.get(dbId).transforms.length > 0) {
+                this._setTransform(dbId, identity);
+            }
+        }
+        this._applied.clear();
+        this._currentTime = null;
+        this.utils.refresh();
+    }
+
+    /**
+     * Applies the state of all affected objects at given time.
+     * Should be called *after* both the object tree and the fragments have been loaded.
+     * @param {number|Date|string} time Time to seek to. Times outside of the timeline range are clamped.
+     * @throws {ModelNotReadyError} when the object tree or the fragments are not yet available.
+     */
+    seek(time) {
+        time = Timeline._parseTime(time);
+        if (this._keyframes.length === 0) {
+            this._currentTime = time;
+            return;
+        }
+        time = Math.min(Math.max(time, this.startTime), this.endTime);
+        const viewer = this.utils.viewer;
+        const show = [], hide = [];
+        for (const [dbId, track] of this._getTracks()) {
+            const applied = this._applied.get(dbId) || { visible: true, color: null };
+            const visibility = Timeline._latest(track.visibility, time);
+            const visible = visibility ? visibility.visible : true;
+            if (visible !== applied.visible) {
+                (visible ? show : hide).push(dbId);
+            }
+            const coloring = Timeline._latest(track.colors, time);
+            const color = coloring ? coloring.color : null;
+            if (color !== applied.color) {
+                if (color) {
+                    viewer.setThemingColor(dbId, color, this.model);
+                } else {
+                    this._restoreColor(dbId);
+                }
+            }
+            if (track.transforms.length > 0) {
+                this._setTransform(dbId, this._interpolateTransform(track.transforms, time));
+            }
+            this._applied.set(dbId, { visible, color });
+        }
+        if (show.length > 0) {
+            viewer.show(show, this.model);
+        }
+        if (hide.length > 0) {
+            viewer.hide(hide, this.model);
+        }
+        this._currentTime = time;
+        this.utils.refresh();
+    }
+
+    /**
+     * Starts playing the timeline from the current time (or from the start, if the timeline
+     * has not been seeked yet, or if it is already at the end). Playback is driven
+     * by the browser's render loop (*requestAnimationFrame*).
+     * @param {object} [options] Playback options.
+     * @param {number} [options.duration] Real duration of the playback (in milliseconds)
+     * from the start to the end of the timeline.
+     * @param {number} [options.speed=1] Number of timeline units (for example, milliseconds of a schedule)
+     * per one millisecond of real time. Ignored if *duration* is provided.
+     * @param {boolean} [options.loop=false] Start again from the beginning when the end is reached.
+     * @param {function} [options.onUpdate] Function called with the current time after each update.
+     * @returns {Promise<boolean>} Promise that will be resolved with true when the playback reaches the end,
+     * or with false when it is paused, or rejected with an error.
+     */
+    play(options = {}) {
+        const self = this;
+        this.pause();
+        if (this._keyframes.length === 0) {
+            return Promise.resolve(true);
+        }
+        const range = this.endTime - this.startTime;
+        const speed = options.duration ? range / options.duration : (options.speed || 1);
+        let time = this._currentTime === null || this._currentTime >= this.endTime ? this.startTime : this._currentTime;
+        return new Promise(function(resolve, reject) {
+            let last = null;
+            const playback = { frame: null, resolve };
+            function onFrame(now) {
+                try {
+                    if (last !== null) {
+                        time += (now - last) * speed;
+                    }
+                    last = now;
+                    if (time > self.endTime && options.loop) {
+                        time = self.startTime + (range > 0 ? (time - self.startTime) % range : 0);
+                    }
+                    self.seek(time);
+                    if (options.onUpdate) {
+                        options.onUpdate(self._currentTime);
+                    }
+                    if (time >= self.endTime && !options.loop) {
+                        self._playback = null;
+                        resolve(true);
+                    } else {
+                        playback.frame = requestAnimationFrame(onFrame);
+                    }
+                } catch(err) {
+                    self._playback = null;
+                    reject(err);
+                }
+            }
+            self._playback = playback;
+            playback.frame = requestAnimationFrame(onFrame);
+        });
+    }
+
+    /**
+     * Pauses the playback, keeping the current state of the objects.
+     */
+    pause() {
+        if (this._playback) {
+            cancelAnimationFrame(this._playback.frame);
+            this._playback.resolve(false);
+            this._playback = null;
+        }
+    }
+
+    /**
+     * Exports the keyframes into a plain JSON structure that can be stored
+     * and later loaded using {@link Timeline#importJSON}. Colors are exported as arrays of RGBA values,
+     * and transforms as arrays of vector and quaternion components.
+     * @returns {object} JSON-serializable object.
+     */
+    exportJSON() {
+        const toArray = v => v.w === undefined ? [v.x, v.y, v.z] : [v.x, v.y, v.z, v.w];
+        return {
+            version: 1,
+            keyframes: this._keyframes.map(function(keyframe) {
+                const json = { time: keyframe.time, dbIds: keyframe.dbIds.slice() };
+                if (keyframe.label !== undefined) {
+                    json.label = keyframe.label;
+                }
+                if (keyframe.visible !== undefined) {
+                    json.visible = keyframe.visible;
+                }
+                if (keyframe.color !== undefined) {
+                    json.color = keyframe.color ? toArray(keyframe.color) : null;
+                }
+                if (keyframe.transform) {
+                    json.transform = {};
+                    for (const key of ['position', 'rotation', 'scale']) {
+                        if (keyframe.transform[key]) {
+                            json.transform[key] = toArray(keyframe.transform[key]);
+                        }
+                    }
+                }
+                return json;
+            })
+        };
+    }
+
+    /**
+     * Replaces all keyframes with the ones from JSON generated by {@link Timeline#exportJSON}.
+     * The whole input is validated first, and so the current keyframes are kept if it is invalid.
+     * @param {object|string} json JSON object, or its string representation.
+     * @throws {UtilitiesError} if the JSON cannot be parsed, or if any of the keyframes is invalid.
+     */
+    importJSON(json) {
+        if (typeof json === 'string') {
+            try {
+                json = JSON.parse(json);
+            } catch(err) {
+                throw new UtilitiesError(`Invalid timeline JSON (${err.message}).`);
+            }
+        }
+        if (!json || !Array.isArray(json.keyframes)) {
+            throw new UtilitiesError('Timeline JSON has no keyframes.');
+        }
+        function numbers(value, count, name, index) {
+            if (!Array.isArray(value) || value.length !== count || !value.every(item => typeof item === 'number' && isFinite(item))) {
+                throw new UtilitiesError(`Invalid ${name} ${JSON.stringify(value)} in keyframe ${index}.`);
+            }
+            return value;
+        }
+        const keyframes = json.keyframes.map(function(entry, index) {
+            if (!entry || typeof entry !== 'object') {
+                throw new UtilitiesError(`Invalid keyframe ${index}.`);
+            }
+            let time;
+            try {
+                time = Timeline._parseTime(entry.time);
+            } catch(err) {
+                throw new UtilitiesError(`Invalid time ${JSON.stringify(entry.time)} in keyframe ${index}.`);
+            }
+            const keyframe = Object.assign({}, entry, { time: time });
+            if (!Array.isArray(entry.dbIds) || !entry.dbIds.every(dbId => typeof dbId === 'number')) {
+                throw new UtilitiesError(`Invalid dbIds ${JSON.stringify(entry.dbIds)} in keyframe ${index}.`);
+            }
+            if (entry.visible !== undefined && typeof entry.visible !== 'boolean') {
+                throw new UtilitiesError(`Invalid visibility ${JSON.stringify(entry.visible)} in keyframe ${index}.`);
+            }
+            if (entry.color) {
+                const c = numbers(entry.color, 4, 'color', index);
+                keyframe.color = new THREE.Vector4(c[0], c[1], c[2], c[3]);
+            } else if (entry.color !== undefined && entry.color !== null) {
+                throw new UtilitiesError(`Invalid color ${JSON.stringify(entry.color)} in keyframe ${index}.`);
+            }
+            if (entry.transform) {
+                const t = entry.transform;
+                if (typeof t !== 'object') {
+                    throw new UtilitiesError(`Invalid transform ${JSON.stringify(t)} in keyframe ${index}.`);
+                }
+                keyframe.transform = {};
+                if (t.position) {
+                    const p = numbers(t.position, 3, 'position', index);
+                    keyframe.transform.position = new THREE.Vector3(p[0], p[1], p[2]);
+                }
+                if (t.rotation) {
+                    const r = numbers(t.rotation, 4, 'rotation', index);
+                    keyframe.transform.rotation = new THREE.Quaternion(r[0], r[1], r[2], r[3]);
+                }
+                if (t.scale) {
+                    const s = numbers(t.scale, 3, 'scale', index);
+                    keyframe.transform.scale = new THREE.Vector3(s[0], s[1], s[2]);
+                }
+            }
+            return keyframe;
+        });
+        this.clear();
+        for (const keyframe of keyframes) {
+            this.addKeyframe(keyframe);
+        }
+    }
+
+    /**
+     * Imports tasks from a CSV schedule, for example, exported from a project planning tool.
+     * Each row maps a task to a list of elements. Elements of each task are hidden
+     * until the task starts, highlighted while the task is in progress, and shown
+     * with the *completed* color (if any) after the task ends.
+     *
+     * @param {string} csv CSV document with a header row.
+     * @param {object} [options] Import options.
+     * @param {string} [options.task='Task'] Name of the column with task names.
+     * @param {string} [options.start='Start'] Name of the column with task start dates (or numbers).
+     * @param {string} [options.end='End'] Name of the column with task end dates (or numbers).
+     * @param {string} [options.elements='Elements'] Name of the column with element IDs.
+     * @param {string} [options.key='dbId'] Type of element IDs, either *dbId* or *externalId*.
+     * @param {string} [options.separator=';'] Separator of multiple element IDs in a single cell.
+     * @param {string} [options.delimiter=','] CSV value delimiter.
+     * @param {THREE.Vector4} [options.activeColor] Color of elements while their task is in progress.
+     * @param {THREE.Vector4} [options.completedColor] Color of elements after their task ends.
+     * @returns {Promise<Keyframe[]>} Promise that will be resolved with the list of added keyframes,
+     * or rejected with an error.
+     *
+     * @example
+     * // Task,Start,End,Elements
+     * // Foundations,2019-03-01,2019-03-20,1234;1235;1236
+     * // Walls,2019-03-15,2019-04-10,2000;2001
+     * const csv = await fetch('/schedule.csv').then(resp => resp.text());
+     * await timeline.importCSV(csv);
+     * await timeline.play({ duration: 20000 });
+     */
+    importCSV(csv, options = {}) {
+        const self = this;
+        const columns = {
+            task: options.task || 'Task',
+            start: options.start || 'Start',
+            end: options.end || 'End',
+            elements: options.elements || 'Elements'
+        };
+        const separator = options.separator || ';';
+        const activeColor = options.activeColor || new THREE.Vector4(1.0, 0.6, 0.0, 0.5);
+        const completedColor = options.completedColor || null;
+        return new Promise(function(resolve, reject) {
+            const rows = Utilities.parseCSV(csv, options);
+            const header = rows.shift() || [];
+            const indices = {};
+            for (const key in columns) {
+                indices[key] = header.indexOf(columns[key]);
+                if (indices[key] === -1) {
+                    throw new UtilitiesError(`Column ${JSON.stringify(columns[key])} not found in schedule.`);
+                }
+            }
+            function addTasks(mapping) {
+                const tasks = [];
+                rows.forEach(function(row, i) {
+                    if (row.length === 1 && row[0].trim() === '') {
+                        return; // skip empty lines
+                    }
+                    if (row.length < header.length) {
+                        throw new UtilitiesError(`Missing columns in schedule row ${i + 2}.`);
+                    }
+                    const task = {
+                        label: row[indices.task],
+                        start: Timeline._parseTime(row[indices.start].trim(), i + 2),
+                        end: Timeline._parseTime(row[indices.end].trim(), i + 2),
+                        dbIds: []
+                    };
+                    for (let id of row[indices.elements].split(separator)) {
+                        id = id.trim();
+                        if (id.length === 0) {
+                            continue;
+                        }
+                        const dbId = mapping ? mapping[id] : parseInt(id);
+                        if (typeof dbId !== 'number' || isNaN(dbId)) {
+                            throw new UtilitiesError(`Unknown element ${JSON.stringify(id)} in schedule row ${i + 2}.`);
+                        }
+                        task.dbIds.push(dbId);
+                    }
+                    tasks.push(task);
+                });
+                // All elements are hidden at the very start of the schedule
+                const first = Math.min.apply(null, tasks.map(task => task.start));
+                const keyframes = [];
+                for (const task of tasks) {
+                    const { label, dbIds } = task;
+                    keyframes.push(
+                        self.addKeyframe({ time: first, dbIds, label, visible: false }),
+                        self.addKeyframe({ time: task.start, dbIds, label, visible: true, color: activeColor }),
+                        self.addKeyframe({ time: task.end, dbIds, label, color: completedColor })
+                    );
+                }
+                return keyframes;
+            }
+            if (options.key === 'externalId') {
+                self.model.getExternalIdMapping(
+                    function(mapping) {
+                        try {
+                            resolve(addTasks(mapping));
+                        } catch(err) {
+                            reject(err);
+                        }
+                    },
+                    function(err) { reject(new ObjectTreeError(err)); }
+                );
+            } else {
+                resolve(addTasks(null));
+            }
+        });
+    }
+
+    /**
+     * Groups keyframes by affected objects.
+     * @private
+     * @returns {Map<number, object>} Map of object IDs to lists of keyframes
+     * with *visibility*, *colors* and *transforms*.
+     */
+    _getTracks() {
+        if (this._tracks === null) {
+            this._tracks = new Map();
+            for (const keyframe of this._keyframes) {
+                for (const dbId of keyframe.dbIds) {
+                    if (!this._tracks.has(dbId)) {
+                        this._tracks.set(dbId, { visibility: [], colors: [], transforms: [] });
+                    }
+                    const track = this._tracks.get(dbId);
+                    if (keyframe.visible !== undefined) {
+                        track.visibility.push(keyframe);
+                    }
+                    if (keyframe.color !== undefined) {
+                        track.colors.push(keyframe);
+                    }
+                    if (keyframe.transform) {
+                        track.transforms.push(keyframe);
+                    }
+                }
+            }
+        }
+        return this._tracks;
+    }
+
+    /**
+     * Computes transform of an object at given time.
+     * @private
+     * @param {Keyframe[]} keyframes Sorted keyframes with transforms.
+     * @param {number} time Current time.
+     * @returns {object} Transform with *scale*, *rotation* and *position*.
+     */
+    _interpolateTransform(keyframes, time) {
+        function complete(transform) {
+            return {
+                scale: transform ? transform.scale || new THREE.Vector3(1, 1, 1) : new THREE.Vector3(1, 1, 1),
+                rotation: transform ? transform.rotation || new THREE.Quaternion() : new THREE.Quaternion(),
+                position: transform ? transform.position || new THREE.Vector3() : new THREE.Vector3()
+            };
+        }
+        let i = 0;
+        while (i < keyframes.length && keyframes[i].time <= time) {
+            i++;
+        }
+        const prev = i > 0 ? keyframes[i - 1] : null;
+        const next = i < keyframes.length ? keyframes[i] : null;
+        const from = complete(prev && prev.transform);
+        if (!this.interpolate || !prev || !next) {
+            return from;
+        }
+        const to = complete(next.transform);
+        const alpha = (time - prev.time) / (next.time - prev.time);
+        return {
+            scale: from.scale.clone().lerp(to.scale, alpha),
+            rotation: from.rotation.clone().slerp(to.rotation, alpha),
+            position: from.position.clone().lerp(to.position, alpha)
+        };
+    }
+
+    /**
+     * Applies auxiliary transform to all fragments of an object.
+     * @private
+     * @param {number} dbId Object ID.
+     * @param {object} transform Transform with *scale*, *rotation* and *position*.
+     * @throws {ModelNotReadyError} when the object tree is not yet available.
+     */
+    _setTransform(dbId, transform) {
+        if (!this._fragments.has(dbId)) {
+            const tree = this.model && this.model.getData().instanceTree;
+            if (!tree) {
+                throw new ModelNotReadyError('Object tree not yet available. Wait for it using waitFor("objectTree").');
+            }
+            const fragIds = [];
+            tree.enumNodeFragments(dbId, function(fragId) { fragIds.push(fragId); }, true);
+            this._fragments.set(dbId, fragIds);
+        }
+        for (const fragId of this._fragments.get(dbId)) {
+            this.utils._setFragmentAuxTransform(fragId, transform.scale, transform.rotation, transform.position, this.model);
+        }
+    }
+
+    /**
+     * Restores theming color of an object that is no longer colored by the timeline,
+     * i.e., the color set by {@link Utilities#setColor}, or no color.
+     * @private
+     * @param {number} dbId Object ID.
+     */
+    _restoreColor(dbId) {
+        const colors = this.utils._colors.get(this.model);
+        this.utils.viewer.setThemingColor(dbId, (colors && colors.get(dbId)) || null, this.model);
+    }
+
+    /**
+     * Finds the latest keyframe at or before given time.
+     * @private
+     * @param {Keyframe[]} keyframes Sorted keyframes.
+     * @param {number} time Current time.
+     * @returns {Keyframe?} Keyframe, or null if there is none.
+     */
+    static _latest(keyframes, time) {
+        let result = null;
+        for (const keyframe of keyframes) {
+            if (keyframe.time > time) {
+                break;
+            }
+            result = keyframe;
+        }
+        return result;
+    }
+
+    /**
+     * Converts keyframe time to a number.
+     * @private
+     * @param {number|Date|string} time Number, date, or string with a number or a date.
+     * @param {number} [row] Row of the CSV schedule, used in error messages.
+     * @returns {number} Time as a number (for dates, milliseconds since epoch).
+     * @throws {UtilitiesError} if the time cannot be parsed.
+     */
+    static _parseTime(time, row = undefined) {
+        let result = NaN;
+        if (typeof time === 'number') {
+            result = time;
+        } else if (time instanceof Date) {
+            result = time.getTime();
+        } else if (typeof time === 'string') {
+            result = /^-?\d+(\.\d+)?$/.test(time) ? parseFloat(time) : Date.parse(time);
+        }
+        if (isNaN(result)) {
+            throw new UtilitiesError(`Invalid time ${JSON.stringify(time)}${row ? ` in schedule row ${row}` : ''}.`);
+        }
+        return result;
+    }
+}
+
+/**
+ * Minimal event dispatcher with the same API as DOM and THREE.js event targets,
+ * used as a base class by interactive components of this library.
+ * Available as *Autodesk.Viewing.Utilities.EventEmitter*.
+ */
+class EventEmitter {
+    constructor() {
+        this._listeners = new Map();
+    }
+
+    /**
+     * Registers a listener for given event type.
+     * @param {string} type Event type.
+     * @param {function} listener Function called with the event object.
+     */
+    addEventListener(type, listener) {
+        if (!this._listeners.has(type)) {
+            this._listeners.set(type, []);
+        }
+        const listeners = this._listeners.get(type);
+        if (listeners.indexOf(listener) === -1) {
+            listeners.push(listener);
+        }
+    }
+
+    /**
+     * Unregisters a listener previously registered with {@link EventEmitter#addEventListener}.
+     * @param {string} type Event type.
+     * @param {function} listener Registered function.
+     */
+    removeEventListener(type, listener) {
+        const listeners = this._listeners.get(type);
+        if (listeners) {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Calls all listeners registered for the type of given event.
+     * @param {object} event Event object with a *type* property.
+     */
+    dispatchEvent(event) {
+        const listeners = this._listeners.get(event.type);
+        if (listeners) {
+            event.target = this;
+            for (const listener of listeners.slice()) {
+                listener.call(this, event);
+            }
+        }
+    }
+}
+
+/**
+ * Invertible operation recorded by {@link CommandStack}.
+ * @typedef {object} Command
+ * @property {string} [label] Description of the command.
+ * @property {function} redo Function that applies the command.
+ * @property {function} undo Function that reverts the command.
+ * @property {string} [coalesce] Key of commands that can be merged into one entry. When a command
+ * is recorded shortly after another one with the same key, the earlier entry takes over its *redo*
+ * function, and so a single undo reverts the whole series (for example, per-frame updates while dragging).
+ * @property {function} [discard] Function called with a boolean when the command is dropped from the history
+ * (because of the history limit, {@link CommandStack#clear}, a rollback or a new record clearing the redo
+ * history). The flag is true if the command was applied at the time, or false if it had been undone.
+ * Can be used to release resources (for example, removed meshes) kept only for undo or redo.
+ */
+
+/**
+ * Event dispatched by {@link CommandStack} whenever its history changes.
+ * @typedef {object} CommandStackEvent
+ * @property {string} type Always *change*.
+ * @property {string} action One of *record*, *undo*, *redo* or *clear*.
+ * @property {string} [label] Label of the affected command or transaction.
+ */
+
+/**
+ * Undo/redo history of invertible commands. Commands recorded within a transaction
+ * are undone and redone together.
+ * Available as *Autodesk.Viewing.Utilities.CommandStack*; the history of all changes made
+ * through {@link Utilities} is available as {@link Utilities#history}.
+ *
+ * The stack dispatches {@link CommandStackEvent} events of type *change*.
+ *
+ * @example
+ * const stack = new CommandStack();
+ * let value = 0;
+ * stack.execute({ label: 'Increment', redo: () => value++, undo: () => value-- });
+ * stack.transaction('Add ten', function() {
+ *   for (let i = 0; i < 10; i++) {
+ *     stack.execute({ redo: () => value++, undo: () => value-- });
+ *   }
+ * });
+ * stack.undo(); // value === 1
+ * stack.undo(); // value === 0
+ * stack.redo(); // value === 1
+ */
+class CommandStack extends EventEmitter {
+    /**
+     * Creates new, empty history.
+     * @param {object} [options] Additional options.
+     * @param {number} [options.limit=100] Maximum number of entries that can be undone.
+     * @param {number} [options.coalesceWindow=1000] Time (in milliseconds) within which
+     * commands with the same *coalesce* key are merged into one entry.
+     */
+    constructor(options = {}) {
+        super();
+        this.limit = options.limit || 100;
+        this.coalesceWindow = typeof options.coalesceWindow === 'number' ? options.coalesceWindow : 1000;
+        this._undoStack = [];
+        this._redoStack = [];
+        this._transactions = [];
+        this._replaying = false;
+        this._lastRecord = null;
+    }
+
+    /**
+     * Whether there is an entry that can be undone.
+     * @type {boolean}
+     */
+    get canUndo() {
+        return this._undoStack.length > 0;
+    }
+
+    /**
+     * Whether there is an undone entry that can be redone.
+     * @type {boolean}
+     */
+    get canRedo() {
+        return this._redoStack.length > 0;
+    }
+
+    /**
+     * Label of the entry that would be undone next, if any.
+     * @type {string?}
+     */
+    get undoLabel() {
+        return this.canUndo ? this._undoStack[this._undoStack.length - 1].label || null : null;
+    }
+
+    /**
+     * Label of the entry that would be redone next, if any.
+     * @type {string?}
+     */
+    get redoLabel() {
+        return this.canRedo ? this._redoStack[this._redoStack.length - 1].label || null : null;
+    }
+
+    /**
+     * Whether the stack is currently undoing or redoing. Commands are not recorded in the meantime.
+     * @type {boolean}
+     */
+    get replaying() {
+        return this._replaying;
+    }
+
+    /**
+     * Applies a command and records it.
+     * @param {Command} command Command to execute.
+     */
+    execute(command) {
+        command.redo();
+        this.record(command);
+    }
+
+    /**
+     * Records a command that has already been applied. Recording clears the redo history.
+     * Commands recorded while undoing or redoing are ignored.
+     * @param {Command} command Command to record.
+     */
+    record(command) {
+        if (this._replaying) {
+            return;
+        }
+        const now = Date.now();
+        const commands = this._transactions.length > 0 ? this._transactions[this._transactions.length - 1].commands : this._undoStack;
+        const last = this._lastRecord;
+        if (command.coalesce && last && last.command === commands[commands.length - 1]
+            && last.command.coalesce === command.coalesce && now - last.time <= this.coalesceWindow) {
+            last.command.redo = command.redo;
+            last.time = now;
+            return;
+        }
+        this._lastRecord = { command, time: now };
+        if (this._transactions.length > 0) {
+            commands.push(command);
+            return;
+        }
+        this._undoStack.push(command);
+        if (this._undoStack.length > this.limit) {
+            CommandStack._discard(this._undoStack.shift(), true);
+        }
+        this._discardRedo();
+        this.dispatchEvent({ type: 'change', action: 'record', label: command.label });
+    }
+
+    /**
+     * Starts a transaction. All commands recorded until the matching {@link CommandStack#commit}
+     * are grouped into a single entry. Transactions can be nested.
+     * @param {string} [label] Description of the transaction.
+     */
+    begin(label = undefined) {
+        this._transactions.push({ label, commands: [] });
+    }
+
+    /**
+     * Finishes the current transaction, and records it (unless it is empty).
+     * @throws {UtilitiesError} if there is no transaction in progress.
+     */
+    commit() {
+        const transaction = this._transactions.pop();
+        if (!transaction) {
+            throw new UtilitiesError('No transaction in progress.');
+        }
+        this._lastRecord = null;
+        if (transaction.commands.length > 0) {
+            this.record(CommandStack._group(transaction.label, transaction.commands));
+        }
+    }
+
+    /**
+     * Cancels the current transaction, reverting all its commands.
+     * @throws {UtilitiesError} if there is no transaction in progress.
+     */
+    rollback() {
+        const transaction = this._transactions.pop();
+        if (!transaction) {
+            throw new UtilitiesError('No transaction in progress.');
+        }
+        this._lastRecord = null;
+        const group = CommandStack._group(transaction.label, transaction.commands);
+        this._replay(group, 'undo');
+        CommandStack._discard(group, false);
+    }
+
+    /**
+     * Runs a function within a transaction. If the function throws an error,
+     * the transaction is rolled back and the error is rethrown.
+     * @param {string} label Description of the transaction.
+     * @param {function} callback Function recording or executing commands.
+     * @returns {*} Value returned by the function.
+     */
+    transaction(label, callback) {
+        this.begin(label);
+        let result;
+        try {
+            result = callback();
+        } catch(err) {
+            this.rollback();
+            throw err;
+        }
+        this.commit();
+        return result;
+    }
+
+    /**
+     * Reverts the last recorded entry.
+     * @returns {boolean} True if an entry has been undone.
+     * @throws {UtilitiesError} if a transaction is in progress.
+     */
+    undo() {
+        this._checkNoTransaction();
+        const command = this._undoStack.pop();
+        if (!command) {
+            return false;
+        }
+        this._lastRecord = null;
+        this._replay(command, 'undo');
+        this._redoStack.push(command);
+        this.dispatchEvent({ type: 'change', action: 'undo', label: command.label });
+        return true;
+    }
+
+    /**
+     * Re-applies the last entry reverted with {@link CommandStack#undo}.
+     * @returns {boolean} True if an entry has been redone.
+     * @throws {UtilitiesError} if a transaction is in progress.
+     */
+    redo() {
+        this._checkNoTransaction();
+        const command = this._redoStack.pop();
+        if (!command) {
+            return false;
+        }
+        this._lastRecord = null;
+        this._replay(command, 'redo');
+        this._undoStack.push(command);
+        this.dispatchEvent({ type: 'change', action: 'redo', label: command.label });
+        return true;
+    }
+
+    /**
+     * Removes all entries from the history.
+     */
+    clear() {
+        for (const command of this._undoStack) {
+            CommandStack._discard(command, true);
+        }
+        for (const transaction of this._transactions) {
+            CommandStack._discard(CommandStack._group(transaction.label, transaction.commands), true);
+        }
+        this._discardRedo();
+        this._undoStack = [];
+        this._transactions = [];
+        this._lastRecord = null;
+        this.dispatchEvent({ type: 'change', action: 'clear' });
+    }
+
+    /**
+     * Drops all undone entries.
+     * @private
+     */
+    _discardRedo() {
+        for (const command of this._redoStack) {
+            CommandStack._discard(command, false);
+        }
+        this._redoStack = [];
+    }
+
+    /**
+     * Notifies a command that it has been dropped from the history.
+     * @private
+     * @param {Command} command Dropped command.
+     * @param {boolean} applied Whether the command was applied at the time.
+     */
+    static _discard(command, applied) {
+        if (command.discard) {
+            command.discard(applied);
+        }
+    }
+
+    /**
+     * Runs the undo or redo function of a command, without recording any commands in the meantime.
+     * @private
+     * @param {Command} command Command to replay.
+     * @param {string} method Either *undo* or *redo*.
+     */
+    _replay(command, method) {
+        const replaying = this._replaying;
+        this._replaying = true;
+        try {
+            command[method]();
+        } finally {
+            this._replaying = replaying;
+        }
+    }
+
+    /**
+     * @private
+     * @throws {UtilitiesError} if a transaction is in progress.
+     */
+    _checkNoTransaction() {
+        if (this._transactions.length > 0) {
+            throw new UtilitiesError('Cannot undo or redo while a transaction is in progress.');
+        }
+    }
+
+    /**
+     * Groups multiple commands into one.
+     * @private
+     * @param {string} label Label of the group.
+     * @param {Command[]} commands Commands to group.
+     * @returns {Command} Command applying the commands in order, and reverting them in reverse order.
+     */
+    static _group(label, commands) {
+        return {
+            label,
+            redo: function() { commands.forEach(command => command.redo()); },
+            undo: function() { commands.slice().reverse().forEach(command => command.undo()); },
+            discard: function(applied) { commands.forEach(command => CommandStack._discard(command, applied)); }
+        };
+    }
+}
+
+/**
+ * Auxiliary transform of a single fragment, reported by {@link TransformGizmo} change events.
+ * @typedef {object} FragmentTransform
+ * @property {number} fragId Fragment ID.
+ * @property {THREE.Vector3} scale Scale.
+ * @property {THREE.Quaternion} rotation Rotation.
+ * @property {THREE.Vector3} position Offset.
+ */
+
+/**
+ * Event dispatched by {@link TransformGizmo} whenever it changes transforms of the selected objects,
+ * both while dragging and after undo or redo.
+ * @typedef {object} TransformChangeEvent
+ * @property {string} type Always *change*.
+ * @property {number[]} dbIds IDs of the transformed objects.
+ * @property {Model} model Model of the transformed objects.
+ * @property {FragmentTransform[]} transforms Resulting auxiliary transforms of all affected fragments.
+ * @property {boolean} dragging True while the user is still dragging a handle.
+ */
+
+/**
+ * Interactive gizmo for moving, rotating and scaling selected objects in the viewer.
+ * The gizmo handles are rendered in an overlay scene (see {@link Utilities#addCustomMesh}),
+ * the gizmo acts on the current selection, and it modifies _auxiliary_ transforms
+ * of the selected fragments (see {@link Utilities#setFragmentAuxTransform}).
+ * All handles are aligned with the world axes.
+ * Available as *Autodesk.Viewing.Utilities.TransformGizmo*.
+ *
+ * The gizmo dispatches {@link TransformChangeEvent} events of type *change*.
+ * Each finished drag is recorded in {@link Utilities#history}.
+ *
+ * @example
+ * const gizmo = new Autodesk.Viewing.Utilities.TransformGizmo(utils, { snap: { translation: 0.5, rotation: 15 } });
+ * gizmo.addEventListener('change', function(ev) {
+ *   if (!ev.dragging) {
+ *     console.log('Objects transformed', ev.dbIds, ev.transforms);
+ *   }
+ * });
+ * gizmo.activate();
+ * document.getElementById('rotate').addEventListener('click', () => gizmo.setMode('rotate'));
+ * document.getElementById('undo').addEventListener('click', () => gizmo.undo());
+ */
+class TransformGizmo extends EventEmitter {
+    /**
+     * Creates new gizmo. The gizmo does not react to user input until activated.
+     * @param {Utilities} utils Utilities instance wrapping the viewer.
+     * @param {object} [options] Additional options.
+     * @param {string} [options.mode='translate'] Initial mode, one of *translate*, *rotate* or *scale*.
+     * @param {object} [options.snap] Snapping steps (0 or undefined disables snapping).
+     * @param {number} [options.snap.translation] Grid size in world units; the center of the selection snaps to the grid.
+     * @param {number} [options.snap.rotation] Rotation step in degrees.
+     * @param {number} [options.snap.scale] Scale factor step.
+     * @param {number} [options.size] Length of the handles in world units.
+     * If undefined, it is derived from the size of the selection.
+     * @param {string} [options.overlay='UtilitiesGizmo'] Name of the overlay scene for the handles.
+     */
+    constructor(utils, options = {}) {
+        super();
+        this.utils = utils;
+        this.viewer = utils.viewer;
+        this.mode = options.mode || 'translate';
+        this.snap = Object.assign({ translation: 0, rotation: 0, scale: 0 }, options.snap);
+        this.size = options.size || null;
+        this.overlay = options.overlay || 'UtilitiesGizmo';
+        this._root = null;
+        this._selection = null;
+        this._drag = null;
+        this._onSelectionChanged = this._updateSelection.bind(this);
+        this._active = false;
+        this._tool = this._createTool();
+    }
+
+    /**
+     * Name of the gizmo tool registered with the viewer's tool controller.
+     * @type {string}
+     */
+    static get TOOL_NAME() {
+        return 'UtilitiesTransformGizmo';
+    }
+
+    /**
+     * Registers the gizmo with the viewer, and starts reacting to the selection and to user input.
+     */
+    activate() {
+        if (this._active) {
+            return;
+        }
+        this._active = true;
+        const controller = this.viewer.toolController;
+        controller.registerTool(this._tool);
+        controller.activateTool(TransformGizmo.TOOL_NAME);
+        this.viewer.addEventListener(Autodesk.Viewing.SELECTION_CHANGED_EVENT, this._onSelectionChanged);
+        this._updateSelection();
+    }
+
+    /**
+     * Removes the gizmo from the viewer.
+     */
+    deactivate() {
+        if (!this._active) {
+            return;
+        }
+        this._active = false;
+        const controller = this.viewer.toolController;
+        this.viewer.removeEventListener(Autodesk.Viewing.SELECTION_CHANGED_EVENT, this._onSelectionChanged);
+        controller.deactivateTool(TransformGizmo.TOOL_NAME);
+        controller.deregisterTool(this._tool);
+        this._drag = null;
+        this._showHandles(false);
+    }
+
+    /**
+     * Switches the gizmo mode.
+     * @param {string} mode One of *translate*, *rotate* or *scale*.
+     * @throws {UtilitiesError} if the mode is not supported.
+     */
+    setMode(mode) {
+        if (['translate', 'rotate', 'scale'].indexOf(mode) === -1) {
+            throw new UtilitiesError(`Unknown gizmo mode ${JSON.stringify(mode)}.`);
+        }
+        this.mode = mode;
+        this._drag = null;
+        if (this._root) {
+            this._showHandles(false);
+            Utilities._disposeObject(this._root);
+            this._root = null;
+        }
+        this._updateSelection();
+    }
+
+    /**
+     * Reverts the last change recorded in {@link Utilities#history}
+     * (not necessarily made by the gizmo). Same as {@link Utilities#undo}.
+     * @returns {boolean} True if a change has been undone.
+     */
+    undo() {
+        return this.utils.undo();
+    }
+
+    /**
+     * Re-applies the last change reverted from {@link Utilities#history}. Same as {@link Utilities#redo}.
+     * @returns {boolean} True if a change has been redone.
+     */
+    redo() {
+        return this.utils.redo();
+    }
+
+    /**
+     * Creates the tool registered with the viewer's tool controller. The tool forwards
+     * user input to the gizmo, but not the controller's *activate* and *deactivate* callbacks,
+     * which would otherwise collide with the gizmo's own {@link TransformGizmo#activate}
+     * and {@link TransformGizmo#deactivate}.
+     * @private
+     * @returns {object} Tool object.
+     */
+    _createTool() {
+        const gizmo = this;
+        return {
+            getNames: function() { return gizmo.getNames(); },
+            getName: function() { return gizmo.getName(); },
+            getPriority: function() { return gizmo.getPriority(); },
+            activate: function() {},
+            deactivate: function() {},
+            handleButtonDown: function(event, button) { return gizmo.handleButtonDown(event, button); },
+            handleMouseMove: function(event) { return gizmo.handleMouseMove(event); },
+            handleButtonUp: function(event, button) { return gizmo.handleButtonUp(event, button); },
+            handleSingleClick: function(event, button) { return gizmo.handleSingleClick(event, button); }
+        };
+    }
+
+    /**
+     * Part of the tool interface used by the viewer's tool controller.
+     * @returns {string[]} Names of the tool.
+     */
+    getNames() {
+        return [TransformGizmo.TOOL_NAME];
+    }
+
+    /**
+     * Part of the tool interface used by the viewer's tool controller.
+     * @returns {string} Name of the tool.
+     */
+    getName() {
+        return TransformGizmo.TOOL_NAME;
+    }
+
+    /**
+     * Part of the tool interface used by the viewer's tool controller.
+     * @returns {number} Priority of the tool, higher than the default navigation tools.
+     */
+    getPriority() {
+        return 100;
+    }
+
+    /**
+     * Part of the tool interface used by the viewer's tool controller.
+     * Starts dragging a handle under the pointer, if any.
+     * @param {object} event Pointer event.
+     * @param {number} button Mouse button.
+     * @returns {boolean} True if the event has been handled.
+     */
+    handleButtonDown(event, button) {
+        if (button !== 0 || !this._root) {
+            return false;
+        }
+        const ray = this._getRay(event);
+        const handle = this._pickHandle(ray);
+        if (!handle) {
+            return false;
+        }
+        const model = this._selection.model;
+        const fragments = new Map();
+        for (const fragId of this._selection.fragIds) {
+            const transform = { scale: new THREE.Vector3(), rotation: new THREE.Quaternion(), position: new THREE.Vector3() };
+            this.utils.getFragmentAuxTransform(fragId, transform.scale, transform.rotation, transform.position, model);
+            fragments.set(fragId, { before: transform, after: null });
+        }
+        const axis = handle.userData.axis ? TransformGizmo._axisVector(handle.userData.axis) : null;
+        this._drag = {
+            model,
+            dbIds: this._selection.dbIds,
+            handle,
+            axis,
+            center: this._selection.center.clone(),
+            ray: ray.clone(),
+            start: this._measure(handle, axis, this._selection.center, ray, ray),
+            fragments
+        };
+        return true;
+    }
+
+    /**
+     * Part of the tool interface used by the viewer's tool controller.
+     * Updates the transforms of the selected objects while dragging.
+     * @param {object} event Pointer event.
+     * @returns {boolean} True if the event has been handled.
+     */
+    handleMouseMove(event) {
+        if (!this._drag) {
+            return false;
+        }
+        const drag = this._drag;
+        const value = this._measure(drag.handle, drag.axis, drag.center, drag.ray, this._getRay(event));
+        if (value === null || drag.start === null) {
+            return true;
+        }
+        const matrix = this._getDragMatrix(drag, value);
+        const before = new THREE.Matrix4(), aux = new THREE.Matrix4();
+        for (const entry of drag.fragments.values()) {
+            before.compose(entry.before.position, entry.before.rotation, entry.before.scale);
+            aux.multiplyMatrices(matrix, before);
+            entry.after = { scale: new THREE.Vector3(), rotation: new THREE.Quaternion(), position: new THREE.Vector3() };
+            aux.decompose(entry.after.position, entry.after.rotation, entry.after.scale);
+        }
+        this._root.position.copy(drag.center).applyMatrix4(matrix);
+        this._root.updateMatrixWorld(true);
+        this._apply(drag, 'after', true);
+        return true;
+    }
+
+    /**
+     * Part of the tool interface used by the viewer's tool controller.
+     * Finishes dragging, and records the change for undo.
+     * @param {object} event Pointer event.
+     * @param {number} button Mouse button.
+     * @returns {boolean} True if the event has been handled.
+     */
+    handleButtonUp(event, button) {
+        if (!this._drag) {
+            return false;
+        }
+        const drag = this._drag;
+        this._drag = null;
+        if (Array.from(drag.fragments.values()).some(entry => entry.after !== null)) {
+            for (const entry of drag.fragments.values()) {
+                entry.after = entry.after || entry.before;
+            }
+            const change = { model: drag.model, dbIds: this._selection.dbIds, fragments: drag.fragments };
+            this.utils.history.execute({
+                label: `Gizmo ${this.mode}`,
+                redo: () => this._apply(change, 'after', false),
+                undo: () => this._apply(change, 'before', false)
+            });
+        }
+        this._updateSelection();
+        return true;
+    }
+
+    /**
+     * Part of the tool interface used by the viewer's tool controller.
+     * Prevents clicks on the handles from changing the selection.
+     * @param {object} event Pointer event.
+     * @param {number} button Mouse button.
+     * @returns {boolean} True if the event has been handled.
+     */
+    handleSingleClick(event, button) {
+        return !!this._root && !!this._pickHandle(this._getRay(event));
+    }
+
+    /**
+     * Applies transforms of a change, refreshes the scene, and dispatches a change event.
+     * @private
+     * @param {object} change Change with a map of fragment IDs to *before* and *after* transforms.
+     * @param {string} state Either *before* or *after*.
+     * @param {boolean} dragging Whether the change is still in progress.
+     */
+    _apply(change, state, dragging) {
+        const model = change.model;
+        const transforms = [];
+        for (const [fragId, entry] of change.fragments) {
+            const transform = entry[state] || entry.before;
+            this.utils._setFragmentAuxTransform(fragId, transform.scale, transform.rotation, transform.position, model);
+            transforms.push({ fragId, scale: transform.scale, rotation: transform.rotation, position: transform.position });
+        }
+        if (!dragging) {
+            this._updateSelection();
+        }
+        this.utils.refresh();
+        this.dispatchEvent({ type: 'change', dbIds: change.dbIds, model, transforms, dragging });
+    }
+
+    /**
+     * Updates the selected objects and the position of the handles.
+     * @private
+     */
+    _updateSelection() {
+        const model = this.viewer.model;
+        const dbIds = this.viewer.getSelection();
+        const tree = model && model.getData().instanceTree;
+        if (!this._active || !tree || dbIds.length === 0) {
+            this._selection = null;
+            this._showHandles(false);
+            return;
+        }
+        const fragIds = [];
+        const bounds = new THREE.Box3();
+        for (const dbId of dbIds) {
+            tree.enumNodeFragments(dbId, function(fragId) { fragIds.push(fragId); }, true);
+            bounds.union(this.utils.getNodeBounds(dbId, null, model));
+        }
+        this._selection = { model, dbIds, fragIds, center: bounds.center() };
+        if (!this._root) {
+            this._root = this._createHandles();
+        }
+        const size = this.size || 0.75 * bounds.size().length();
+        this._root.position.copy(this._selection.center);
+        this._root.scale.set(size, size, size);
+        this._root.updateMatrixWorld(true);
+        this._showHandles(true);
+    }
+
+    /**
+     * Adds or removes the handles from the overlay scene.
+     * @private
+     * @param {boolean} show Whether the handles should be shown.
+     */
+    _showHandles(show) {
+        if (!this._root) {
+            return;
+        }
+        if (show && !this._root.parent) {
+            this.utils._addCustomMesh(this._root, this.overlay);
+        } else if (!show && this._root.parent) {
+            this.utils._removeCustomMesh(this._root, this.overlay, false);
+        }
+        this.utils.refresh();
+    }
+
+    /**
+     * Creates handles (of unit size) for the current mode.
+     * @private
+     * @returns {THREE.Object3D} Root object of the handles.
+     */
+    _createHandles() {
+        const root = new THREE.Object3D();
+        const colors = { x: 0xff0000, y: 0x00ff00, z: 0x0000ff };
+        // Handle geometries are aligned with the Y axis (rings with the Z axis), and rotated into place
+        const orientations = {
+            x: new THREE.Euler(0, 0, -Math.PI / 2),
+            y: new THREE.Euler(0, 0, 0),
+            z: new THREE.Euler(Math.PI / 2, 0, 0)
+        };
+        const ringOrientations = {
+            x: new THREE.Euler(0, Math.PI / 2, 0),
+            y: new THREE.Euler(Math.PI / 2, 0, 0),
+            z: new THREE.Euler(0, 0, 0)
+        };
+        function material(color) {
+            return new THREE.MeshBasicMaterial({ color, depthTest: false, depthWrite: false, transparent: true, opacity: 0.8 });
+        }
+        function add(geometry, axis, color, rotation, offset) {
+            const mesh = new THREE.Mesh(geometry, material(color));
+            if (rotation) {
+                mesh.rotation.copy(rotation);
+            }
+            if (offset) {
+                mesh.position.copy(offset);
+            }
+            mesh.userData.axis = axis;
+            root.add(mesh);
+        }
+        for (const axis of ['x', 'y', 'z']) {
+            const direction = TransformGizmo._axisVector(axis);
+            switch (this.mode) {
+                case 'translate':
+                    add(new THREE.CylinderGeometry(0.02, 0.02, 0.8, 8), axis, colors[axis], orientations[axis], direction.clone().multiplyScalar(0.4));
+                    add(new THREE.CylinderGeometry(0.0, 0.06, 0.2, 12), axis, colors[axis], orientations[axis], direction.clone().multiplyScalar(0.9));
+                    break;
+                case 'rotate':
+                    add(new THREE.TorusGeometry(0.8, 0.02, 8, 48), axis, colors[axis], ringOrientations[axis]);
+                    break;
+                case 'scale':
+                    add(new THREE.CylinderGeometry(0.02, 0.02, 0.9, 8), axis, colors[axis], orientations[axis], direction.clone().multiplyScalar(0.45));
+                    add(new THREE.BoxGeometry(0.1, 0.1, 0.1), axis, colors[axis], null, direction.clone().multiplyScalar(0.95));
+                    break;
+            }
+        }
+        if (this.mode === 'scale') {
+            add(new THREE.BoxGeometry(0.15, 0.15, 0.15), null, 0xffff00, null, null);
+        }
+        return root;
+    }
+
+    /**
+     * Converts canvas coordinates of a tool controller event into a world ray.
+     * @private
+     * @param {object} event Event with *canvasX* and *canvasY* properties.
+     * @returns {THREE.Ray} Ray in world coordinates.
+     */
+    _getRay(event) {
+        const ray = new THREE.Ray();
+        this.utils.impl.viewportToRay(this.utils.impl.clientToViewport(event.canvasX, event.canvasY), ray);
+        return ray;
+    }
+
+    /**
+     * Finds the handle hit by a ray.
+     * @private
+     * @param {THREE.Ray} ray Ray in world coordinates.
+     * @returns {THREE.Mesh?} Handle mesh, or null.
+     */
+    _pickHandle(ray) {
+        const raycaster = new THREE.Raycaster(ray.origin, ray.direction);
+        const intersections = raycaster.intersectObjects(this._root.children, true);
+        return intersections.length > 0 ? intersections[0].object : null;
+    }
+
+    /**
+     * Measures the position of the pointer relative to a handle: distance along the axis
+     * (for translation and scaling), angle around the axis (for rotation), or distance
+     * from the center in the view plane (for uniform scaling).
+     * @private
+     * @param {THREE.Mesh} handle Dragged handle.
+     * @param {THREE.Vector3?} axis Axis of the handle, or null for uniform scaling.
+     * @param {THREE.Vector3} center Center of the gizmo.
+     * @param {THREE.Ray} startRay Ray from the start of the drag.
+     * @param {THREE.Ray} ray Current ray.
+     * @returns {number?} Measured value, or null if it cannot be measured from the current view.
+     */
+    _measure(handle, axis, center, startRay, ray) {
+        if (this.mode === 'rotate') {
+            const point = TransformGizmo._intersectPlane(ray, axis, center);
+            if (!point) {
+                return null;
+            }
+            // Angle in the plane of the ring, relative to an arbitrary direction perpendicular to the axis
+            const u = new THREE.Vector3(axis.y, axis.z, axis.x);
+            const v = new THREE.Vector3().crossVectors(axis, u);
+            const offset = point.sub(center);
+            return Math.atan2(offset.dot(v), offset.dot(u));
+        } else if (axis) {
+            return TransformGizmo._closestOnAxis(ray, axis, center);
+        } else {
+            const point = TransformGizmo._intersectPlane(ray, startRay.direction, center);
+            return point ? point.distanceTo(center) : null;
+        }
+    }
+
+    /**
+     * Computes the world transform to be applied on top of the transforms from the start of the drag.
+     * @private
+     * @param {object} drag Current drag state.
+     * @param {number} value Current value from {@link TransformGizmo#_measure}.
+     * @returns {THREE.Matrix4} Transformation matrix.
+     */
+    _getDragMatrix(drag, value) {
+        const center = drag.center;
+        const matrix = new THREE.Matrix4();
+        if (this.mode === 'translate') {
+            let delta = value - drag.start;
+            if (this.snap.translation) {
+                const step = this.snap.translation;
+                const current = center.dot(drag.axis);
+                delta = Math.round((current + delta) / step) * step - current;
+            }
+            return matrix.makeTranslation(drag.axis.x * delta, drag.axis.y * delta, drag.axis.z * delta);
+        }
+        const transform = new THREE.Matrix4();
+        if (this.mode === 'rotate') {
+            let angle = value - drag.start;
+            if (this.snap.rotation) {
+                const step = this.snap.rotation * Math.PI / 180.0;
+                angle = Math.round(angle / step) * step;
+            }
+            transform.makeRotationAxis(drag.axis, angle);
+        } else {
+            let factor = Math.abs(drag.start) > 1e-9 ? value / drag.start : 1.0;
+            if (this.snap.scale) {
+                factor = Math.round(factor / this.snap.scale) * this.snap.scale;
+            }
+            factor = Math.max(factor, 1e-3);
+            if (drag.axis) {
+                transform.makeScale(
+                    drag.axis.x ? factor : 1.0,
+                    drag.axis.y ? factor : 1.0,
+                    drag.axis.z ? factor : 1.0
+                );
+            } else {
+                transform.makeScale(factor, factor, factor);
+            }
+        }
+        // Apply the rotation or scale around the center of the selection
+        matrix.makeTranslation(center.x, center.y, center.z).multiply(transform);
+        return matrix.multiply(new THREE.Matrix4().makeTranslation(-center.x, -center.y, -center.z));
+    }
+
+    /**
+     * Gets unit vector of a world axis.
+     * @private
+     * @param {string} axis One of *x*, *y* or *z*.
+     * @returns {THREE.Vector3} Unit vector.
+     */
+    static _axisVector(axis) {
+        return new THREE.Vector3(axis === 'x' ? 1 : 0, axis === 'y' ? 1 : 0, axis === 'z' ? 1 : 0);
+    }
+
+    /**
+     * Intersects a ray with a plane.
+     * @private
+     * @param {THREE.Ray} ray Ray.
+     * @param {THREE.Vector3} normal Normal of the plane.
+     * @param {THREE.Vector3} point Point on the plane.
+     * @returns {THREE.Vector3?} Intersection point, or null if the ray is parallel with the plane.
+     */
+    static _intersectPlane(ray, normal, point) {
+        const denom = ray.direction.dot(normal);
+        if (Math.abs(denom) < 1e-9) {
+            return null;
+        }
+        const t = point.clone().sub(ray.origin).dot(normal) / denom;
+        return ray.direction.clone().multiplyScalar(t).add(ray.origin);
+    }
+
+    /**
+     * Finds the point on an axis closest to a ray.
+     * @private
+     * @param {THREE.Ray} ray Ray.
+     * @param {THREE.Vector3} axis Unit direction of the axis.
+     * @param {THREE.Vector3} center Point on the axis.
+     * @returns {number?} Distance of the closest point from the center along the axis,
+     * or null if the ray is parallel with the axis.
+     */
+    static _closestOnAxis(ray, axis, center) {
+        const b = axis.dot(ray.direction);
+        const denom = 1.0 - b * b;
+        if (Math.abs(denom) < 1e-9) {
+            return null;
+        }
+        const w = center.clone().sub(ray.origin);
+        const d = axis.dot(w), e = ray.direction.dot(w);
+        return (b * e - d) / denom;
+    }
+}
+
+/**
+ * Easing functions that can be used with {@link Utilities#animate}, mapping the animation
+ * progress from [0, 1] to [0, 1]. Available as *Autodesk.Viewing.Utilities.Easing*.
+ * @namespace
+ */
+const Easing = {
+    /** No easing, constant speed. */
+    linear: t => t,
+    /** Accelerating from zero velocity. */
+    easeInQuad: t => t * t,
+    /** Decelerating to zero velocity. */
+    easeOutQuad: t => t * (2 - t),
+    /** Acceleration until halfway, then deceleration. */
+    easeInOutQuad: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+    /** Accelerating from zero velocity, faster than {@link Easing.easeInQuad}. */
+    easeInCubic: t => t * t * t,
+    /** Decelerating to zero velocity, faster than {@link Easing.easeOutQuad}. */
+    easeOutCubic: t => (--t) * t * t + 1,
+    /** Acceleration until halfway, then deceleration, faster than {@link Easing.easeInOutQuad}. */
+    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1
+};
+
+/**
+ * Color palettes that can be used with {@link Utilities#colorBy}.
+ * Available as *Autodesk.Viewing.Utilities.Palettes*.
+ * @namespace
+ */
+const Palettes = {
+    /** Ten distinct colors for categorical values. */
+    categorical: ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'],
+    /** Green-yellow-red gradient for numeric ranges, for example, cost heatmaps. */
+    heatmap: ['#1a9850', '#fee08b', '#d73027'],
+    /** Light-to-dark blue gradient for numeric ranges. */
+    sequential: ['#deebf7', '#3182bd']
+};
+
+Utilities.UtilitiesError = UtilitiesError;
+Utilities.ViewableNotFoundError = ViewableNotFoundError;
+Utilities.DocumentLoadError = DocumentLoadError;
+Utilities.ModelNotReadyError = ModelNotReadyError;
+Utilities.ObjectTreeError = ObjectTreeError;
+Utilities.SpatialIndex = SpatialIndex;
+Utilities.Timeline = Timeline;
+Utilities.EventEmitter = EventEmitter;
+Utilities.CommandStack = CommandStack;
+Utilities.TransformGizmo = TransformGizmo;
+Utilities.Easing = Easing;
+Utilities.Palettes = Palettes;
+
+if (typeof Autodesk !== 'undefined') {
+    Autodesk.Viewing = Autodesk.Viewing || {};
+    Autodesk.Viewing.Utilities = Utilities;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Utilities;
+}
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Utilities = require('../src/Utilities.js');
+const { cube } = require('./helpers.js');
+
+test('intersectTriangleSets finds points where the surfaces cross', function() {
+    const result = Utilities.intersectTriangleSets(cube(), cube([0.5, 0.5, 0.5]));
+    assert.ok(result.points.length > 0);
+    for (const point of result.points) {
+        // Both cubes overlap in the [0.5, 1] box, and the surfaces cross on its boundary
+        assert.ok(point.every(value => value >= 0.5 - 1e-9 && value <= 1 + 1e-9));
+    }
+    assert.strictEqual(result.closest, null);
+});
+
+test('intersectTriangleSets reports the closest points within the tolerance', function() {
+    const result = Utilities.intersectTriangleSets(cube(), cube([1.25, 0, 0]), 0.5);
+    assert.deepStrictEqual(result.points, []);
+    assert.ok(Math.abs(result.closest.distance - 0.25) < 1e-9);
+    assert.ok(Math.abs(result.closest.points[0][0] - 1) < 1e-9);
+    assert.ok(Math.abs(result.closest.points[1][0] - 1.25) < 1e-9);
+
+    const far = Utilities.intersectTriangleSets(cube(), cube([2, 0, 0]), 0.5);
+    assert.deepStrictEqual(far, { points: [], closest: null });
+});
+
+test('intersectTriangleSets finds no points for a cube inside another', function() {
+    const result = Utilities.intersectTriangleSets(cube([-1, -1, -1], 3), cube(), 0);
+    assert.deepStrictEqual(result, { points: [], closest: null });
+});
+
+test('_isPointInside tests enclosure by closed meshes', function() {
+    const outer = cube([-1, -1, -1], 3);
+    const bounds = { min: [-1, -1, -1], max: [2, 2, 2] };
+    assert.strictEqual(Utilities._isPointInside([0, 0, 0], [outer], bounds), true);
+    assert.strictEqual(Utilities._isPointInside([1.5, 0.25, 1.75], [outer], bounds), true);
+    assert.strictEqual(Utilities._isPointInside([3, 0, 0], [outer], { min: [-1, -1, -1], max: [3, 2, 2] }), false);
+    // Point between two nested shells is inside only one of them
+    assert.strictEqual(Utilities._isPointInside([1.5, 1.5, 1.5], [outer, cube()], bounds), true);
+    assert.strictEqual(Utilities._isPointInside([0.5, 0.5, 0.5], [outer, cube()], bounds), false);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Utilities = require('../src/Utilities.js');
+const { CommandStack, UtilitiesError } = Utilities;
+
+function increment(counter) {
+    return { label: 'Increment', redo: () => counter.value++, undo: () => counter.value-- };
+}
+
+test('undo and redo single commands', function() {
+    const stack = new CommandStack();
+    const counter = { value: 0 };
+    stack.execute(increment(counter));
+    stack.execute(increment(counter));
+    assert.strictEqual(counter.value, 2);
+    assert.strictEqual(stack.undo(), true);
+    assert.strictEqual(counter.value, 1);
+    assert.strictEqual(stack.redoLabel, 'Increment');
+    assert.strictEqual(stack.redo(), true);
+    assert.strictEqual(counter.value, 2);
+    assert.strictEqual(stack.redo(), false);
+});
+
+test('transaction is undone and redone as a single entry', function() {
+    const stack = new CommandStack();
+    const counter = { value: 0 };
+    const result = stack.transaction('Add three', function() {
+        for (let i = 0; i < 3; i++) {
+            stack.execute(increment(counter));
+        }
+        return 'done';
+    });
+    assert.strictEqual(result, 'done');
+    assert.strictEqual(stack.undoLabel, 'Add three');
+    stack.undo();
+    assert.strictEqual(counter.value, 0);
+    assert.strictEqual(stack.canUndo, false);
+    stack.redo();
+    assert.strictEqual(counter.value, 3);
+});
+
+test('failed transaction is rolled back and not recorded', function() {
+    const stack = new CommandStack();
+    const counter = { value: 0 };
+    stack.execute(increment(counter));
+    assert.throws(function() {
+        stack.transaction('Broken', function() {
+            stack.execute(increment(counter));
+            stack.execute(increment(counter));
+            throw new Error('Oops');
+        });
+    }, /Oops/);
+    assert.strictEqual(counter.value, 1);
+    assert.strictEqual(stack.undoLabel, 'Increment');
+    stack.undo();
+    assert.strictEqual(counter.value, 0);
+    assert.strictEqual(stack.canUndo, false);
+});
+
+test('nested transactions are grouped into the outer one', function() {
+    const stack = new CommandStack();
+    const counter = { value: 0 };
+    stack.transaction('Outer', function() {
+        stack.execute(increment(counter));
+        stack.transaction('Inner', function() {
+            stack.execute(increment(counter));
+        });
+    });
+    assert.strictEqual(counter.value, 2);
+    stack.undo();
+    assert.strictEqual(counter.value, 0);
+    assert.strictEqual(stack.canUndo, false);
+});
+
+test('unbalanced commit and undo during transaction throw', function() {
+    const stack = new CommandStack();
+    assert.throws(() => stack.commit(), UtilitiesError);
+    assert.throws(() => stack.rollback(), UtilitiesError);
+    stack.begin('Open');
+    assert.throws(() => stack.undo(), UtilitiesError);
+    stack.rollback();
+});
+
+test('history is limited', function() {
+    const stack = new CommandStack({ limit: 2 });
+    const counter = { value: 0 };
+    for (let i = 0; i < 3; i++) {
+        stack.execute(increment(counter));
+    }
+    assert.strictEqual(stack.undo() && stack.undo(), true);
+    assert.strictEqual(stack.undo(), false);
+    assert.strictEqual(counter.value, 1);
+});
+
+test('commands with the same coalesce key are merged within the window', function() {
+    const stack = new CommandStack({ coalesceWindow: 60000 });
+    const state = { value: 0 };
+    function set(value, key) {
+        const before = state.value;
+        return { label: 'Set', coalesce: key, redo: () => { state.value = value; }, undo: () => { state.value = before; } };
+    }
+    for (let i = 1; i <= 5; i++) {
+        stack.execute(set(i, 'drag'));
+    }
+    stack.execute(set(10, 'other'));
+    stack.undo();
+    assert.strictEqual(state.value, 5);
+    stack.undo();
+    assert.strictEqual(state.value, 0);
+    assert.strictEqual(stack.canUndo, false);
+    stack.redo();
+    assert.strictEqual(state.value, 5);
+
+    const strict = new CommandStack({ coalesceWindow: -1 });
+    strict.execute(set(1, 'drag'));
+    strict.execute(set(2, 'drag'));
+    strict.undo();
+    assert.strictEqual(state.value, 1);
+});
+
+test('dropped commands are discarded with their applied state', function() {
+    const discarded = [];
+    function command(name) {
+        return { label: name, redo: () => {}, undo: () => {}, discard: applied => discarded.push([name, applied]) };
+    }
+    const stack = new CommandStack({ limit: 2 });
+    stack.execute(command('a'));
+    stack.execute(command('b'));
+    stack.execute(command('c'));
+    assert.deepStrictEqual(discarded, [['a', true]]);
+    stack.undo();
+    stack.execute(command('d'));
+    assert.deepStrictEqual(discarded, [['a', true], ['c', false]]);
+    assert.throws(function() {
+        stack.transaction('Broken', function() {
+            stack.execute(command('e'));
+            throw new Error('Oops');
+        });
+    }, /Oops/);
+    assert.deepStrictEqual(discarded.pop(), ['e', false]);
+    stack.clear();
+    assert.deepStrictEqual(discarded.slice(2), [['b', true], ['d', true]]);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Utilities = require('../src/Utilities.js');
+const { cube } = require('./helpers.js');
+
+// Column of unit cubes stacked along Z, with 12 triangles per cube
+function column(count) {
+    const triangles = [];
+    for (let i = 0; i < count; i++) {
+        triangles.push(...cube([0, 0, i]));
+    }
+    return triangles;
+}
+
+test('sliceTriangles produces a closed square when cutting a cube', function() {
+    const polylines = Utilities.sliceTriangles(cube(), [0, 0, 1, -0.5]);
+    assert.strictEqual(polylines.length, 1);
+    assert.strictEqual(polylines[0].closed, true);
+    assert.strictEqual(polylines[0].points.length, 8);
+    for (const point of polylines[0].points) {
+        assert.ok(Math.abs(point[2] - 0.5) < 1e-9);
+    }
+});
+
+test('sliceTriangles returns nothing for a plane missing the mesh', function() {
+    assert.deepStrictEqual(Utilities.sliceTriangles(cube(), [0, 0, 1, -2]), []);
+});
+
+test('sliceTriangles keeps separate loops apart', function() {
+    const polylines = Utilities.sliceTriangles(cube().concat(cube([3, 0, 0])), [0, 0, 1, -0.5]);
+    assert.strictEqual(polylines.length, 2);
+    assert.ok(polylines.every(polyline => polyline.closed));
+});
+
+test('computeSection handles fragments with more than 50k triangles', async function() {
+    const fragment = column(5000);
+    assert.ok(fragment.length / 9 > 50000);
+    const utils = new Utilities({ impl: {} });
+    utils._getNodeFragments = () => Promise.resolve(new Map([[1, [10, 11]]]));
+    utils._getFragmentTriangles = fragId => fragId === 10 ? fragment : cube([3, 0, 0]);
+    const section = await utils.computeSection([0, 0, 2, -1], [1]);
+    assert.deepStrictEqual(section.plane, [0, 0, 1, -0.5]);
+    assert.strictEqual(section.polylines.length, 2);
+    assert.ok(section.polylines.every(polyline => polyline.dbId === 1 && polyline.closed));
+});
+
+test('sectionToSVG and sectionToDXF write one entity per polyline', function() {
+    const section = {
+        plane: [0, 0, 1, -0.5],
+        polylines: [
+            { dbId: 1, closed: true, points: [[0, 0, 0.5], [1, 0, 0.5], [1, 1, 0.5]] },
+            { dbId: 2, closed: false, points: [[2, 0, 0.5], [3, 0, 0.5]] }
+        ]
+    };
+    const svg = Utilities.sectionToSVG(section, { width: 300 });
+    assert.ok(svg.includes('width="300" height="100"'));
+    assert.ok(svg.includes('<polygon data-dbid="1"'));
+    assert.ok(svg.includes('<polyline data-dbid="2"'));
+    const dxf = Utilities.sectionToDXF(section, { layer: 'CUT', layerPerObject: true }).split('\n');
+    assert.strictEqual(dxf.filter(line => line === 'POLYLINE').length, 2);
+    assert.strictEqual(dxf.filter(line => line === 'VERTEX').length, 5);
+    assert.ok(dxf.includes('CUT_1') && dxf.includes('CUT_2'));
+});
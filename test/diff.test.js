@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Utilities = require('../src/Utilities.js');
+
+function result(dbId, externalId, props = {}, bounds = undefined) {
+    const properties = Object.keys(props).map(function(name) {
+        const [displayCategory, displayName] = name.split('.');
+        return { displayCategory, displayName, displayValue: props[name] };
+    });
+    return { dbId, externalId, name: externalId, properties, bounds };
+}
+
+test('diffResults pairs objects by external ID', function() {
+    const diff = Utilities.diffResults(
+        [result(1, 'a', { 'Dimensions.Height': 3000 }), result(2, 'b'), result(3, 'c', { 'Identity Data.Mark': 'W-01' })],
+        [result(10, 'a', { 'Dimensions.Height': 3200 }), result(30, 'c', { 'Identity Data.Mark': 'W-01' }), result(40, 'd')]
+    );
+    assert.deepStrictEqual(diff.removed, [{ key: 'b', dbId: 2 }]);
+    assert.deepStrictEqual(diff.added, [{ key: 'd', dbId: 40 }]);
+    assert.deepStrictEqual(diff.unchanged, [{ key: 'c', dbIdA: 3, dbIdB: 30 }]);
+    assert.deepStrictEqual(diff.modified, [{
+        key: 'a', dbIdA: 1, dbIdB: 10, bounds: null,
+        properties: [{ name: 'Dimensions.Height', before: 3000, after: 3200 }]
+    }]);
+    assert.deepStrictEqual(diff.duplicates, []);
+});
+
+test('diffResults compares bounds and numbers with tolerance, and skips ignored properties', function() {
+    const box = { min: [0, 0, 0], max: [1, 1, 1] };
+    const moved = { min: [0, 0, 0.5], max: [1, 1, 1.5] };
+    const diff = Utilities.diffResults(
+        [result(1, 'a', { 'Dimensions.Area': 1.0, 'Other.Timestamp': 1 }, box), result(2, 'b', {}, box)],
+        [result(1, 'a', { 'Dimensions.Area': 1.05, 'Other.Timestamp': 2 }, box), result(2, 'b', {}, moved)],
+        { tolerance: 0.1, ignore: ['Other.Timestamp'] }
+    );
+    assert.deepStrictEqual(diff.unchanged.map(item => item.key), ['a']);
+    assert.deepStrictEqual(diff.modified, [{ key: 'b', dbIdA: 2, dbIdB: 2, properties: [], bounds: { before: box, after: moved } }]);
+});
+
+test('diffResults reports objects with duplicate keys', function() {
+    const diff = Utilities.diffResults(
+        [result(1, 'a'), result(2, 'a'), result(3, 'b')],
+        [result(10, 'a'), result(30, 'b')]
+    );
+    assert.deepStrictEqual(diff.duplicates, [{ key: 'a', dbIdsA: [1, 2], dbIdsB: [10] }]);
+    assert.deepStrictEqual(diff.removed, []);
+    assert.deepStrictEqual(diff.added, []);
+    assert.deepStrictEqual(diff.unchanged.map(item => item.key), ['b']);
+});
+
+test('diffResults pairs objects by a property', function() {
+    const diff = Utilities.diffResults(
+        [result(1, 'x', { 'Identity Data.Mark': 'W-01' })],
+        [result(2, 'y', { 'Identity Data.Mark': 'W-01' })],
+        { key: 'Mark' }
+    );
+    assert.deepStrictEqual(diff.unchanged, [{ key: 'W-01', dbIdA: 1, dbIdB: 2 }]);
+});
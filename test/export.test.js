@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Utilities = require('../src/Utilities.js');
+const { cube } = require('./helpers.js');
+
+function meshes() {
+    return [
+        { dbId: 1, name: 'Box', parts: [{ color: [1, 0, 0, 1], triangles: cube() }] },
+        { dbId: 2, name: 'Panel', parts: [{ color: null, triangles: [0, 0, 2, 1, 0, 2, 0, 1, 2] }] }
+    ];
+}
+
+test('encodeOBJ writes objects, shared vertices and faces', function() {
+    const obj = Utilities.encodeOBJ(meshes(), { mtllib: 'scene.mtl' });
+    const lines = obj.split('\n');
+    assert.ok(lines.includes('mtllib scene.mtl'));
+    assert.strictEqual(lines.filter(line => line.startsWith('o ')).length, 2);
+    assert.strictEqual(lines.filter(line => line.startsWith('v ')).length, 11);
+    assert.strictEqual(lines.filter(line => line.startsWith('f ')).length, 13);
+    assert.strictEqual(lines.filter(line => line.startsWith('usemtl ')).length, 2);
+});
+
+test('encodeMTL writes one material per distinct color', function() {
+    const mtl = Utilities.encodeMTL(meshes().concat(meshes()));
+    assert.strictEqual(mtl.split('\n').filter(line => line.startsWith('newmtl ')).length, 2);
+    assert.ok(mtl.includes('Kd 1 0 0'));
+});
+
+test('encodeSTL writes binary and ASCII documents', function() {
+    const buffer = Utilities.encodeSTL(meshes());
+    const view = new DataView(buffer);
+    assert.strictEqual(view.getUint32(80, true), 13);
+    assert.strictEqual(buffer.byteLength, 84 + 13 * 50);
+    // Normal of the first (bottom) triangle points down
+    assert.strictEqual(view.getFloat32(92, true), -1);
+
+    const ascii = Utilities.encodeSTL(meshes(), { binary: false });
+    assert.strictEqual(ascii.split('\n').filter(line => line.startsWith('solid ')).length, 2);
+    assert.strictEqual(ascii.split('\n').filter(line => line.trim().startsWith('facet normal')).length, 13);
+});
+
+test('encodeGLTF writes a valid glTF 2.0 document', function() {
+    const gltf = JSON.parse(Utilities.encodeGLTF(meshes(), { up: [0, 0, 1] }));
+    assert.strictEqual(gltf.asset.version, '2.0');
+    assert.strictEqual(gltf.meshes.length, 2);
+    assert.strictEqual(gltf.nodes[0].children.length, 2);
+    const primitive = gltf.meshes[0].primitives[0];
+    const positions = primitive.attributes.POSITION;
+    assert.strictEqual(gltf.accessors[positions].count, 8);
+    assert.strictEqual(gltf.accessors[primitive.indices].count, 36);
+    assert.deepStrictEqual(gltf.accessors[positions].min, [0, 0, 0]);
+    assert.deepStrictEqual(gltf.accessors[positions].max, [1, 1, 1]);
+    const buffer = Buffer.from(gltf.buffers[0].uri.split(',')[1], 'base64');
+    assert.strictEqual(buffer.length, gltf.buffers[0].byteLength);
+});
+
+test('exportGeometry handles fragments with more than 50k triangles', async function() {
+    // Column of 5000 cubes with 12 triangles each, split into two fragments of the same color
+    const column = [];
+    for (let i = 0; i < 5000; i++) {
+        column.push(...cube([0, 0, i]));
+    }
+    const fragments = { 10: column, 11: cube([3, 0, 0]), 12: cube([6, 0, 0]) };
+    const materials = { 10: { r: 1, g: 0, b: 0 }, 11: { r: 1, g: 0, b: 0 }, 12: { r: 0, g: 0, b: 1 } };
+    const model = {
+        getUnitString: () => 'm',
+        getData: () => ({ instanceTree: { getNodeName: dbId => `Object ${dbId}` } })
+    };
+    const utils = new Utilities({
+        impl: { getRenderProxy: (model, fragId) => ({ material: { color: materials[fragId], transparent: false } }) },
+        model
+    });
+    utils._getNodeFragments = () => Promise.resolve(new Map([[1, [10, 11, 12]]]));
+    utils._getFragmentTriangles = fragId => fragments[fragId].slice();
+    const blob = await utils.exportGeometry([1], 'stl', { units: 'mm' });
+    const view = new DataView(await blob.arrayBuffer());
+    const count = 5000 * 12 + 2 * 12;
+    assert.strictEqual(view.getUint32(80, true), count);
+    assert.strictEqual(blob.size, 84 + count * 50);
+    // Coordinates are converted from meters to millimeters
+    let maxZ = 0;
+    for (let offset = 84; offset < blob.size; offset += 50) {
+        maxZ = Math.max(maxZ, view.getFloat32(offset + 20, true), view.getFloat32(offset + 32, true), view.getFloat32(offset + 44, true));
+    }
+    assert.strictEqual(maxZ, 5000000);
+
+    const obj = await (await utils.exportGeometry([1], 'obj', { mtllib: 'parts.mtl' })).text();
+    assert.strictEqual(obj.split('\n').filter(line => line.startsWith('o ')).length, 1);
+    assert.strictEqual(obj.split('\n').filter(line => line.startsWith('usemtl ')).length, 2);
+});
+
+test('exportGeometry rejects unknown formats', async function() {
+    const utils = new Utilities({ impl: {}, model: {} });
+    await assert.rejects(utils.exportGeometry([1], 'fbx'), Utilities.UtilitiesError);
+});
@@ -0,0 +1,26 @@
+/**
+ * Builds triangles of an axis-aligned cube with outward-facing triangles.
+ * @param {number[]} [min=[0, 0, 0]] Minimum corner of the cube.
+ * @param {number} [size=1] Length of the cube edges.
+ * @returns {number[]} Triangles, with 9 numbers (3 vertices) per triangle.
+ */
+function cube(min = [0, 0, 0], size = 1) {
+    const v = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0], [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]];
+    const faces = [
+        [0, 2, 1], [0, 3, 2], // bottom
+        [4, 5, 6], [4, 6, 7], // top
+        [0, 1, 5], [0, 5, 4], // front
+        [2, 3, 7], [2, 7, 6], // back
+        [1, 2, 6], [1, 6, 5], // right
+        [3, 0, 4], [3, 4, 7]  // left
+    ];
+    const triangles = [];
+    for (const face of faces) {
+        for (const i of face) {
+            triangles.push(min[0] + v[i][0] * size, min[1] + v[i][1] * size, min[2] + v[i][2] * size);
+        }
+    }
+    return triangles;
+}
+
+module.exports = { cube };
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Utilities = require('../src/Utilities.js');
+const { cube } = require('./helpers.js');
+
+function near(actual, expected, epsilon = 1e-9) {
+    assert.ok(Math.abs(actual - expected) < epsilon, `expected ${expected}, got ${actual}`);
+}
+
+test('measureTriangles computes volume and areas of a closed mesh', function() {
+    const quantities = Utilities.measureTriangles(cube([1, 2, 3], 2));
+    near(quantities.volume, 8.0);
+    near(quantities.surfaceArea, 24.0);
+    near(quantities.floorArea, 4.0);
+    near(Utilities.measureTriangles(cube(), [1, 0, 0]).floorArea, 1.0);
+});
+
+test('measureTriangles volume changes sign with inverted triangles', function() {
+    const triangles = cube();
+    for (let t = 0; t < triangles.length; t += 9) {
+        for (let k = 0; k < 3; k++) {
+            const tmp = triangles[t + 3 + k];
+            triangles[t + 3 + k] = triangles[t + 6 + k];
+            triangles[t + 6 + k] = tmp;
+        }
+    }
+    near(Utilities.measureTriangles(triangles).volume, -1.0);
+});
+
+test('projectedArea counts overlapping triangles once', function() {
+    // Top and bottom of the cube cover the same square, sides project to nothing
+    near(Utilities.projectedArea(cube()), 1.0);
+    // Two cubes overlapping in a quarter of their footprint
+    near(Utilities.projectedArea(cube().concat(cube([0.5, 0.5, 3]))), 1.75);
+    // Disjoint footprints add up
+    near(Utilities.projectedArea(cube().concat(cube([5, 0, 0], 2))), 5.0);
+    near(Utilities.projectedArea(cube([0, 0, 0], 2), [0, 1, 0]), 4.0);
+    assert.strictEqual(Utilities.projectedArea([]), 0);
+});
+
+test('projectedArea of a triangle fan matches its outline', function() {
+    // Regular hexagon with unit circumradius, split into 6 triangles around the center
+    const triangles = [];
+    for (let i = 0; i < 6; i++) {
+        const a = i * Math.PI / 3, b = (i + 1) * Math.PI / 3;
+        triangles.push(0, 0, 0, Math.cos(a), Math.sin(a), 0, Math.cos(b), Math.sin(b), 0);
+    }
+    near(Utilities.projectedArea(triangles), 1.5 * Math.sqrt(3), 1e-6);
+});
+
+test('triangleSetDistance finds the closest points', function() {
+    const result = Utilities.triangleSetDistance(cube(), cube([3, 0.25, 0.5]));
+    near(result.distance, 2.0);
+    near(result.points[0][0], 1.0);
+    near(result.points[1][0], 3.0);
+
+    const diagonal = Utilities.triangleSetDistance(cube(), cube([2, 2, 2]));
+    near(diagonal.distance, Math.sqrt(3));
+    assert.deepStrictEqual(diagonal.points.map(point => point.map(Math.round)), [[1, 1, 1], [2, 2, 2]]);
+});
+
+test('triangleSetDistance is zero for intersecting sets', function() {
+    const result = Utilities.triangleSetDistance(cube(), cube([0.5, 0.5, 0.5]));
+    assert.strictEqual(result.distance, 0);
+    assert.deepStrictEqual(result.points[0], result.points[1]);
+});
+
+test('triangleSetDistance matches brute force on a larger mesh', function() {
+    // Grid of small cubes against a single one
+    const grid = [];
+    for (let x = 0; x < 6; x++) {
+        for (let y = 0; y < 6; y++) {
+            grid.push(...cube([x * 2, y * 2, 0], 0.5));
+        }
+    }
+    const other = cube([5.3, 7.1, 1.2], 0.5);
+    const pointA = [0, 0, 0], pointB = [0, 0, 0];
+    let best = Infinity;
+    for (let a = 0; a < grid.length; a += 9) {
+        for (let b = 0; b < other.length; b += 9) {
+            best = Math.min(best, Utilities._triangleDistanceSq(grid, a, other, b, pointA, pointB));
+        }
+    }
+    near(Utilities.triangleSetDistance(grid, other).distance, Math.sqrt(best));
+});
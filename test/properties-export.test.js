@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Utilities = require('../src/Utilities.js');
+
+const results = [
+    {
+        dbId: 1,
+        externalId: 'abc-1',
+        name: 'Wall',
+        properties: [
+            { displayName: 'Height', displayValue: 3000.1234, displayCategory: 'Dimensions', units: 'mm' },
+            { displayName: 'Structural', displayValue: 1, displayCategory: 'Structural', type: 1 },
+            { displayName: 'Internal', displayValue: 42, displayCategory: 'Other', hidden: true }
+        ]
+    },
+    {
+        dbId: 2,
+        externalId: 'abc-2',
+        name: 'Door',
+        properties: [
+            { displayName: 'Mark', displayValue: 'D-01', displayCategory: 'Identity Data' }
+        ]
+    }
+];
+
+test('flattenProperties creates a column per category and name', function() {
+    const table = Utilities.flattenProperties(results);
+    assert.deepStrictEqual(table.columns, ['dbId', 'externalId', 'name', 'Dimensions.Height', 'Dimensions.Height (units)', 'Structural.Structural', 'Identity Data.Mark']);
+    assert.deepStrictEqual(table.rows[0], {
+        dbId: 1, externalId: 'abc-1', name: 'Wall',
+        'Dimensions.Height': 3000.1234, 'Dimensions.Height (units)': 'mm', 'Structural.Structural': true
+    });
+    assert.deepStrictEqual(table.rows[1], { dbId: 2, externalId: 'abc-2', name: 'Door', 'Identity Data.Mark': 'D-01' });
+});
+
+test('flattenProperties honors columns, units, precision and hidden properties', function() {
+    const table = Utilities.flattenProperties(results, { columns: ['name', 'Height', 'Other.Internal'], units: 'inline', precision: 1 });
+    assert.deepStrictEqual(table.columns, ['name', 'Height', 'Other.Internal']);
+    assert.deepStrictEqual(table.rows[0], { name: 'Wall', Height: '3000.1 mm', 'Other.Internal': 42 });
+    assert.deepStrictEqual(table.rows[1], { name: 'Door' });
+
+    const hidden = Utilities.flattenProperties(results, { units: 'none', includeHidden: true });
+    assert.ok(hidden.columns.includes('Other.Internal'));
+    assert.ok(!hidden.columns.includes('Dimensions.Height (units)'));
+});
+
+test('formatCSV escapes values and honors delimiter and byte order mark', function() {
+    const table = { columns: ['name', 'note'], rows: [{ name: 'a;b', note: 'say "hi"' }, { name: 'c, d', note: null }] };
+    assert.strictEqual(Utilities.formatCSV(table), 'name,note\r\na;b,"say ""hi"""\r\n"c, d",\r\n');
+    assert.strictEqual(Utilities.formatCSV(table, { delimiter: ';', bom: true }), '\ufeffname;note\r\n"a;b";"say ""hi"""\r\nc, d;\r\n');
+});
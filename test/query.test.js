@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Utilities = require('../src/Utilities.js');
+const { UtilitiesError } = Utilities;
+
+const wall = {
+    dbId: 1,
+    externalId: 'abc-1',
+    name: 'Basic Wall [1]',
+    properties: [
+        { displayName: 'Category', displayValue: 'Revit Walls', displayCategory: '__category__', attributeName: 'Category' },
+        { displayName: 'Height', displayValue: 3000, displayCategory: 'Dimensions', attributeName: 'Unconnected Height', units: 'mm' },
+        { displayName: 'Mark', displayValue: 'W-01', displayCategory: 'Identity Data', attributeName: 'Mark' },
+        { displayName: 'Height', displayValue: 'n/a', displayCategory: 'Other', attributeName: 'Height' }
+    ]
+};
+
+test('matchProperties tests equality, lists and built-in keys', function() {
+    assert.strictEqual(Utilities.matchProperties(wall, { Mark: 'W-01' }), true);
+    assert.strictEqual(Utilities.matchProperties(wall, { Mark: ['W-02', 'W-01'] }), true);
+    assert.strictEqual(Utilities.matchProperties(wall, { Mark: 'W-02' }), false);
+    assert.strictEqual(Utilities.matchProperties(wall, { name: /^Basic Wall/, dbId: 1, externalId: 'abc-1' }), true);
+});
+
+test('matchProperties resolves category-prefixed and attribute names', function() {
+    assert.strictEqual(Utilities.matchProperties(wall, { 'Dimensions.Height': { gte: 3000 } }), true);
+    assert.strictEqual(Utilities.matchProperties(wall, { 'Other.Height': 'n/a' }), true);
+    assert.strictEqual(Utilities.matchProperties(wall, { 'Identity Data.Height': { exists: true } }), false);
+    assert.strictEqual(Utilities.matchProperties(wall, { 'Unconnected Height': 3000 }), true);
+});
+
+test('matchProperties matches categories with or without the Revit prefix', function() {
+    assert.strictEqual(Utilities.matchProperties(wall, { Category: 'Walls' }), true);
+    assert.strictEqual(Utilities.matchProperties(wall, { Category: 'Revit Walls' }), true);
+    assert.strictEqual(Utilities.matchProperties(wall, { Category: { in: ['Doors', 'Revit Walls'] } }), true);
+    assert.strictEqual(Utilities.matchProperties(wall, { Category: 'Doors' }), false);
+});
+
+test('_matchCondition compares numbers and strings', function() {
+    assert.strictEqual(Utilities._matchCondition([3000], { gt: 2500, lte: '3000' }), true);
+    assert.strictEqual(Utilities._matchCondition(['3000'], { lt: 2500 }), false);
+    assert.strictEqual(Utilities._matchCondition(['b'], { gt: 'a', lt: 'c' }), true);
+    assert.strictEqual(Utilities._matchCondition(['W-01'], { ne: 'W-02', nin: ['W-03'] }), true);
+    assert.strictEqual(Utilities._matchCondition(['W-01'], { regex: '^W-\\d+$' }), true);
+});
+
+test('_matchCondition is met by any of multiple values', function() {
+    assert.strictEqual(Utilities._matchCondition([3000, 'n/a'], { gte: 3000 }), true);
+    assert.strictEqual(Utilities._matchCondition([], 'anything'), false);
+});
+
+test('_matchCondition tests existence', function() {
+    assert.strictEqual(Utilities._matchCondition(['x'], { exists: true }), true);
+    assert.strictEqual(Utilities._matchCondition([], { exists: true }), false);
+    assert.strictEqual(Utilities._matchCondition([], { exists: false }), true);
+    assert.strictEqual(Utilities._matchCondition(['x'], { exists: false }), false);
+});
+
+test('_matchCondition rejects unknown operators', function() {
+    assert.throws(() => Utilities._matchCondition(['x'], { like: 'x' }), UtilitiesError);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Minimal stand-ins for the THREE.js classes used by the section methods
+class Vector3 {
+    constructor(x = 0, y = 0, z = 0) { this.x = x; this.y = y; this.z = z; }
+    clone() { return new Vector3(this.x, this.y, this.z); }
+    normalize() {
+        const length = Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z);
+        this.x /= length; this.y /= length; this.z /= length;
+        return this;
+    }
+    dot(v) { return this.x * v.x + this.y * v.y + this.z * v.z; }
+}
+class Vector4 {
+    constructor(x = 0, y = 0, z = 0, w = 1) { this.x = x; this.y = y; this.z = z; this.w = w; }
+}
+global.THREE = { Vector3, Vector4 };
+
+const Utilities = require('../src/Utilities.js');
+const { UtilitiesError } = Utilities;
+
+function createUtilities() {
+    const viewer = {
+        impl: {},
+        cutPlanes: [],
+        getCutPlanes() { return this.cutPlanes; },
+        setCutPlanes(planes) { this.cutPlanes = planes; }
+    };
+    return new Utilities(viewer);
+}
+
+test('_planeToArray converts arrays, vectors and normal with point', function() {
+    assert.deepStrictEqual(Utilities._planeToArray([0, 0, 1, -3]), [0, 0, 1, -3]);
+    assert.deepStrictEqual(Utilities._planeToArray(new Vector4(1, 0, 0, 2)), [1, 0, 0, 2]);
+    assert.deepStrictEqual(Utilities._planeToArray({ normal: new Vector3(0, 0, 2), point: new Vector3(5, 5, 3) }), [0, 0, 1, -3]);
+    assert.throws(() => Utilities._planeToArray([0, 0, 1]), UtilitiesError);
+    assert.throws(() => Utilities._planeToArray({ normal: new Vector3(0, 0, 1) }), UtilitiesError);
+    assert.throws(() => Utilities._planeToArray(null), UtilitiesError);
+});
+
+test('section state round-trips through JSON', function() {
+    const utils = createUtilities();
+    assert.strictEqual(utils.getSectionState(), null);
+    const state = { planes: Utilities._boxPlanes([0, 0, 0], [1, 2, 3]), box: { min: [0, 0, 0], max: [1, 2, 3] } };
+    utils.restoreSection(JSON.stringify(state));
+    assert.strictEqual(utils.viewer.cutPlanes.length, 6);
+    assert.ok(utils.viewer.cutPlanes[0] instanceof Vector4);
+    assert.deepStrictEqual(utils.getSectionState(), state);
+    utils.restoreSection(null);
+    assert.strictEqual(utils.getSectionState(), null);
+});
+
+test('section box is dropped when the planes change in the viewer', function() {
+    const utils = createUtilities();
+    utils.restoreSection({ planes: Utilities._boxPlanes([0, 0, 0], [1, 1, 1]), box: { min: [0, 0, 0], max: [1, 1, 1] } });
+    utils.viewer.cutPlanes = utils.viewer.cutPlanes.slice(0, 5);
+    const state = utils.getSectionState();
+    assert.strictEqual(state.planes.length, 5);
+    assert.strictEqual(state.box, null);
+});
+
+test('restoreSection rejects invalid state and keeps the current section', function() {
+    const utils = createUtilities();
+    utils.setSectionPlanes([[0, 0, 1, -3]]);
+    const invalid = [
+        '{ "planes": [',
+        { box: null },
+        { planes: [[0, 0, 1]] },
+        { planes: 'all' },
+        { planes: [], box: { min: [0, 0, 0] } },
+        { planes: [], box: { min: [0, 0], max: [1, 1, 1] } }
+    ];
+    for (const state of invalid) {
+        assert.throws(() => utils.restoreSection(state), UtilitiesError);
+    }
+    assert.deepStrictEqual(utils.getSectionState(), { planes: [[0, 0, 1, -3]], box: null });
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Utilities = require('../src/Utilities.js');
+const { SpatialIndex } = Utilities;
+
+// Deterministic pseudo-random boxes, so that failures can be reproduced
+function randomItems(count, seed) {
+    function random() {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    }
+    const items = [];
+    for (let i = 0; i < count; i++) {
+        const min = [random() * 100, random() * 100, random() * 100];
+        const max = min.map(value => value + random() * 5);
+        items.push({ id: i, data: `item ${i}`, min, max });
+    }
+    return items;
+}
+
+function distance(point, item) {
+    let sum = 0;
+    for (let i = 0; i < 3; i++) {
+        const d = Math.max(item.min[i] - point[i], 0, point[i] - item.max[i]);
+        sum += d * d;
+    }
+    return Math.sqrt(sum);
+}
+
+function overlaps(a, b, tolerance = 0) {
+    for (let i = 0; i < 3; i++) {
+        if (a.min[i] > b.max[i] + tolerance || b.min[i] > a.max[i] + tolerance) {
+            return false;
+        }
+    }
+    return true;
+}
+
+const sort = ids => ids.slice().sort((a, b) => a - b);
+
+test('queryBox and queryRadius match brute force', function() {
+    const items = randomItems(500, 1);
+    const index = new SpatialIndex(items);
+    assert.strictEqual(index.size, 500);
+    assert.strictEqual(index.getData(42), 'item 42');
+    const box = { min: [20, 30, 40], max: [50, 45, 70] };
+    assert.deepStrictEqual(sort(index.queryBox(box.min, box.max)), items.filter(item => overlaps(item, box)).map(item => item.id));
+    const center = [50, 50, 50];
+    assert.deepStrictEqual(sort(index.queryRadius(center, 15)), items.filter(item => distance(center, item) <= 15).map(item => item.id));
+});
+
+test('nearest returns closest items sorted by distance', function() {
+    const items = randomItems(500, 2);
+    const index = new SpatialIndex(items);
+    const point = { x: 10, y: 90, z: 50 };
+    const expected = items
+        .map(item => ({ id: item.id, distance: distance([10, 90, 50], item) }))
+        .sort((a, b) => a.distance - b.distance);
+    const result = index.nearest(point, 5);
+    assert.deepStrictEqual(result.map(item => item.id), expected.slice(0, 5).map(item => item.id));
+    for (let i = 0; i < 5; i++) {
+        assert.ok(Math.abs(result[i].distance - expected[i].distance) < 1e-9);
+    }
+    const limit = expected[2].distance;
+    assert.deepStrictEqual(index.nearest(point, 10, limit).map(item => item.id), expected.filter(item => item.distance <= limit).map(item => item.id));
+    assert.deepStrictEqual(new SpatialIndex().nearest(point), []);
+});
+
+test('clashCandidates finds overlapping pairs within one index and between two', function() {
+    const itemsA = randomItems(300, 3);
+    const itemsB = randomItems(300, 4);
+    const indexA = new SpatialIndex(itemsA);
+    const indexB = new SpatialIndex(itemsB);
+    const key = pair => `${pair[0]}:${pair[1]}`;
+
+    const expectedSelf = [];
+    for (let i = 0; i < itemsA.length; i++) {
+        for (let j = i + 1; j < itemsA.length; j++) {
+            if (overlaps(itemsA[i], itemsA[j], 1)) {
+                expectedSelf.push(`${i}:${j}`);
+            }
+        }
+    }
+    const actualSelf = indexA.clashCandidates(undefined, 1).map(pair => key(pair[0] < pair[1] ? pair : [pair[1], pair[0]]));
+    assert.deepStrictEqual(actualSelf.sort(), expectedSelf.sort());
+
+    const expectedOther = [];
+    for (const a of itemsA) {
+        for (const b of itemsB) {
+            if (overlaps(a, b)) {
+                expectedOther.push(`${a.id}:${b.id}`);
+            }
+        }
+    }
+    assert.deepStrictEqual(indexA.clashCandidates(indexB).map(key).sort(), expectedOther.sort());
+});
+
+test('update and remove keep queries consistent', function() {
+    const items = randomItems(100, 5);
+    const index = new SpatialIndex(items);
+    index.update(7, [200, 200, 200], [201, 201, 201]);
+    assert.deepStrictEqual(index.queryBox([199, 199, 199], [202, 202, 202]), [7]);
+    assert.deepStrictEqual(index.nearest([200, 200, 200]), [{ id: 7, distance: 0 }]);
+    index.remove(7);
+    assert.strictEqual(index.has(7), false);
+    assert.strictEqual(index.size, 99);
+    assert.deepStrictEqual(index.queryBox([199, 199, 199], [202, 202, 202]), []);
+});
@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Minimal stand-ins for the THREE.js classes used by the timeline
+class Vector3 {
+    constructor(x = 0, y = 0, z = 0) { this.x = x; this.y = y; this.z = z; }
+    clone() { return new Vector3(this.x, this.y, this.z); }
+    lerp(v, alpha) {
+        this.x += (v.x - this.x) * alpha;
+        this.y += (v.y - this.y) * alpha;
+        this.z += (v.z - this.z) * alpha;
+        return this;
+    }
+}
+class Vector4 {
+    constructor(x = 0, y = 0, z = 0, w = 1) { this.x = x; this.y = y; this.z = z; this.w = w; }
+}
+class Quaternion extends Vector4 {
+    clone() { return new Quaternion(this.x, this.y, this.z, this.w); }
+    slerp(q, alpha) { return alpha < 1 ? this : q.clone(); }
+}
+global.THREE = { Vector3, Vector4, Quaternion };
+
+const Utilities = require('../src/Utilities.js');
+const { Timeline, UtilitiesError } = Utilities;
+
+function createTimeline(options = {}) {
+    const calls = { show: [], hide: [], colors: [], transforms: [] };
+    const model = {
+        getData: () => ({ instanceTree: { enumNodeFragments: (dbId, callback) => callback(dbId * 10) } }),
+        getExternalIdMapping: (onSuccess) => onSuccess({ 'wall-1': 1, 'wall-2': 2 })
+    };
+    const utils = {
+        viewer: {
+            model,
+            show: (dbIds) => calls.show.push(...dbIds),
+            hide: (dbIds) => calls.hide.push(...dbIds),
+            setThemingColor: (dbId, color) => calls.colors.push([dbId, color])
+        },
+        _colors: new Map(),
+        _setFragmentAuxTransform: (fragId, scale, rotation, position) => calls.transforms.push({ fragId, scale, rotation, position }),
+        refresh: () => {}
+    };
+    return { timeline: new Timeline(utils, options), calls };
+}
+
+test('parseCSV splits rows and values', function() {
+    const rows = Utilities.parseCSV('Task,Start\r\nWalls,2019-03-01\nRoof,2019-04-01\r\n');
+    assert.deepStrictEqual(rows, [['Task', 'Start'], ['Walls', '2019-03-01'], ['Roof', '2019-04-01']]);
+});
+
+test('parseCSV handles quoted values', function() {
+    const rows = Utilities.parseCSV('Name,Note\r\n"Walls, level 1","He said ""hi""\r\nand left"\r\n');
+    assert.deepStrictEqual(rows, [['Name', 'Note'], ['Walls, level 1', 'He said "hi"\r\nand left']]);
+});
+
+test('parseCSV skips byte order mark and honors custom delimiter', function() {
+    const rows = Utilities.parseCSV('\ufeffa;b\n1;2', { delimiter: ';' });
+    assert.deepStrictEqual(rows, [['a', 'b'], ['1', '2']]);
+});
+
+test('parseCSV reads back what formatCSV writes', function() {
+    const table = { columns: ['name', 'value'], rows: [{ name: 'x, "y"', value: 1 }, { name: 'z' }] };
+    const rows = Utilities.parseCSV(Utilities.formatCSV(table, { bom: true }));
+    assert.deepStrictEqual(rows, [['name', 'value'], ['x, "y"', '1'], ['z', '']]);
+});
+
+test('keyframes are sorted by time, and dates are converted to numbers', function() {
+    const { timeline } = createTimeline();
+    timeline.addKeyframe({ time: '2019-04-01', dbIds: [1], visible: true });
+    timeline.addKeyframe({ time: new Date('2019-03-01'), dbIds: [1], visible: false });
+    timeline.addKeyframe({ time: '1551398400000', dbIds: [2], visible: false });
+    assert.deepStrictEqual(timeline.keyframes.map(keyframe => keyframe.time), [Date.parse('2019-03-01'), 1551398400000, Date.parse('2019-04-01')]);
+    assert.throws(() => timeline.addKeyframe({ time: 'next week', dbIds: [1] }), UtilitiesError);
+});
+
+test('seek applies the latest visibility and color', function() {
+    const { timeline, calls } = createTimeline();
+    const red = new Vector4(1, 0, 0, 1);
+    timeline.addKeyframe({ time: 0, dbIds: [1, 2], visible: false });
+    timeline.addKeyframe({ time: 10, dbIds: [1], visible: true, color: red });
+    timeline.addKeyframe({ time: 20, dbIds: [1], color: null });
+    timeline.seek(5);
+    assert.deepStrictEqual(calls.hide, [1, 2]);
+    timeline.seek(15);
+    assert.deepStrictEqual(calls.show, [1]);
+    assert.deepStrictEqual(calls.colors, [[1, red]]);
+    timeline.seek(100);
+    assert.strictEqual(timeline.currentTime, 20);
+    assert.deepStrictEqual(calls.colors, [[1, red], [1, null]]);
+});
+
+test('seek interpolates transforms between keyframes', function() {
+    const { timeline, calls } = createTimeline();
+    timeline.addKeyframe({ time: 0, dbIds: [1], transform: { position: new Vector3(0, 0, 0) } });
+    timeline.addKeyframe({ time: 10, dbIds: [1], transform: { position: new Vector3(10, 0, 0), scale: new Vector3(3, 3, 3) } });
+    timeline.seek(2.5);
+    const { fragId, scale, position } = calls.transforms.pop();
+    assert.strictEqual(fragId, 10);
+    assert.deepStrictEqual([position.x, position.y, position.z], [2.5, 0, 0]);
+    assert.deepStrictEqual([scale.x, scale.y, scale.z], [1.5, 1.5, 1.5]);
+    timeline.seek(10);
+    assert.strictEqual(calls.transforms.pop().position.x, 10);
+});
+
+test('transforms change in steps when interpolation is disabled', function() {
+    const { timeline, calls } = createTimeline({ interpolate: false });
+    timeline.addKeyframe({ time: 0, dbIds: [1], transform: { position: new Vector3(0, 0, 0) } });
+    timeline.addKeyframe({ time: 10, dbIds: [1], transform: { position: new Vector3(10, 0, 0) } });
+    timeline.seek(9);
+    assert.strictEqual(calls.transforms.pop().position.x, 0);
+});
+
+test('importCSV creates keyframes for each task', async function() {
+    const { timeline } = createTimeline();
+    const csv = 'Task,Start,End,Elements\r\nWalls,2019-03-01,2019-03-15,wall-1; wall-2\r\nRoof,2019-02-01,2019-04-01,wall-2\r\n';
+    const keyframes = await timeline.importCSV(csv, { key: 'externalId' });
+    assert.strictEqual(keyframes.length, 6);
+    assert.strictEqual(timeline.startTime, Date.parse('2019-02-01'));
+    assert.strictEqual(timeline.endTime, Date.parse('2019-04-01'));
+    const walls = timeline.keyframes.filter(keyframe => keyframe.label === 'Walls');
+    assert.deepStrictEqual(walls.map(keyframe => keyframe.visible), [false, true, undefined]);
+    assert.deepStrictEqual(walls[0].dbIds, [1, 2]);
+});
+
+test('importCSV rejects invalid schedules', async function() {
+    const { timeline } = createTimeline();
+    await assert.rejects(timeline.importCSV('Task,Start,End\r\n'), UtilitiesError);
+    await assert.rejects(timeline.importCSV('Task,Start,End,Elements\r\nWalls,2019-03-01\r\n'), /row 2/);
+    await assert.rejects(timeline.importCSV('Task,Start,End,Elements\r\nWalls,soon,2019-03-15,1\r\n'), /row 2/);
+    await assert.rejects(timeline.importCSV('Task,Start,End,Elements\r\nWalls,2019-03-01,2019-03-15,door-1\r\n', { key: 'externalId' }), /door-1/);
+});
+
+test('importJSON reads back what exportJSON writes', function() {
+    const { timeline } = createTimeline();
+    timeline.addKeyframe({ time: 0, dbIds: [1], visible: false, label: 'Start' });
+    timeline.addKeyframe({ time: 10, dbIds: [1, 2], color: new Vector4(1, 0, 0, 0.5) });
+    timeline.addKeyframe({ time: 20, dbIds: [2], color: null, transform: { position: new Vector3(1, 2, 3), rotation: new Quaternion(0, 0, 0, 1) } });
+    const json = JSON.stringify(timeline.exportJSON());
+    const { timeline: copy } = createTimeline();
+    copy.importJSON(json);
+    assert.deepStrictEqual(copy.exportJSON(), JSON.parse(json));
+    assert.ok(copy.keyframes[1].color instanceof Vector4);
+    assert.ok(copy.keyframes[2].transform.position instanceof Vector3);
+});
+
+test('importJSON rejects invalid keyframes and keeps the current ones', function() {
+    const { timeline } = createTimeline();
+    timeline.addKeyframe({ time: 0, dbIds: [1], visible: false });
+    const invalid = [
+        '{ "keyframes": ',
+        { version: 1 },
+        { keyframes: [{ dbIds: [1] }] },
+        { keyframes: [{ time: 0, dbIds: '1' }] },
+        { keyframes: [{ time: 0, dbIds: [1], visible: 'no' }] },
+        { keyframes: [{ time: 0, dbIds: [1], color: [1, 0, 0] }] },
+        { keyframes: [{ time: 0, dbIds: [1], color: 'red' }] },
+        { keyframes: [{ time: 0, dbIds: [1], transform: { position: [0, 'a', 0] } }] },
+        { keyframes: [{ time: 0, dbIds: [1] }, { time: 0, dbIds: [1], transform: { rotation: [0, 0, 1] } }] }
+    ];
+    for (const json of invalid) {
+        assert.throws(() => timeline.importJSON(json), UtilitiesError);
+    }
+    assert.throws(() => timeline.importJSON(invalid[8]), /keyframe 1/);
+    assert.strictEqual(timeline.keyframes.length, 1);
+});